@@ -7,12 +7,14 @@ import path from 'path';
 import { readAndProcessData } from './src/utils/dataLoader.js';
 import { analyzeSummerData } from './src/utils/summerAnalysis.js';
 import { presentSummerResults } from './src/utils/summerPresenter.js';
+import { cargarReferencias } from './src/services/climateReferences.js';
 
 /**
- * Extrae el ID de la estación del nombre del fichero.
+ * Extrae el ID de la estación del nombre del fichero: diarios_<estación>_<inicio>_<fin>.csv,
+ * o diarios_<estación>.csv en los datasets que mantiene extract.js --actualizar.
  */
 const getStationIdFromPath = (filePath) => {
-  const baseName = path.basename(filePath);
+  const baseName = path.basename(filePath, path.extname(filePath));
   const parts = baseName.split('_');
   return parts.length > 1 ? parts[1] : 'desconocida';
 };
@@ -38,12 +40,20 @@ async function main() {
     console.log(`
 🔎 Encontrados ${allRecords.length} registros climáticos en total.`);
 
-    // 2. Analizar los datos (el módulo de análisis se encarga de filtrar lo que necesita)
+    // 2. Cargar las referencias oficiales (normales y extremos), si se han descargado
+    const stationId = getStationIdFromPath(fullPath);
+    const referencias = await cargarReferencias(stationId);
+    if (referencias) {
+      console.log(`📚 Usando las normales ${referencias.periodoNormales} y los extremos oficiales de ${stationId}.`);
+    } else {
+      console.log(`📚 No hay referencias oficiales para ${stationId} (usa 'extract.js --referencias'). Se usará la media del período.`);
+    }
+
+    // 3. Analizar los datos (el módulo de análisis se encarga de filtrar lo que necesita)
     console.log('🧠 Realizando todos los análisis...');
-    const analysisResults = analyzeSummerData(allRecords);
+    const analysisResults = analyzeSummerData(allRecords, referencias);
 
-    // 3. Presentar los resultados
-    const stationId = getStationIdFromPath(fullPath);
+    // 4. Presentar los resultados
     presentSummerResults(analysisResults, stationId);
 
   } catch (error) {
@@ -0,0 +1,60 @@
+/**
+ * collect.js
+ *
+ * Responsabilidad: Recolectar de forma continua las observaciones horarias de
+ * estaciones convencionales de AEMET y archivarlas en local, ya que la API
+ * solo sirve las últimas 24 horas.
+ */
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { SCRIPT_SETTINGS, COLLECTOR_CONFIG } from './src/config.js';
+import { logger } from './src/utils/consoleLogger.js';
+import { recolectarObservaciones } from './src/collector-worker.js';
+import { comprobarClavesApi } from './src/utils/apiKeyCheck.js';
+
+function mostrarAyuda() {
+  console.log(`
+Uso: node collect.js --estaciones <ids> [opciones]
+
+Opciones:
+  --estaciones <ids>      Indicativos separados por comas (ej: 3195,5530E).
+  --intervalo <minutos>   Minutos entre consultas [Por defecto: ${COLLECTOR_CONFIG.POLL_INTERVAL_MINUTES}].
+  --una-vez               Hace una sola consulta y termina (útil para cron).
+  -v, --verbose           Muestra los errores completos.
+  -h, --help              Muestra este mensaje de ayuda.
+
+Las observaciones se guardan en ${COLLECTOR_CONFIG.DIR}/horarios_[estacionId].csv.
+`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      estaciones: { type: 'string' },
+      intervalo: { type: 'string' },
+      'una-vez': { type: 'boolean' },
+      verbose: { type: 'boolean', short: 'v' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help || !values.estaciones) {
+    mostrarAyuda();
+    process.exit(values.help ? 0 : 1);
+  }
+  comprobarClavesApi();
+  SCRIPT_SETTINGS.VERBOSE_MODE = Boolean(values.verbose);
+
+  const estaciones = values.estaciones.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+  const intervaloMinutos = values.intervalo !== undefined ? parseFloat(values.intervalo) : undefined;
+  if (intervaloMinutos !== undefined && !(intervaloMinutos > 0)) {
+    throw new Error('El intervalo debe ser un número de minutos mayor que 0.');
+  }
+
+  await recolectarObservaciones(estaciones, { intervaloMinutos, unaVez: values['una-vez'] });
+}
+
+main().catch(error => {
+  logger.failAndStop(`Error fatal en la recolección: ${error.message}`);
+  process.exit(1);
+});
@@ -1,11 +1,79 @@
 // index.js
 import 'dotenv/config';
+import fs from 'fs/promises';
 import readline from 'readline';
 import { parseArgs } from 'util';
 import { SCRIPT_SETTINGS } from './src/config.js';
-import { parse, isValid } from 'date-fns';
+import { isValid } from 'date-fns';
 import { logger } from './src/utils/consoleLogger.js';
-import { procesarEstacion } from './src/extraction-worker.js';
+import { parsearFecha } from './src/utils/dateUtils.js';
+import { ejecutarExtracciones, mostrarResumen, esCompleta, ejecutarTrabajos, mostrarResumenTrabajos } from './src/extraction-runner.js';
+import { planificarExtracciones, planificarTrabajos, mostrarPlan } from './src/extraction-planner.js';
+import { cargarInventario, buscarEstaciones } from './src/services/stationInventory.js';
+import { seleccionarColumnasDiarias } from './src/services/csvWriter.js';
+import { cargarFicheroTrabajos } from './src/services/jobFile.js';
+import { limitadorAemet } from './src/services/rateLimiter.js';
+import { comprobarClavesApi } from './src/utils/apiKeyCheck.js';
+
+const MAX_COINCIDENCIAS = 20;
+const FORMATOS = ['csv', 'json'];
+// Opciones que describen una extracción: con --trabajos las da el fichero.
+const OPCIONES_DE_TRABAJO = ['estaciones', 'inicio', 'fin', 'salida', 'formato', 'campos', 'oficiales', 'referencias', 'actualizar'];
+
+// Códigos de salida: 1 si alguna estación falla o queda incompleta, 2 si los argumentos o la configuración no son
+// válidos y 130 (el habitual tras Ctrl+C) si se cancela.
+const SALIDA_INCOMPLETA = 1;
+const SALIDA_USO = 2;
+const SALIDA_CANCELADA = 130;
+
+// Los indicativos de AEMET son alfanuméricos y siempre contienen algún dígito (ej: 5530E, B228).
+const esIndicativo = (texto) => /^(?=.*\d)[0-9A-Z]{4,6}$/i.test(texto);
+
+function mostrarAyuda() {
+  console.log(`
+Uso: node extract.js [opciones]
+
+Sin --estaciones, el script pregunta los datos que falten (solo si se ejecuta en una terminal).
+Con --trabajos, las extracciones se leen de un fichero JSON (ver el README).
+
+Opciones:
+  --estaciones <lista>     Indicativos o nombres de estación separados por comas (ej: 5530E,9434,Granada).
+  --inicio <fecha>         Fecha de inicio, YYYY-MM-DD o DD/MM/YYYY [Por defecto: 01/01/1972].
+  --fin <fecha>            Fecha de fin, YYYY-MM-DD o DD/MM/YYYY [Por defecto: hoy].
+  --salida <carpeta>       Carpeta en la que se crean las carpetas de las estaciones [Por defecto: la actual].
+  --formato <csv|json>     Formato de los análisis [Por defecto: csv]. Con json se guarda también el diario en JSON.
+  --campos <lista>         Columnas del CSV diario (ej: tmax,tmin,prec). La fecha se incluye siempre.
+  --trabajos <fichero>     Ejecuta los trabajos de un fichero JSON en lugar de una sola extracción.
+  --oficiales              Descarga y compara los valores mensuales/anuales oficiales.
+  --referencias            Descarga las normales y los valores extremos oficiales.
+  --actualizar             Actualiza los datos ya descargados de cada estación hasta hoy.
+  --reiniciar              Empieza de cero aunque haya una extracción anterior a medias.
+  --offline                Usa solo las respuestas guardadas en la caché.
+  --peticiones-minuto <n>  Ritmo inicial de peticiones a AEMET.
+  --concurrencia <n>       Estaciones que se procesan a la vez [Por defecto: 1].
+  --plan                   No descarga nada: muestra las peticiones que se harían, cuántas están en la caché,
+                           la duración estimada y los ficheros que se crearían o sobrescribirían.
+  --plan-json <fichero>    Como --plan, y guarda el plan completo (cada petición y cada fichero) en un JSON.
+  -v, --verbose            Muestra los errores completos.
+  -h, --help               Muestra este mensaje de ayuda.
+
+Con Ctrl+C se deja de descargar, se guarda lo descargado (CSV diario, análisis parciales y manifiesto)
+y el script termina; al volver a lanzarlo se continúa donde se quedó. Un segundo Ctrl+C sale sin esperar.
+
+Códigos de salida: 0 si todas las estaciones se completan, ${SALIDA_INCOMPLETA} si alguna falla o queda
+incompleta, ${SALIDA_USO} si los argumentos o la configuración no son válidos y ${SALIDA_CANCELADA} si se cancela.
+`);
+}
+
+/**
+ * Interpreta la fecha de un argumento o de una respuesta del usuario.
+ * @throws {Error} Si no tiene formato YYYY-MM-DD ni DD/MM/YYYY.
+ */
+function leerFecha(texto, descripcion) {
+  const fecha = parsearFecha(texto);
+  if (!isValid(fecha)) throw new Error(`Formato de ${descripcion} no válido: "${texto}". Usa YYYY-MM-DD o DD/MM/YYYY.`);
+  return fecha;
+}
 
 /**
  * ¡Parsea los argumentos de la línea de comandos para configurar el script.
@@ -16,63 +84,306 @@ function setupFromCLIArgs() {
       type: 'boolean',
       short: 'v',
     },
+    help: {
+      type: 'boolean',
+      short: 'h',
+    },
+    estaciones: {
+      type: 'string',
+    },
+    inicio: {
+      type: 'string',
+    },
+    fin: {
+      type: 'string',
+    },
+    salida: {
+      type: 'string',
+    },
+    formato: {
+      type: 'string',
+    },
+    campos: {
+      type: 'string',
+    },
+    oficiales: {
+      type: 'boolean',
+    },
+    referencias: {
+      type: 'boolean',
+    },
+    offline: {
+      type: 'boolean',
+    },
+    'peticiones-minuto': {
+      type: 'string',
+    },
+    concurrencia: {
+      type: 'string',
+    },
+    reiniciar: {
+      type: 'boolean',
+    },
+    actualizar: {
+      type: 'boolean',
+    },
+    trabajos: {
+      type: 'string',
+    },
+    plan: {
+      type: 'boolean',
+    },
+    'plan-json': {
+      type: 'string',
+    },
   };
 
   try {
     const { values } = parseArgs({ options });
+    if (values.help) {
+      mostrarAyuda();
+      process.exit(0);
+    }
     if (values.verbose) {
       SCRIPT_SETTINGS.VERBOSE_MODE = true;
       logger.warn('Modo Verbose activado. Se mostrarán los errores completos.');
     }
+    if (values['peticiones-minuto'] !== undefined) {
+      const peticionesPorMinuto = parseFloat(values['peticiones-minuto']);
+      if (!(peticionesPorMinuto > 0)) throw new Error('--peticiones-minuto debe ser un número positivo.');
+      limitadorAemet.configurar({ peticionesPorMinuto });
+      logger.info(`Ritmo inicial de peticiones: ${peticionesPorMinuto}/min.`);
+    }
+    if (values.offline) {
+      logger.warn('Modo offline activado. Solo se usarán las respuestas guardadas en la caché.');
+    }
+    const concurrencia = values.concurrencia !== undefined ? parseInt(values.concurrencia, 10) : undefined;
+    if (concurrencia !== undefined && !(concurrencia >= 1)) throw new Error('--concurrencia debe ser un número entero mayor que 0.');
+    const enConflicto = OPCIONES_DE_TRABAJO.filter(opcion => values.trabajos && values[opcion] !== undefined);
+    if (enConflicto.length > 0) throw new Error(`--trabajos no se puede combinar con --${enConflicto.join(', --')}: indícalas en el fichero.`);
+    const formato = values.formato ?? 'csv';
+    if (!FORMATOS.includes(formato)) throw new Error(`--formato debe ser uno de: ${FORMATOS.join(', ')}.`);
+    const columnasDiarias = values.campos ? seleccionarColumnasDiarias(values.campos.split(',').map(s => s.trim()).filter(Boolean)) : undefined;
+    return {
+      opcionesProceso: {
+        incluirOficiales: Boolean(values.oficiales),
+        incluirReferencias: Boolean(values.referencias),
+        offline: Boolean(values.offline),
+        reiniciar: Boolean(values.reiniciar),
+        actualizar: Boolean(values.actualizar),
+        directorioBase: values.salida ?? '.',
+        formato,
+        columnasDiarias,
+      },
+      concurrencia,
+      plan: Boolean(values.plan) || values['plan-json'] !== undefined,
+      planJson: values['plan-json'] ?? null,
+      trabajos: values.trabajos ?? null,
+      estaciones: values.estaciones ?? null,
+      fechaInicio: values.inicio ? leerFecha(values.inicio, '--inicio') : null,
+      fechaFin: values.fin ? leerFecha(values.fin, '--fin') : null,
+    };
+  } catch (error) {
+    logger.failAndStop(`Error al parsear los argumentos: ${error.message}`);
+    process.exit(SALIDA_USO);
+  }
+}
+
+/**
+ * Convierte la entrada del usuario en una lista de indicativos. Las entradas que
+ * no son un indicativo se buscan por nombre en el inventario de estaciones y,
+ * si hay varias coincidencias, se pide al usuario que elija.
+ * @param {Array<string>} entradas - Indicativos o textos de búsqueda.
+ * @param {((query: string) => Promise<string>)|null} ask - Función para preguntar al usuario. Sin ella
+ * (ejecución no interactiva), un nombre con varias coincidencias es un error.
+ * @param {Object} [opcionesInventario] - Opciones de `cargarInventario` (ej: `soloCache` con --plan).
+ * @returns {Promise<Array<string>>} Los indicativos seleccionados.
+ */
+async function resolverEstaciones(entradas, ask, opcionesInventario = {}) {
+  const indicativos = [];
+  let inventario = null;
+
+  for (const entrada of entradas) {
+    if (esIndicativo(entrada)) {
+      indicativos.push(entrada.toUpperCase());
+      continue;
+    }
+
+    inventario ??= await cargarInventario(opcionesInventario);
+    const coincidencias = buscarEstaciones(inventario, { nombre: entrada });
+    if (coincidencias.length === 0) {
+      logger.warn(`No se encontró ninguna estación cuyo nombre contenga "${entrada}".`);
+      continue;
+    }
+    if (coincidencias.length === 1) {
+      logger.info(`"${entrada}" → ${coincidencias[0].nombre} (${logger.highlight(coincidencias[0].indicativo)})`);
+      indicativos.push(coincidencias[0].indicativo);
+      continue;
+    }
+
+    logger.log(`\nEstaciones que coinciden con "${entrada}":`);
+    const mostradas = coincidencias.slice(0, MAX_COINCIDENCIAS);
+    mostradas.forEach((e, i) => logger.log(`  ${i + 1}. ${e.nombre} (${e.provincia}, ${e.altitud} m) → ${logger.highlight(e.indicativo)}`));
+    if (coincidencias.length > MAX_COINCIDENCIAS) {
+      logger.log(`  ... y ${coincidencias.length - MAX_COINCIDENCIAS} más. Afina la búsqueda para verlas.`);
+    }
+    if (!ask) {
+      throw new Error(`"${entrada}" coincide con ${coincidencias.length} estaciones. Indica su indicativo en --estaciones.`);
+    }
+
+    const seleccion = await ask(logger.query('🔢 Elige el número de la estación (o varios separados por comas): '));
+    for (const numero of seleccion.split(',').map(s => parseInt(s.trim(), 10))) {
+      if (mostradas[numero - 1]) indicativos.push(mostradas[numero - 1].indicativo);
+    }
+  }
+
+  return indicativos;
+}
+
+/**
+ * Convierte Ctrl+C en una cancelación ordenada: el primero cancela la señal que
+ * reciben las extracciones, que cierran sus ficheros y guardan el manifiesto; el
+ * segundo sale en el acto, por si algo se queda esperando.
+ * @returns {AbortSignal} La señal que se cancela con Ctrl+C.
+ */
+function cancelarConCtrlC() {
+  const controlador = new AbortController();
+  process.on('SIGINT', () => {
+    if (controlador.signal.aborted) process.exit(SALIDA_CANCELADA);
+    logger.warn('Cancelando: se guarda lo descargado hasta ahora. Pulsa Ctrl+C otra vez para salir sin esperar.');
+    controlador.abort(new Error('Extracción cancelada con Ctrl+C.'));
+    process.exitCode = SALIDA_CANCELADA;
+  });
+  return controlador.signal;
+}
+
+/**
+ * Muestra un plan (`--plan`) y, con `--plan-json`, lo guarda en un fichero.
+ * @param {Object} plan - El plan de `planificarExtracciones` o `planificarTrabajos`.
+ * @param {string|null} rutaJson - Dónde guardarlo.
+ */
+async function presentarPlan(plan, rutaJson) {
+  mostrarPlan(plan);
+  if (!rutaJson) return;
+  await fs.writeFile(rutaJson, JSON.stringify(plan, null, 2));
+  logger.succeed(`Plan guardado en ${logger.highlight(rutaJson)}.`);
+}
+
+/**
+ * Ejecuta los trabajos de un fichero (`--trabajos`), o solo los planifica con `--plan`.
+ * La concurrencia de la línea de comandos tiene prioridad sobre la del fichero.
+ */
+async function ejecutarFicheroTrabajos(ruta, opcionesProceso, concurrenciaCLI, planJson) {
+  let fichero;
+  try {
+    fichero = await cargarFicheroTrabajos(ruta);
   } catch (error) {
-    logger.fail(`Error al parsear los argumentos: ${error.message}`);
-    process.exit(1);
+    logger.failAndStop(error.message);
+    process.exitCode = SALIDA_USO;
+    return;
+  }
+
+  const { offline, reiniciar, signal } = opcionesProceso;
+  if (planJson !== undefined) {
+    let plan;
+    try {
+      plan = await planificarTrabajos(fichero.trabajos, { offline, reiniciar });
+    } catch (error) {
+      logger.failAndStop(error.message);
+      process.exitCode = SALIDA_USO;
+      return;
+    }
+    await presentarPlan(plan, planJson);
+    return;
   }
+
+  const concurrencia = concurrenciaCLI ?? fichero.concurrencia ?? 1;
+  logger.info(`Se ejecutarán ${fichero.trabajos.length} trabajo(s) de ${ruta}.`);
+  const estados = await ejecutarTrabajos(fichero.trabajos, { offline, reiniciar, signal }, { concurrencia });
+  mostrarResumenTrabajos(estados);
+  if (signal.aborted) return;
+  if (estados.some(t => t.estado !== 'ok')) process.exitCode = SALIDA_INCOMPLETA;
 }
 
-async function iniciarProcesoInteractivo() {
+async function iniciarProceso() {
   // Se ejecuta justo al inicio.
-  setupFromCLIArgs();
+  const { opcionesProceso, concurrencia: concurrenciaCLI, ...argumentos } = setupFromCLIArgs();
+  const concurrencia = concurrenciaCLI ?? 1;
 
-  // Validar que la API Key esté disponible en el entorno
-  if (!process.env.AEMET_API_KEY) {
-    logger.fail('Error crítico: La variable de entorno AEMET_API_KEY no está definida.');
-    logger.info('Por favor, crea un fichero .env en la raíz del proyecto y añade la línea: AEMET_API_KEY="tu_clave"');
-    process.exit(1);
+  // Validar que haya alguna API Key en el entorno (en modo offline o al planificar no se usa)
+  // Con varias claves, las peticiones se reparten entre ellas y las que AEMET rechace se irán descartando.
+  if (!opcionesProceso.offline && !argumentos.plan) {
+    const claves = comprobarClavesApi();
+    if (claves.length > 1) logger.info(`Las peticiones se repartirán entre ${claves.length} API keys.`);
   }
 
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  const ask = (query) => new Promise(resolve => rl.question(query, resolve));
+  if (argumentos.trabajos) {
+    const planJson = argumentos.plan ? argumentos.planJson : undefined;
+    await ejecutarFicheroTrabajos(argumentos.trabajos, { ...opcionesProceso, signal: cancelarConCtrlC() }, concurrenciaCLI, planJson);
+    return;
+  }
 
-  // Usamos el nuevo método 'log' para que no interactúe con el spinner
-  logger.log(logger.magentaBold('--- Configuración del Script de Descarga de Aemet ---'));
+  // Solo se pregunta cuando faltan las estaciones y hay alguien al otro lado:
+  // desde cron o CI, que falte --estaciones es un error.
+  const interactivo = !argumentos.estaciones && Boolean(process.stdin.isTTY);
+  if (!argumentos.estaciones && !interactivo) {
+    logger.failAndStop('Falta --estaciones y la entrada no es una terminal, así que no se puede preguntar. Usa --help para ver las opciones.');
+    process.exit(SALIDA_USO);
+  }
 
+  const rl = interactivo ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+  const ask = rl ? (query) => new Promise(resolve => rl.question(query, resolve)) : null;
+  // Al actualizar, cada estación continúa desde su último día descargado hasta hoy.
+  const preguntarFechas = interactivo && !opcionesProceso.actualizar;
+
+  let estaciones, fechaInicio, fechaFin;
   try {
-    const estacionesInput = await ask(logger.query('📡 Introduce ID(s) de estación (ej: 5530E,9434) [Por defecto: 5530E]: '));
-    const estaciones = (estacionesInput || '5530E').split(',').map(s => s.trim());
-
-    const fechaInicioInput = await ask(logger.query('🗓️  Introduce la fecha de inicio (DD/MM/YYYY) [Por defecto: 01/01/1972]: '));
-    const fechaInicio = fechaInicioInput ? parse(fechaInicioInput, 'dd/MM/yyyy', new Date()) : new Date('1972-01-01T00:00:00Z');
-    if (!isValid(fechaInicio)) throw new Error('Formato de fecha de inicio no válido. Usa DD/MM/YYYY.');
-
-    const fechaFinInput = await ask(logger.query('🗓️  Introduce la fecha de fin (DD/MM/YYYY) [Por defecto: Hoy]: '));
-    const fechaFin = fechaFinInput ? parse(fechaFinInput, 'dd/MM/yyyy', new Date()) : new Date();
-    if (!isValid(fechaFin)) throw new Error('Formato de fecha de fin no válido. Usa DD/MM/YYYY.');
-    
-    logger.info(`\nSe procesarán ${estaciones.length} estación(es) de forma secuencial.`);
-
-    for (const estacion of estaciones) {
-      await procesarEstacion(estacion, fechaInicio, fechaFin);
-      logger.succeed(`Proceso para la estación ${estacion} finalizado.`);
+    if (interactivo) {
+      // Usamos el nuevo método 'log' para que no interactúe con el spinner
+      logger.log(logger.magentaBold('--- Configuración del Script de Descarga de Aemet ---'));
     }
+    const estacionesInput = argumentos.estaciones ?? await ask(logger.query('📡 Introduce ID(s) o nombre(s) de estación (ej: 5530E,9434,Granada) [Por defecto: 5530E]: '));
+    // Al planificar no se descarga nada, tampoco el inventario: los nombres se buscan en su copia local.
+    estaciones = await resolverEstaciones((estacionesInput || '5530E').split(',').map(s => s.trim()).filter(Boolean), ask, { soloCache: argumentos.plan });
+    if (estaciones.length === 0) throw new Error('No se ha seleccionado ninguna estación.');
 
-    logger.log(`\n\n${logger.magentaBold('🎉🎉🎉 ¡Todos los procesos han finalizado! 🎉🎉🎉')}`);
+    const fechaInicioInput = !argumentos.fechaInicio && preguntarFechas ? await ask(logger.query('🗓️  Introduce la fecha de inicio (DD/MM/YYYY o YYYY-MM-DD) [Por defecto: 01/01/1972]: ')) : '';
+    fechaInicio = argumentos.fechaInicio ?? (fechaInicioInput ? leerFecha(fechaInicioInput, 'fecha de inicio') : new Date('1972-01-01T00:00:00Z'));
 
+    const fechaFinInput = !argumentos.fechaFin && preguntarFechas ? await ask(logger.query('🗓️  Introduce la fecha de fin (DD/MM/YYYY o YYYY-MM-DD) [Por defecto: Hoy]: ')) : '';
+    fechaFin = argumentos.fechaFin ?? (fechaFinInput ? leerFecha(fechaFinInput, 'fecha de fin') : new Date());
+    if (fechaInicio > fechaFin) throw new Error('La fecha de inicio es posterior a la de fin.');
   } catch (error) {
-    logger.fail(`\nError fatal durante la configuración: ${error.message}`);
+    logger.failAndStop(`\nError fatal durante la configuración: ${error.message}`);
+    process.exitCode = SALIDA_USO;
+    return;
   } finally {
-    rl.close();
+    rl?.close();
+  }
+
+  if (argumentos.plan) {
+    await presentarPlan(await planificarExtracciones(estaciones, fechaInicio, fechaFin, opcionesProceso), argumentos.planJson);
+    return;
+  }
+
+  const enParalelo = Math.min(concurrencia, estaciones.length);
+  logger.info(`\nSe procesarán ${estaciones.length} estación(es) ${enParalelo > 1 ? `de ${enParalelo} en ${enParalelo}` : 'de forma secuencial'}.`);
+
+  // Las preguntas ya están hechas: a partir de aquí Ctrl+C cancela de forma ordenada.
+  const signal = cancelarConCtrlC();
+  const inicio = Date.now();
+  const resultados = await ejecutarExtracciones(estaciones, fechaInicio, fechaFin, { ...opcionesProceso, signal }, { concurrencia });
+  mostrarResumen(resultados, Date.now() - inicio);
+
+  if (signal.aborted) {
+    logger.log(`\n${logger.magentaBold('Extracción cancelada.')} Vuelve a lanzar el mismo comando para continuarla.`);
+    return;
   }
+  logger.log(`\n\n${logger.magentaBold('🎉🎉🎉 ¡Todos los procesos han finalizado! 🎉🎉🎉')}`);
+  if (!resultados.every(esCompleta)) process.exitCode = SALIDA_INCOMPLETA;
 }
 
-iniciarProcesoInteractivo();
\ No newline at end of file
+iniciarProceso().catch(error => {
+  logger.failAndStop(`Error fatal durante la extracción: ${error.message}`);
+  process.exit(SALIDA_INCOMPLETA);
+});
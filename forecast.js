@@ -0,0 +1,78 @@
+/**
+ * forecast.js
+ *
+ * Responsabilidad: Descargar la predicción diaria u horaria de un municipio y
+ * mostrarla (y opcionalmente guardarla en CSV) con los mismos nombres de campo
+ * que los datos climatológicos.
+ */
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { SCRIPT_SETTINGS } from './src/config.js';
+import { obtenerPrediccionDiaria, obtenerPrediccionHoraria } from './src/services/aemetApi.js';
+import { comprobarClavesApi } from './src/utils/apiKeyCheck.js';
+import { guardarAnalisisEnCSV } from './src/services/csvWriter.js';
+import { normalizarPrediccionDiaria, normalizarPrediccionHoraria } from './src/utils/forecastProcessor.js';
+import { resolverMunicipio } from './src/utils/municipalityLookup.js';
+import { createFormattedTable } from './src/utils/consoleColorizer.js';
+
+const COLUMNAS = {
+  diaria: ['fecha', 'municipio', 'nombre', 'tmed', 'tmin', 'tmax', 'prob_prec', 'velmedia', 'dir', 'racha', 'hrMax', 'hrMin', 'uvMax', 'estado_cielo'],
+  horaria: ['fecha', 'hora', 'municipio', 'nombre', 'ta', 'sens_termica', 'prec', 'hr', 'velmedia', 'dir', 'racha', 'estado_cielo'],
+};
+
+function mostrarAyuda() {
+  console.log(`
+Uso: node forecast.js --municipio <nombre|código INE> [opciones]
+
+Opciones:
+  --municipio <texto>     Nombre del municipio (ej: Sevilla) o su código INE (ej: 41091).
+  --tipo <diaria|horaria> Tipo de predicción [Por defecto: diaria].
+  --salida <fichero.csv>  Guarda la predicción en un fichero CSV.
+  -v, --verbose           Muestra los errores completos.
+  -h, --help              Muestra este mensaje de ayuda.
+`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      municipio: { type: 'string' },
+      tipo: { type: 'string', default: 'diaria' },
+      salida: { type: 'string' },
+      verbose: { type: 'boolean', short: 'v' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help || !values.municipio) {
+    mostrarAyuda();
+    process.exit(values.help ? 0 : 1);
+  }
+  if (!COLUMNAS[values.tipo]) {
+    throw new Error(`Tipo de predicción no válido: "${values.tipo}". Usa "diaria" u "horaria".`);
+  }
+  comprobarClavesApi();
+  SCRIPT_SETTINGS.VERBOSE_MODE = Boolean(values.verbose);
+
+  const municipio = resolverMunicipio(values.municipio);
+  console.log(`\n🌤️  Predicción ${values.tipo} para ${municipio.nombre} (código INE ${municipio.codigo})`);
+
+  const registros = values.tipo === 'diaria'
+    ? normalizarPrediccionDiaria(await obtenerPrediccionDiaria(municipio.codigo))
+    : normalizarPrediccionHoraria(await obtenerPrediccionHoraria(municipio.codigo));
+
+  const columnas = COLUMNAS[values.tipo];
+  const filas = registros.map(r => Object.fromEntries(columnas.map(c => [c, r[c] ?? ''])));
+  console.log(createFormattedTable(filas, { tmax: { type: 'gradient', decimals: 0 }, tmin: { type: 'gradient', decimals: 0 }, ta: { type: 'gradient', decimals: 0 } }));
+
+  if (values.salida) {
+    const cast = { number: (value) => (typeof value === 'number' ? value.toString().replace('.', ',') : value), };
+    await guardarAnalisisEnCSV(registros, values.salida, columnas, cast);
+    console.log(`\n✅ Predicción guardada en: ${values.salida}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Error al obtener la predicción: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,12 @@
+/**
+ * index.js
+ *
+ * Responsabilidad: Punto de entrada del paquete para usarlo como librería desde
+ * otros programas de Node (ver `AemetClient` en src/services/aemetClient.js).
+ * Los scripts de línea de comandos son extract.js, analyze.js, stations.js, etc.
+ */
+export { AemetClient } from './src/services/aemetClient.js';
+export {
+  ErrorAemet, ErrorAutenticacion, ErrorSinDatos, ErrorLimitePeticiones, ErrorServidor, ErrorContenido,
+} from './src/services/aemetErrors.js';
+export { limitadorAemet } from './src/services/rateLimiter.js';
@@ -0,0 +1,111 @@
+/**
+ * retry.js
+ *
+ * Responsabilidad: Reintentar los días que no se pudieron obtener en
+ * extracciones anteriores, a partir del `fallos.json` de cada carpeta de estación.
+ */
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { SCRIPT_SETTINGS } from './src/config.js';
+import { logger } from './src/utils/consoleLogger.js';
+import { createFormattedTable } from './src/utils/consoleColorizer.js';
+import { reintentarFallos } from './src/extraction-worker.js';
+import { buscarCarpetasConFallos } from './src/services/failureReport.js';
+import { limitadorAemet } from './src/services/rateLimiter.js';
+import { comprobarClavesApi } from './src/utils/apiKeyCheck.js';
+
+// Códigos de salida, como en extract.js.
+const SALIDA_INCOMPLETA = 1;
+const SALIDA_USO = 2;
+
+function mostrarAyuda() {
+  console.log(`
+Uso: node retry.js [carpeta ...] [opciones]
+
+Reintenta los días pendientes del fallos.json de cada carpeta de estación, añade
+los registros recuperados al CSV diario (en orden de fecha) y regenera los análisis.
+Sin carpetas, revisa todas las carpetas datos_* que tengan un fallos.json.
+
+Opciones:
+  --salida <carpeta>       Dónde buscar las carpetas datos_* si no se indican [Por defecto: la actual].
+  --peticiones-minuto <n>  Ritmo inicial de peticiones a AEMET.
+  -v, --verbose            Muestra los errores completos.
+  -h, --help               Muestra este mensaje de ayuda.
+
+Códigos de salida: 0 si se recuperan todos los días, ${SALIDA_INCOMPLETA} si queda alguno pendiente
+y ${SALIDA_USO} si los argumentos o la configuración no son válidos.
+`);
+}
+
+async function main() {
+  let argumentos;
+  try {
+    argumentos = parseArgs({
+      options: {
+        salida: { type: 'string' },
+        'peticiones-minuto': { type: 'string' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' },
+      },
+      allowPositionals: true,
+    });
+  } catch (error) {
+    logger.failAndStop(`Error al parsear los argumentos: ${error.message}`);
+    process.exit(SALIDA_USO);
+  }
+  const { values, positionals } = argumentos;
+
+  if (values.help) {
+    mostrarAyuda();
+    process.exit(0);
+  }
+  comprobarClavesApi();
+  SCRIPT_SETTINGS.VERBOSE_MODE = Boolean(values.verbose);
+  if (values['peticiones-minuto'] !== undefined) {
+    const peticionesPorMinuto = parseFloat(values['peticiones-minuto']);
+    if (!(peticionesPorMinuto > 0)) {
+      logger.failAndStop('--peticiones-minuto debe ser un número positivo.');
+      process.exit(SALIDA_USO);
+    }
+    limitadorAemet.configurar({ peticionesPorMinuto });
+  }
+
+  const carpetas = positionals.length > 0 ? positionals : await buscarCarpetasConFallos(values.salida ?? '.');
+  if (carpetas.length === 0) {
+    logger.info('No hay carpetas con días pendientes.');
+    return;
+  }
+
+  const filas = [];
+  for (const carpeta of carpetas) {
+    logger.log(`\n${logger.magentaBold(`--- ${carpeta} ---`)}`);
+    try {
+      const resultado = await reintentarFallos(carpeta);
+      if (!resultado) {
+        logger.info('La carpeta no tiene días pendientes.');
+        continue;
+      }
+      filas.push({
+        carpeta,
+        estado: resultado.diasFallidos.length === 0 ? '✅ ok' : '⚠ incompleta',
+        dias_reintentados: resultado.diasReintentados,
+        dias_pendientes: resultado.diasFallidos.length,
+        registros_recuperados: resultado.recuperados,
+      });
+    } catch (error) {
+      logger.failAndStop(`No se pudieron reintentar los fallos de ${carpeta}: ${error.message}`);
+      filas.push({ carpeta, estado: '❌ error', dias_reintentados: '-', dias_pendientes: '-', registros_recuperados: '-' });
+    }
+  }
+
+  if (filas.length > 0) {
+    logger.log(`\n${logger.magentaBold('--- Resumen de los reintentos ---')}`);
+    logger.log(createFormattedTable(filas, {}));
+  }
+  if (filas.some(f => f.estado !== '✅ ok')) process.exitCode = SALIDA_INCOMPLETA;
+}
+
+main().catch(error => {
+  logger.failAndStop(`Error fatal al reintentar los fallos: ${error.message}`);
+  process.exit(SALIDA_INCOMPLETA);
+});
@@ -12,11 +12,13 @@ import _ from 'lodash-es';
 import { getYear, getDaysInYear, eachDayOfInterval, format, startOfYear, endOfYear } from 'date-fns';
 import { readAndProcessData } from '../src/utils/dataLoader.js';
 import { logger } from '../src/utils/consoleLogger.js';
+import { cargarReferencias } from '../src/services/climateReferences.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // --- CONFIGURACIÓN ---
+const STATION_ID = '5530E';
 const DATA_FILE = path.join(__dirname, '..', 'datos_5530E_19720101_20250819', 'diarios_5530E_19720101_20250819.csv');
 const OUTPUT_DIR = path.join(__dirname, '..', 'visualizacion');
 const OUTPUT_FILE = path.join(OUTPUT_DIR, 'climate-stripes.json');
@@ -79,6 +81,13 @@ async function generateClimateStripesData() {
     // 3. Agrupar olas de calor por año
     const heatwavesByYear = _.groupBy(allHeatwaves, wave => getYear(wave[0].date));
 
+    // 3b. Récords mensuales oficiales de tmax (si se han descargado las referencias)
+    const referencias = await cargarReferencias(STATION_ID);
+    const recordTmaxPorMes = _.mapValues(_.keyBy(referencias?.extremos ?? [], 'mes'), 'tmax_record');
+    if (referencias) {
+      logger.info('  - Se marcarán los días que igualan o superan los récords mensuales oficiales de tmax.');
+    }
+
     // 4. Generar datos para la visualización
     const recordsByDayStr = _.keyBy(allRecords, r => format(r.date, 'yyyy-MM-dd'));
     const visualizationData = [];
@@ -97,6 +106,7 @@ async function generateClimateStripesData() {
       const totalTmaxInWaves = _.sumBy(yearWaves, wave => _.sumBy(wave, 'tmax'));
       const heatwaveAvgIntensity = heatwaveTotalDays > 0 ? totalTmaxInWaves / heatwaveTotalDays : 0;
       let daysOver40 = 0;
+      let recordDays = 0;
 
       const yearDaysData = allDaysOfYear.map(day => {
         const dayString = format(day, 'yyyy-MM-dd');
@@ -105,10 +115,16 @@ async function generateClimateStripesData() {
         if (tmax > 40) {
             daysOver40++;
         }
+        const monthRecord = recordTmaxPorMes[day.getMonth() + 1];
+        const isRecordDay = tmax !== null && typeof monthRecord === 'number' && tmax >= monthRecord;
+        if (isRecordDay) {
+            recordDays++;
+        }
         return {
             date: dayString,
             tmax,
-            isHeatwaveDay: heatwaveDates.has(dayString) // Añadir la nueva bandera
+            isHeatwaveDay: heatwaveDates.has(dayString), // Añadir la nueva bandera
+            isRecordDay
         };
       });
 
@@ -119,7 +135,8 @@ async function generateClimateStripesData() {
         heatwaveCount,
         heatwaveTotalDays,
         heatwaveAvgIntensity: parseFloat(heatwaveAvgIntensity.toFixed(2)),
-        daysOver40
+        daysOver40,
+        recordDays
       });
     }
 
@@ -12,10 +12,13 @@ import _ from 'lodash-es';
 import { getYear, startOfDay, isWithinInterval, eachDayOfInterval, format } from 'date-fns';
 import { readData, normalizarDatos } from '../src/utils/dataProcessor.js';
 import { logger } from '../src/utils/consoleLogger.js';
+import { cargarReferencias } from '../src/services/climateReferences.js';
+import { calcularReferenciaVerano, ETIQUETA_NORMALES } from '../src/utils/analysis/summerReference.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const STATION_ID = '5530E';
 const DATA_FILE = path.join(__dirname, '..', 'datos_5530E_19720101_20250819', 'diarios_5530E_19720101_20250819.csv');
 const OUTPUT_DIR = path.join(__dirname, '..', 'visualizacion');
 const OUTPUT_FILE = path.join(OUTPUT_DIR, 'hot-days.json');
@@ -64,9 +67,19 @@ async function generateHotDaysData() {
     const summerRecords = filterSummerRecords(allRecords);
     logger.info(`  - ${summerRecords.length} días de verano encontrados.`);
 
-    logger.info('Calculando la temperatura media ("tmed") para todo el período de verano...');
-    const avgPeriodoTmed = robustMean(summerRecords, 'tmed');
-    logger.info(`  - Media histórica de tmed: ${avgPeriodoTmed.toFixed(2)}°C`);
+    // La referencia es la normal oficial del verano si se han descargado las
+    // referencias de la estación; si no, la media del período.
+    const referencias = await cargarReferencias(STATION_ID);
+    const normalVerano = referencias ? calcularReferenciaVerano(referencias.normales) : null;
+    let avgPeriodoTmed;
+    if (normalVerano?.tmed != null) {
+      avgPeriodoTmed = normalVerano.tmed;
+      logger.info(`  - Referencia de tmed (${ETIQUETA_NORMALES}): ${avgPeriodoTmed.toFixed(2)}°C`);
+    } else {
+      logger.info('Calculando la temperatura media ("tmed") para todo el período de verano...');
+      avgPeriodoTmed = robustMean(summerRecords, 'tmed');
+      logger.info(`  - Media histórica de tmed: ${avgPeriodoTmed.toFixed(2)}°C`);
+    }
 
     const visualizationData = [];
     const recordsByDay = _.keyBy(allRecords, r => format(r.date, 'yyyy-MM-dd'));
@@ -0,0 +1,100 @@
+/**
+ * scripts/generate-municipios-data.js
+ *
+ * Responsabilidad: Regenerar la tabla offline de municipios (src/data/municipios.js)
+ * a partir de la relación de municipios y sus códigos que publica el INE cada año
+ * (diccionarioAA.xlsx en https://www.ine.es/daco/daco42/codmun/codmunmapa.htm),
+ * guardada como CSV desde cualquier hoja de cálculo.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv/sync';
+import { PROVINCIAS } from '../src/data/provincias.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'data', 'municipios.js');
+
+// El INE pospone el artículo ("Rozas de Madrid, Las", "Hospitalet de Llobregat, L'"); aquí se
+// escribe delante, como en el resto del proyecto y en las predicciones de AEMET.
+const ARTICULO_POSPUESTO = /^(.+), (El|La|Los|Las|Lo|L'|Els|Les|Es|Sa|Ses|S'|A|As|O|Os)$/;
+
+const anteponerArticulo = (nombre) => nombre.split('/').map(parte => {
+  const match = ARTICULO_POSPUESTO.exec(parte.trim());
+  if (!match) return parte.trim();
+  const [, resto, articulo] = match;
+  return articulo.endsWith("'") ? `${articulo}${resto}` : `${articulo} ${resto}`;
+}).join('/');
+
+// Las hojas de cálculo guardan el CSV en UTF-8 o en Windows-1252, según el sistema.
+function leerTexto(ruta) {
+  const buffer = fs.readFileSync(ruta);
+  const utf8 = buffer.toString('utf-8');
+  return utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Lee los municipios del CSV del INE. La primera línea del fichero es un título
+ * ("Relación de municipios y códigos por provincias a 01-01-AAAA"): las
+ * columnas empiezan en la fila que contiene CPRO, CMUN y NOMBRE.
+ * @param {string} ruta - Ruta del CSV.
+ * @returns {Array<{nombre: string, provincia: string, codigo: string}>} Los municipios, por código INE.
+ */
+function leerMunicipiosIne(ruta) {
+  const lineas = leerTexto(ruta).split(/\r?\n/);
+  const inicio = lineas.findIndex(linea => /\bCPRO\b/.test(linea) && /\bCMUN\b/.test(linea) && /\bNOMBRE\b/.test(linea));
+  if (inicio === -1) {
+    throw new Error(`${ruta} no tiene las columnas CPRO, CMUN y NOMBRE de la relación de municipios del INE.`);
+  }
+  const delimiter = [';', '\t', ','].find(separador => lineas[inicio].includes(separador)) ?? ',';
+  const filas = parse(lineas.slice(inicio).join('\n'), { columns: true, delimiter, skip_empty_lines: true, trim: true });
+
+  const nombresProvincia = new Map(PROVINCIAS.map(p => [p.codigo, p.nombre]));
+  return filas
+    .filter(fila => /^\d+$/.test(fila.CPRO) && /^\d+$/.test(fila.CMUN) && fila.NOMBRE)
+    .map(fila => {
+      const provincia = fila.CPRO.padStart(2, '0');
+      return { nombre: anteponerArticulo(fila.NOMBRE), provincia: nombresProvincia.get(provincia) ?? provincia, codigo: `${provincia}${fila.CMUN.padStart(3, '0')}` };
+    })
+    .sort((a, b) => a.codigo.localeCompare(b.codigo));
+}
+
+// Comillas simples, como en el resto del código, salvo en los nombres con apóstrofo.
+const literal = (texto) => (texto.includes("'") ? JSON.stringify(texto) : `'${texto}'`);
+
+function generarModulo(municipios, origen) {
+  const entradas = municipios.map(m => `  { nombre: ${literal(m.nombre)}, provincia: ${literal(m.provincia)}, codigo: '${m.codigo}' },`);
+  return `/**
+ * data/municipios.js
+ *
+ * Tabla offline de municipios y su código INE (5 dígitos: 2 de provincia y 3
+ * de municipio), que es el identificador que usa AEMET para las predicciones.
+ * Generada con scripts/generate-municipios-data.js a partir de ${origen}: no la edites a mano.
+ */
+export const MUNICIPIOS = [
+${entradas.join('\n')}
+];
+`;
+}
+
+function main() {
+  const ruta = process.argv[2];
+  if (!ruta) {
+    console.error('❌ Error: Debes indicar el CSV con la relación de municipios del INE.');
+    console.log('Ejemplo: node scripts/generate-municipios-data.js diccionario25.csv');
+    process.exit(1);
+  }
+
+  try {
+    const municipios = leerMunicipiosIne(path.resolve(ruta));
+    fs.writeFileSync(OUTPUT_FILE, generarModulo(municipios, path.basename(ruta)));
+    console.log(`✅ ${municipios.length} municipios guardados en ${path.relative(process.cwd(), OUTPUT_FILE)}.`);
+  } catch (error) {
+    console.error(`❌ No se pudo generar la tabla de municipios: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
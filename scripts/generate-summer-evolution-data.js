@@ -11,8 +11,11 @@ import { createReadStream } from 'fs';
 import { parse } from 'csv-parse';
 import { parse as parseDate, getYear, getDayOfYear, isWithinInterval, startOfDay, isValid } from 'date-fns';
 import _ from 'lodash-es';
+import { cargarReferencias } from '../src/services/climateReferences.js';
+import { calcularReferenciaVerano, ETIQUETA_NORMALES } from '../src/utils/analysis/summerReference.js';
 
 // --- CONFIGURACIÓN ---
+const STATION_ID = '5530E';
 const CSV_INPUT_PATH = path.resolve(process.cwd(), 'datos_5530E_19720101_20250819', 'diarios_5530E_19720101_20250819.csv');
 const JSON_OUTPUT_PATH = path.resolve(process.cwd(), 'visualizacion', 'summerevolution.json');
 const START_YEAR = 1972;
@@ -86,12 +89,17 @@ async function processData() {
 
     // 3. Cálculos globales
     const allValidTmax = summerRecords.map(r => r.tmax).filter(t => t !== null);
-    const periodMeanTmax = _.mean(allValidTmax);
+    // Si hay referencias oficiales descargadas, las anomalías se calculan
+    // respecto a la normal del verano en lugar de la media del período.
+    const referencias = await cargarReferencias(STATION_ID);
+    const normalTmax = referencias ? calcularReferenciaVerano(referencias.normales).tmax : null;
+    const periodMeanTmax = normalTmax ?? _.mean(allValidTmax);
+    const referencia = normalTmax !== null ? ETIQUETA_NORMALES : 'Media del período';
     const bounds = {
       min: _.min(allValidTmax),
       max: _.max(allValidTmax)
     };
-    console.log(`📈 Media histórica de Tmax en verano: ${periodMeanTmax.toFixed(2)}°C`);
+    console.log(`📈 Referencia de Tmax en verano (${referencia}): ${periodMeanTmax.toFixed(2)}°C`);
     console.log(`🌡️ Rango de Tmax: de ${bounds.min.toFixed(2)}°C a ${bounds.max.toFixed(2)}°C`);
 
     // 4. Calcular la media histórica para cada día del verano
@@ -145,6 +153,7 @@ async function processData() {
     // 6. Construir el objeto final y guardar como JSON
     const outputData = {
       periodMeanTmax,
+      referencia,
       bounds,
       historicalDailyAverage,
       yearlyData
@@ -0,0 +1,91 @@
+/**
+ * scripts/mock-server.js
+ *
+ * Responsabilidad: Arrancar el servidor simulado de AEMET desde la línea de
+ * comandos, para ejecutar `extract.js` y el resto de scripts sin clave ni red.
+ */
+import { parseArgs } from 'util';
+import { crearServidorMock } from '../src/mock/aemetMockServer.js';
+
+function showHelp() {
+  console.log(`
+Uso: node scripts/mock-server.js [opciones]
+
+Opciones:
+  --puerto <n>              Puerto de escucha [Por defecto: 8787].
+  --fixtures <carpeta>      Carpeta con respuestas JSON (ver src/mock/aemetMockServer.js).
+  --fallo-429 <0-1>         Probabilidad de responder 429 (rate limit).
+  --fallo-5xx <0-1>         Probabilidad de responder 500/503.
+  --fallo-sin-datos <0-1>   Probabilidad de responder 404 "No hay datos".
+  --fallo-lento <0-1>       Probabilidad de retrasar la respuesta.
+  --retraso <ms>            Retraso de las respuestas lentas [Por defecto: 5000].
+  --fallo-json <0-1>        Probabilidad de servir un JSON truncado en la URL de datos.
+  --dias-con-error <lista> Días (AAAA-MM-DD, separados por comas) con los que fallan siempre los datos diarios.
+  --limite-minuto <n>       Simula el cupo de peticiones por minuto de AEMET (cabecera Remaining-request-count).
+  --claves-invalidas <lista> API keys (separadas por comas) que se rechazan con un 401.
+  --semilla <n>             Semilla para que los fallos sean reproducibles [Por defecto: 1].
+  -h, --help                Muestra este mensaje de ayuda.
+
+Ejemplo:
+  node scripts/mock-server.js --fallo-429 0.1 --fallo-5xx 0.05
+  AEMET_BASE_URL=http://127.0.0.1:8787/opendata/api AEMET_API_KEY=prueba node extract.js
+`);
+}
+
+async function startMockServer() {
+  const { values } = parseArgs({
+    options: {
+      puerto: { type: 'string', default: '8787' },
+      fixtures: { type: 'string' },
+      'fallo-429': { type: 'string' },
+      'fallo-5xx': { type: 'string' },
+      'fallo-sin-datos': { type: 'string' },
+      'fallo-lento': { type: 'string' },
+      retraso: { type: 'string' },
+      'fallo-json': { type: 'string' },
+      'dias-con-error': { type: 'string' },
+      'limite-minuto': { type: 'string' },
+      'claves-invalidas': { type: 'string' },
+      semilla: { type: 'string', default: '1' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    showHelp();
+    return;
+  }
+
+  const tasa = (nombre) => (values[nombre] !== undefined ? parseFloat(values[nombre]) : 0);
+  const servidor = crearServidorMock({
+    puerto: parseInt(values.puerto, 10),
+    fixturesDir: values.fixtures ?? null,
+    semilla: parseInt(values.semilla, 10),
+    limitePorMinuto: values['limite-minuto'] !== undefined ? parseInt(values['limite-minuto'], 10) : null,
+    clavesInvalidas: values['claves-invalidas']?.split(',').map(c => c.trim()) ?? [],
+    fallos: {
+      tasa429: tasa('fallo-429'),
+      tasa5xx: tasa('fallo-5xx'),
+      tasaSinDatos: tasa('fallo-sin-datos'),
+      tasaLenta: tasa('fallo-lento'),
+      retrasoMs: values.retraso !== undefined ? parseInt(values.retraso, 10) : undefined,
+      tasaJsonMalformado: tasa('fallo-json'),
+      diasConError: values['dias-con-error']?.split(',').map(d => d.trim()) ?? [],
+    },
+  });
+
+  const url = await servidor.iniciar();
+  console.log(`🧪 Servidor simulado de AEMET escuchando en ${url}`);
+  console.log(`   Usa AEMET_BASE_URL="${url}" para dirigir los scripts a él. Ctrl+C para detenerlo.`);
+
+  process.on('SIGINT', async () => {
+    await servidor.detener();
+    console.log(`\nServidor detenido. Peticiones atendidas: ${servidor.estadisticas.peticiones}, fallos inyectados: ${servidor.estadisticas.fallosInyectados}, 429 por cupo: ${servidor.estadisticas.limitesExcedidos}.`);
+    process.exit(0);
+  });
+}
+
+startMockServer().catch(error => {
+  console.error('❌ No se pudo arrancar el servidor simulado:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+import { format } from 'date-fns';
+import { COLLECTOR_CONFIG } from './config.js';
+import { obtenerObservacionesConvencionales } from './services/aemetApi.js';
+import { crearArchivoHorario } from './services/hourlyArchive.js';
+import { normalizarObservaciones } from './utils/dataProcessor.js';
+import { logger } from './utils/consoleLogger.js';
+import { sleep } from './utils/asyncUtils.js';
+
+/**
+ * Descarga una vez las observaciones de cada estación y guarda las nuevas.
+ * @param {Map<string, Object>} archivos - Archivo horario de cada estación.
+ * @returns {Promise<number>} El número total de observaciones nuevas.
+ */
+async function realizarPasada(archivos) {
+  let totalNuevas = 0;
+
+  for (const [estacionId, archivo] of archivos) {
+    logger.setText(`Descargando observaciones de ${logger.highlight(estacionId)}...`);
+    try {
+      const recibidas = normalizarObservaciones(await obtenerObservacionesConvencionales(estacionId));
+      const observaciones = recibidas.filter(o => o.idema.toUpperCase() === estacionId);
+      if (observaciones.length === 0) {
+        // Suele ser un indicativo mal escrito o una estación que no da observaciones horarias.
+        logger.log(`  - ${estacionId}: ${logger.highlight('aviso')}, la respuesta de AEMET no incluye observaciones de la estación (${recibidas.length} de otras). Revisa el indicativo.`);
+        continue;
+      }
+      const nuevas = archivo.agregar(observaciones);
+      totalNuevas += nuevas;
+      logger.log(`  - ${estacionId}: ${nuevas} observación(es) nueva(s) de ${observaciones.length} recibidas (${archivo.total()} archivadas).`);
+    } catch (error) {
+      logger.log(`  - ${estacionId}: ${logger.highlight('error')} al descargar las observaciones: ${error.message}`);
+    }
+  }
+
+  return totalNuevas;
+}
+
+/**
+ * Recolecta de forma continua las observaciones horarias de varias estaciones.
+ * Como AEMET solo sirve las últimas 24 horas, basta con consultar cada pocas
+ * horas para no perder ninguna; por defecto se consulta cada hora.
+ * @param {Array<string>} estaciones - Indicativos de las estaciones, en mayúsculas como los devuelve AEMET.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.intervaloMinutos] - Minutos entre consultas.
+ * @param {boolean} [opciones.unaVez=false] - Hace una sola pasada (para ejecutar desde cron).
+ */
+export async function recolectarObservaciones(estaciones, opciones = {}) {
+  const { intervaloMinutos = COLLECTOR_CONFIG.POLL_INTERVAL_MINUTES, unaVez = false } = opciones;
+  const archivos = new Map(estaciones.map(id => [id, crearArchivoHorario(id)]));
+
+  while (true) {
+    logger.start(`Pasada de recolección (${format(new Date(), 'dd/MM/yyyy HH:mm')})...`);
+    const nuevas = await realizarPasada(archivos);
+    logger.succeed(`Pasada completada: ${logger.highlight(nuevas)} observación(es) nueva(s).`);
+
+    if (unaVez) return;
+
+    logger.start(`Esperando ${intervaloMinutos} minuto(s) hasta la siguiente pasada...`);
+    await sleep(intervaloMinutos * 60 * 1000);
+  }
+}
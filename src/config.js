@@ -4,12 +4,75 @@ export const SCRIPT_SETTINGS = {
 };
 
 export const API_CONFIG = {
-    // AÑADE ESTA LÍNEA
-    BASE_URL: 'https://opendata.aemet.es/opendata/api',
-    RETRY_DELAY_MS: 15000,
-    MAX_RETRY_SECONDS: 120,
-    REQUEST_INTERVAL_MS: 2000,
-    RATE_LIMIT_WAIT_MS: 60000, // 60 segundos de espera para el error 429
+    // Se puede sobrescribir con AEMET_BASE_URL (ej: para usar el servidor simulado de scripts/mock-server.js)
+    BASE_URL: process.env.AEMET_BASE_URL || 'https://opendata.aemet.es/opendata/api',
+    // Tiempo máximo de cada petición HTTP, incluida la lectura del cuerpo. Si se
+    // agota, la petición falla con un ErrorServidor y se reintenta como cualquier otro.
+    TIEMPO_MAXIMO_PETICION_MS: 30000,
+};
+
+// Política de reintentos de las peticiones a AEMET (ver services/retryPolicy.js).
+// La espera se duplica en cada intento, con un tope, y lleva una parte aleatoria.
+export const RETRY_CONFIG = {
+    MAX_INTENTOS: 6,
+    ESPERA_BASE_MS: 2000,
+    ESPERA_MAXIMA_MS: 60000,
+    // Al dividir un rango que ha fallado (ver descargarRangoDiario) cada mitad se
+    // intenta menos veces, para no multiplicar los reintentos por cada nivel de división.
+    MAX_INTENTOS_SUBRANGOS: 2,
+};
+
+// Limitador compartido por todas las peticiones a la API (ver services/rateLimiter.js).
+// El ritmo arranca en PETICIONES_POR_MINUTO, se reduce a la mitad con cada 429 y
+// sube INCREMENTO_POR_EXITO con cada respuesta correcta, dentro de [MINIMO, MAXIMO].
+export const RATE_LIMIT_CONFIG = {
+    PETICIONES_POR_MINUTO: 30,
+    MINIMO_POR_MINUTO: 2,
+    MAXIMO_POR_MINUTO: 50, // Límite documentado por AEMET para cada API key
+    INCREMENTO_POR_EXITO: 0.5,
+    RAFAGA: 3,
+    ESPERA_TRAS_429_MS: 60000, // Si la respuesta no trae Retry-After
+};
+
+// Columnas del CSV diario cuando no se indica --campos (ver COLUMNAS_DIARIAS en
+// services/csvWriter.js). null guarda todas; ej: ['tmed', 'tmin', 'tmax', 'prec'].
+export const DAILY_CSV_CONFIG = {
+    CAMPOS_POR_DEFECTO: null,
+};
+
+export const INVENTORY_CONFIG = {
+    CACHE_FILE: '.cache/inventario_estaciones.json',
+    CACHE_TTL_DAYS: 30, // El inventario apenas cambia: se refresca una vez al mes
+};
+
+export const METADATA_CONFIG = {
+    CACHE_DIR: '.cache/metadatos',
+    CACHE_TTL_DAYS: 7,
+};
+
+export const RESPONSE_CACHE_CONFIG = {
+    DIR: '.cache/respuestas', // Un fichero JSON por endpoint, estación y rango
+    // AEMET sigue validando y corrigiendo los datos durante un tiempo. Los rangos
+    // que terminaron hace más de estos días se consideran definitivos y no caducan.
+    DIAS_HASTA_INMUTABLE: 90,
+    TTL_HORAS_RECIENTES: 24, // Caducidad de los rangos que aún pueden cambiar
+};
+
+export const REFERENCES_CONFIG = {
+    DIR: 'referencias', // Normales y extremos oficiales, un fichero JSON por estación
+};
+
+export const COLLECTOR_CONFIG = {
+    DIR: 'observaciones', // Un CSV horario por estación
+    POLL_INTERVAL_MINUTES: 60, // AEMET publica una observación por hora y guarda las últimas 24
+};
+
+export const WARNINGS_CONFIG = {
+    DIR: 'avisos', // Avisos CAP de AEMET (Meteoalerta): un CSV con todos los descargados
+    AREA_POR_DEFECTO: 'esp', // Toda España; o el código de una comunidad autónoma (ver data/provincias.js)
+    // El archivo histórico de toda España ocupa varios MB por mes: se pide por
+    // tramos para que cada descarga quepa en TIEMPO_MAXIMO_PETICION_MS.
+    DIAS_POR_PETICION: 30,
 };
 
 export const CONSOLE_COLORS = {
@@ -0,0 +1,82 @@
+/**
+ * data/municipios.js
+ *
+ * Tabla offline de municipios y su código INE (5 dígitos: 2 de provincia y 3
+ * de municipio), que es el identificador que usa AEMET para las predicciones.
+ * Incluye las capitales de provincia y los municipios más poblados.
+ */
+export const MUNICIPIOS = [
+  { nombre: 'Vitoria-Gasteiz', provincia: 'Araba/Álava', codigo: '01059' },
+  { nombre: 'Albacete', provincia: 'Albacete', codigo: '02003' },
+  { nombre: 'Alicante/Alacant', provincia: 'Alicante', codigo: '03014' },
+  { nombre: 'Elche/Elx', provincia: 'Alicante', codigo: '03065' },
+  { nombre: 'Almería', provincia: 'Almería', codigo: '04013' },
+  { nombre: 'Ávila', provincia: 'Ávila', codigo: '05019' },
+  { nombre: 'Badajoz', provincia: 'Badajoz', codigo: '06015' },
+  { nombre: 'Mérida', provincia: 'Badajoz', codigo: '06083' },
+  { nombre: 'Palma', provincia: 'Illes Balears', codigo: '07040' },
+  { nombre: 'Barcelona', provincia: 'Barcelona', codigo: '08019' },
+  { nombre: "L'Hospitalet de Llobregat", provincia: 'Barcelona', codigo: '08101' },
+  { nombre: 'Badalona', provincia: 'Barcelona', codigo: '08015' },
+  { nombre: 'Sabadell', provincia: 'Barcelona', codigo: '08187' },
+  { nombre: 'Terrassa', provincia: 'Barcelona', codigo: '08279' },
+  { nombre: 'Burgos', provincia: 'Burgos', codigo: '09059' },
+  { nombre: 'Cáceres', provincia: 'Cáceres', codigo: '10037' },
+  { nombre: 'Cádiz', provincia: 'Cádiz', codigo: '11012' },
+  { nombre: 'Jerez de la Frontera', provincia: 'Cádiz', codigo: '11020' },
+  { nombre: 'Algeciras', provincia: 'Cádiz', codigo: '11004' },
+  { nombre: 'Castelló de la Plana', provincia: 'Castellón', codigo: '12040' },
+  { nombre: 'Ciudad Real', provincia: 'Ciudad Real', codigo: '13034' },
+  { nombre: 'Córdoba', provincia: 'Córdoba', codigo: '14021' },
+  { nombre: 'A Coruña', provincia: 'A Coruña', codigo: '15030' },
+  { nombre: 'Santiago de Compostela', provincia: 'A Coruña', codigo: '15078' },
+  { nombre: 'Cuenca', provincia: 'Cuenca', codigo: '16078' },
+  { nombre: 'Girona', provincia: 'Girona', codigo: '17079' },
+  { nombre: 'Granada', provincia: 'Granada', codigo: '18087' },
+  { nombre: 'Guadalajara', provincia: 'Guadalajara', codigo: '19130' },
+  { nombre: 'Donostia/San Sebastián', provincia: 'Gipuzkoa', codigo: '20069' },
+  { nombre: 'Huelva', provincia: 'Huelva', codigo: '21041' },
+  { nombre: 'Huesca', provincia: 'Huesca', codigo: '22125' },
+  { nombre: 'Jaén', provincia: 'Jaén', codigo: '23050' },
+  { nombre: 'León', provincia: 'León', codigo: '24089' },
+  { nombre: 'Ponferrada', provincia: 'León', codigo: '24115' },
+  { nombre: 'Lleida', provincia: 'Lleida', codigo: '25120' },
+  { nombre: 'Logroño', provincia: 'La Rioja', codigo: '26089' },
+  { nombre: 'Lugo', provincia: 'Lugo', codigo: '27028' },
+  { nombre: 'Madrid', provincia: 'Madrid', codigo: '28079' },
+  { nombre: 'Alcalá de Henares', provincia: 'Madrid', codigo: '28005' },
+  { nombre: 'Móstoles', provincia: 'Madrid', codigo: '28092' },
+  { nombre: 'Málaga', provincia: 'Málaga', codigo: '29067' },
+  { nombre: 'Marbella', provincia: 'Málaga', codigo: '29069' },
+  { nombre: 'Murcia', provincia: 'Murcia', codigo: '30030' },
+  { nombre: 'Cartagena', provincia: 'Murcia', codigo: '30016' },
+  { nombre: 'Lorca', provincia: 'Murcia', codigo: '30024' },
+  { nombre: 'Pamplona/Iruña', provincia: 'Navarra', codigo: '31201' },
+  { nombre: 'Ourense', provincia: 'Ourense', codigo: '32054' },
+  { nombre: 'Oviedo', provincia: 'Asturias', codigo: '33044' },
+  { nombre: 'Gijón', provincia: 'Asturias', codigo: '33024' },
+  { nombre: 'Palencia', provincia: 'Palencia', codigo: '34120' },
+  { nombre: 'Las Palmas de Gran Canaria', provincia: 'Las Palmas', codigo: '35016' },
+  { nombre: 'Pontevedra', provincia: 'Pontevedra', codigo: '36038' },
+  { nombre: 'Vigo', provincia: 'Pontevedra', codigo: '36057' },
+  { nombre: 'Salamanca', provincia: 'Salamanca', codigo: '37274' },
+  { nombre: 'Santa Cruz de Tenerife', provincia: 'Santa Cruz de Tenerife', codigo: '38038' },
+  { nombre: 'San Cristóbal de La Laguna', provincia: 'Santa Cruz de Tenerife', codigo: '38023' },
+  { nombre: 'Santander', provincia: 'Cantabria', codigo: '39075' },
+  { nombre: 'Segovia', provincia: 'Segovia', codigo: '40194' },
+  { nombre: 'Sevilla', provincia: 'Sevilla', codigo: '41091' },
+  { nombre: 'Dos Hermanas', provincia: 'Sevilla', codigo: '41038' },
+  { nombre: 'Soria', provincia: 'Soria', codigo: '42173' },
+  { nombre: 'Tarragona', provincia: 'Tarragona', codigo: '43148' },
+  { nombre: 'Reus', provincia: 'Tarragona', codigo: '43123' },
+  { nombre: 'Teruel', provincia: 'Teruel', codigo: '44216' },
+  { nombre: 'Toledo', provincia: 'Toledo', codigo: '45168' },
+  { nombre: 'Talavera de la Reina', provincia: 'Toledo', codigo: '45165' },
+  { nombre: 'València', provincia: 'Valencia', codigo: '46250' },
+  { nombre: 'Valladolid', provincia: 'Valladolid', codigo: '47186' },
+  { nombre: 'Bilbao', provincia: 'Bizkaia', codigo: '48020' },
+  { nombre: 'Zamora', provincia: 'Zamora', codigo: '49275' },
+  { nombre: 'Zaragoza', provincia: 'Zaragoza', codigo: '50297' },
+  { nombre: 'Ceuta', provincia: 'Ceuta', codigo: '51001' },
+  { nombre: 'Melilla', provincia: 'Melilla', codigo: '52001' },
+];
@@ -0,0 +1,85 @@
+/**
+ * data/provincias.js
+ *
+ * Tabla offline de provincias con su código INE (2 dígitos) y la comunidad
+ * autónoma a la que pertenecen, con el código de área que usa AEMET en los
+ * avisos de Meteoalerta. Los alias recogen cómo escribe AEMET la provincia en
+ * los datos climatológicos (ej: "STA. CRUZ DE TENERIFE", "BALEARES").
+ */
+export const AREAS_AVISOS = {
+  esp: 'España',
+  61: 'Andalucía',
+  62: 'Aragón',
+  63: 'Asturias',
+  64: 'Illes Balears',
+  65: 'Canarias',
+  66: 'Cantabria',
+  67: 'Castilla y León',
+  68: 'Castilla-La Mancha',
+  69: 'Cataluña',
+  70: 'Extremadura',
+  71: 'Galicia',
+  72: 'Comunidad de Madrid',
+  73: 'Región de Murcia',
+  74: 'Navarra',
+  75: 'País Vasco',
+  76: 'La Rioja',
+  77: 'Comunitat Valenciana',
+  78: 'Ceuta',
+  79: 'Melilla',
+};
+
+export const PROVINCIAS = [
+  { codigo: '01', nombre: 'Araba/Álava', area: '75', alias: ['Álava', 'Araba'] },
+  { codigo: '02', nombre: 'Albacete', area: '68', alias: [] },
+  { codigo: '03', nombre: 'Alicante/Alacant', area: '77', alias: ['Alicante', 'Alacant'] },
+  { codigo: '04', nombre: 'Almería', area: '61', alias: [] },
+  { codigo: '05', nombre: 'Ávila', area: '67', alias: [] },
+  { codigo: '06', nombre: 'Badajoz', area: '70', alias: [] },
+  { codigo: '07', nombre: 'Illes Balears', area: '64', alias: ['Baleares', 'Islas Baleares', 'Balears'] },
+  { codigo: '08', nombre: 'Barcelona', area: '69', alias: [] },
+  { codigo: '09', nombre: 'Burgos', area: '67', alias: [] },
+  { codigo: '10', nombre: 'Cáceres', area: '70', alias: [] },
+  { codigo: '11', nombre: 'Cádiz', area: '61', alias: [] },
+  { codigo: '12', nombre: 'Castellón/Castelló', area: '77', alias: ['Castellón', 'Castelló'] },
+  { codigo: '13', nombre: 'Ciudad Real', area: '68', alias: [] },
+  { codigo: '14', nombre: 'Córdoba', area: '61', alias: [] },
+  { codigo: '15', nombre: 'A Coruña', area: '71', alias: ['La Coruña', 'Coruña'] },
+  { codigo: '16', nombre: 'Cuenca', area: '68', alias: [] },
+  { codigo: '17', nombre: 'Girona', area: '69', alias: ['Gerona'] },
+  { codigo: '18', nombre: 'Granada', area: '61', alias: [] },
+  { codigo: '19', nombre: 'Guadalajara', area: '68', alias: [] },
+  { codigo: '20', nombre: 'Gipuzkoa', area: '75', alias: ['Guipúzcoa'] },
+  { codigo: '21', nombre: 'Huelva', area: '61', alias: [] },
+  { codigo: '22', nombre: 'Huesca', area: '62', alias: [] },
+  { codigo: '23', nombre: 'Jaén', area: '61', alias: [] },
+  { codigo: '24', nombre: 'León', area: '67', alias: [] },
+  { codigo: '25', nombre: 'Lleida', area: '69', alias: ['Lérida'] },
+  { codigo: '26', nombre: 'La Rioja', area: '76', alias: ['Rioja'] },
+  { codigo: '27', nombre: 'Lugo', area: '71', alias: [] },
+  { codigo: '28', nombre: 'Madrid', area: '72', alias: [] },
+  { codigo: '29', nombre: 'Málaga', area: '61', alias: [] },
+  { codigo: '30', nombre: 'Murcia', area: '73', alias: [] },
+  { codigo: '31', nombre: 'Navarra', area: '74', alias: ['Nafarroa'] },
+  { codigo: '32', nombre: 'Ourense', area: '71', alias: ['Orense'] },
+  { codigo: '33', nombre: 'Asturias', area: '63', alias: [] },
+  { codigo: '34', nombre: 'Palencia', area: '67', alias: [] },
+  { codigo: '35', nombre: 'Las Palmas', area: '65', alias: [] },
+  { codigo: '36', nombre: 'Pontevedra', area: '71', alias: [] },
+  { codigo: '37', nombre: 'Salamanca', area: '67', alias: [] },
+  { codigo: '38', nombre: 'Santa Cruz de Tenerife', area: '65', alias: ['Sta. Cruz de Tenerife', 'S.C. Tenerife', 'Tenerife'] },
+  { codigo: '39', nombre: 'Cantabria', area: '66', alias: [] },
+  { codigo: '40', nombre: 'Segovia', area: '67', alias: [] },
+  { codigo: '41', nombre: 'Sevilla', area: '61', alias: [] },
+  { codigo: '42', nombre: 'Soria', area: '67', alias: [] },
+  { codigo: '43', nombre: 'Tarragona', area: '69', alias: [] },
+  { codigo: '44', nombre: 'Teruel', area: '62', alias: [] },
+  { codigo: '45', nombre: 'Toledo', area: '68', alias: [] },
+  { codigo: '46', nombre: 'Valencia/València', area: '77', alias: ['Valencia', 'València'] },
+  { codigo: '47', nombre: 'Valladolid', area: '67', alias: [] },
+  { codigo: '48', nombre: 'Bizkaia', area: '75', alias: ['Vizcaya'] },
+  { codigo: '49', nombre: 'Zamora', area: '67', alias: [] },
+  { codigo: '50', nombre: 'Zaragoza', area: '62', alias: [] },
+  { codigo: '51', nombre: 'Ceuta', area: '78', alias: [] },
+  { codigo: '52', nombre: 'Melilla', area: '79', alias: [] },
+];
@@ -0,0 +1,278 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { format, addDays, getYear, min as minDate } from 'date-fns';
+import { REFERENCES_CONFIG, SCRIPT_SETTINGS } from './config.js';
+import { claveCacheDiaria, claveCacheOficiales } from './extraction-worker.js';
+import { formatearDuracion, resolverEstacionesTrabajo } from './extraction-runner.js';
+import { cargarManifiesto, estaCompletado } from './services/manifest.js';
+import { buscarDataset } from './services/datasetLocator.js';
+import { consultarCache } from './services/responseCache.js';
+import { limitadorAemet } from './services/rateLimiter.js';
+import { clavesApi } from './services/apiKeys.js';
+import { generarRangosDePeticion, generarRangosAnuales } from './utils/dateUtils.js';
+import { leerFilasCSVDiario, registrosDesdeFilasCSV } from './utils/dataProcessor.js';
+import { rutaAnalisisPosterior } from './utils/analysis/postExtraction.js';
+import { createFormattedTable } from './utils/consoleColorizer.js';
+import { logger } from './utils/consoleLogger.js';
+
+// Peticiones de `descargarReferencias`: las normales y los extremos de temperatura y de precipitación.
+const PETICIONES_REFERENCIAS = ['normales', 'valoresextremos_T', 'valoresextremos_P'];
+
+const existe = (ruta) => fs.access(ruta).then(() => true, () => false);
+
+// Las peticiones que llegarían a AEMET: las que no están en la caché y las que sustituyen una copia caducada.
+const vaAAemet = (peticion) => peticion.estado === 'api' || peticion.estado === 'caducada';
+
+/**
+ * Cómo se resolvería una petición con la caché actual (ver `obtenerConCache`):
+ * 'cache' si hay una copia vigente (o cualquier copia, en modo offline), 'caducada'
+ * si se pediría de nuevo a AEMET, 'api' si no hay copia y 'sin_cache' si, en modo
+ * offline, no hay copia y el rango se quedaría sin datos.
+ */
+async function estadoPeticion(clave, finRango, offline) {
+  const copia = await consultarCache(clave, finRango);
+  if (copia === 'vigente' || (copia && offline)) return 'cache';
+  if (offline) return 'sin_cache';
+  return copia ? 'caducada' : 'api';
+}
+
+/**
+ * Planifica la extracción de una estación tal y como la haría `procesarEstacion`
+ * (o `actualizarEstacion`, con `actualizar`), pero sin pedir nada a AEMET ni
+ * escribir nada: solo se leen la caché, el manifiesto y el CSV diario existentes.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {Date} fechaInicio - Fecha de inicio del proceso.
+ * @param {Date} fechaFin - Fecha de fin del proceso.
+ * @param {Object} [opciones] - Opciones de `procesarEstacion`.
+ * @param {Array<string>} [opciones.analisis=[]] - Análisis posteriores del trabajo (ver `ANALISIS_POSTERIORES`).
+ * @returns {Promise<Object>} El plan de la estación: carpeta, modo ('nueva', 'reanudar' o 'actualizar'),
+ * última fecha del dataset que se actualiza (`ultimaFecha`, null si no hay), rangos ya completados, cada petición con su `estado` (ver `estadoPeticion`) y cada fichero de salida con
+ * su `accion` ('crear', 'sobrescribir' o 'ampliar').
+ */
+export async function planificarEstacion(estacionId, fechaInicio, fechaFin, opciones = {}) {
+  const {
+    incluirOficiales = false, incluirReferencias = false, offline = false, reiniciar = false, actualizar = false,
+    directorioBase = '.', formato = 'csv', analisis = [],
+  } = opciones;
+
+  // Al actualizar se parte del último día del dataset, que puede estar aún en una extracción con fechas.
+  let salida = opciones.salida;
+  let desde = fechaInicio;
+  let ficheroOrigen = null;
+  let ultimaFecha = null;
+  if (actualizar) {
+    const dataset = await buscarDataset(estacionId, directorioBase);
+    salida = { directorio: dataset.directorio, sufijo: dataset.sufijo };
+    ficheroOrigen = dataset.ficheroOrigen;
+    ultimaFecha = dataset.ultimaFecha;
+    if (ultimaFecha) desde = addDays(ultimaFecha, 1);
+  }
+  const fInicioFmt = format(desde, 'yyyyMMdd');
+  const fFinFmt = format(fechaFin, 'yyyyMMdd');
+  const directorio = salida?.directorio ?? path.join(directorioBase, `datos_${estacionId}_${fInicioFmt}_${fFinFmt}`);
+  const sufijo = salida?.sufijo ?? `${estacionId}_${fInicioFmt}_${fFinFmt}`;
+  const ficheroDiario = path.join(directorio, `diarios_${sufijo}.csv`);
+
+  // Las mismas comprobaciones con las que `procesarEstacion` decide si continúa una extracción anterior.
+  const manifiestoPrevio = reiniciar ? null : await cargarManifiesto(directorio);
+  const ficheroPrevio = ficheroOrigen ?? ficheroDiario;
+  const filasPrevias = (manifiestoPrevio || actualizar) && await existe(ficheroPrevio) ? leerFilasCSVDiario(ficheroPrevio, { reparar: false }) : null;
+  const reanudando = filasPrevias !== null;
+  const fechasPrevias = reanudando ? registrosDesdeFilasCSV(filasPrevias).map(r => r.date) : [];
+  const inicioDatos = fechasPrevias.length > 0 ? minDate([desde, ...fechasPrevias]) : desde;
+  const rangos = generarRangosDePeticion(desde, fechaFin);
+  const completados = reanudando && manifiestoPrevio ? new Set(rangos.filter(rango => estaCompletado(manifiestoPrevio, rango, fechasPrevias))) : new Set();
+
+  const peticiones = [];
+  for (const rango of rangos.filter(r => !completados.has(r))) {
+    const estado = await estadoPeticion(claveCacheDiaria(estacionId, rango), rango.end, offline);
+    peticiones.push({ endpoint: 'diarios', desde: format(rango.start, 'yyyy-MM-dd'), hasta: format(rango.end, 'yyyy-MM-dd'), estado });
+  }
+  if (incluirOficiales) {
+    for (const rangoAnual of generarRangosAnuales(getYear(inicioDatos), getYear(fechaFin))) {
+      const estado = await estadoPeticion(claveCacheOficiales(estacionId, rangoAnual), new Date(rangoAnual.end, 11, 31), offline);
+      peticiones.push({ endpoint: 'mensualesanuales', desde: String(rangoAnual.start), hasta: String(rangoAnual.end), estado });
+    }
+  }
+  // Las referencias no pasan por la caché de respuestas y en modo offline no se descargan.
+  if (incluirReferencias && !offline) {
+    peticiones.push(...PETICIONES_REFERENCIAS.map(endpoint => ({ endpoint, desde: null, hasta: null, estado: 'api' })));
+  }
+
+  const extension = formato === 'json' ? 'json' : 'csv';
+  const enCarpeta = (prefijo, ext = extension) => path.join(directorio, `${prefijo}_${sufijo}.${ext}`);
+  const rutas = [
+    ...(formato === 'json' ? [enCarpeta('diarios', 'json')] : []),
+    enCarpeta('mensuales'),
+    enCarpeta('anuales'),
+    enCarpeta('esquema_diarios', 'json'),
+    ...(incluirOficiales ? ['mensuales_oficiales', 'anuales_oficiales', 'comparacion_oficiales'].map(prefijo => enCarpeta(prefijo)) : []),
+    path.join(directorio, 'manifiesto.json'),
+    // El informe de fallos solo se escribe si hay días sin obtener, pero uno anterior se reescribe o se borra.
+    ...(await existe(path.join(directorio, 'fallos.json')) ? [path.join(directorio, 'fallos.json')] : []),
+    ...(incluirReferencias && !offline ? [path.join(REFERENCES_CONFIG.DIR, `referencias_${estacionId}.json`)] : []),
+    ...analisis.map(nombre => rutaAnalisisPosterior(nombre, ficheroDiario)),
+  ];
+  // El CSV diario que se continúa se amplía; el resto de ficheros se escriben de nuevo.
+  const diarioExiste = await existe(ficheroDiario);
+  const accionDiario = !diarioExiste ? 'crear' : (filasPrevias?.length > 0 ? 'ampliar' : 'sobrescribir');
+  const ficheros = [
+    { ruta: ficheroDiario, accion: accionDiario },
+    ...await Promise.all(rutas.map(async ruta => ({ ruta, accion: (await existe(ruta)) ? 'sobrescribir' : 'crear' }))),
+  ];
+
+  return {
+    estacionId,
+    directorio,
+    desde: format(desde, 'yyyy-MM-dd'),
+    hasta: format(fechaFin, 'yyyy-MM-dd'),
+    ultimaFecha: ultimaFecha ? format(ultimaFecha, 'yyyy-MM-dd') : null,
+    modo: actualizar ? 'actualizar' : (reanudando ? 'reanudar' : 'nueva'),
+    registrosPrevios: fechasPrevias.length,
+    rangos: rangos.length,
+    rangosCompletados: completados.size,
+    peticiones,
+    ficheros,
+  };
+}
+
+/**
+ * Reúne los planes de las estaciones y calcula los totales y la duración estimada
+ * con el ritmo actual del limitador y las API keys configuradas.
+ */
+function completarPlan(estaciones, offline) {
+  let claves;
+  try {
+    claves = clavesApi();
+  } catch {
+    claves = [];
+  }
+  const peticiones = estaciones.flatMap(e => e.peticiones);
+  const ficheros = estaciones.flatMap(e => e.ficheros);
+  const contar = (lista, condicion) => lista.filter(condicion).length;
+  const aAemet = contar(peticiones, vaAAemet);
+
+  return {
+    generado: new Date().toISOString(),
+    offline,
+    totales: {
+      estaciones: estaciones.length,
+      peticiones: aAemet,
+      enCache: contar(peticiones, p => p.estado === 'cache'),
+      caducadas: contar(peticiones, p => p.estado === 'caducada'),
+      sinCache: contar(peticiones, p => p.estado === 'sin_cache'),
+      ficherosNuevos: contar(ficheros, f => f.accion === 'crear'),
+      ficherosSobrescritos: contar(ficheros, f => f.accion === 'sobrescribir'),
+      ficherosAmpliados: contar(ficheros, f => f.accion === 'ampliar'),
+    },
+    peticionesPorMinuto: limitadorAemet.presupuesto().peticionesPorMinuto,
+    claves: claves.length,
+    duracionEstimadaMs: limitadorAemet.estimarDuracionMs(aAemet, claves),
+    estaciones,
+  };
+}
+
+/**
+ * Planifica, sin hacer ninguna petición, lo que haría `ejecutarExtracciones` con
+ * las mismas estaciones y opciones (ver `planificarEstacion`).
+ * @param {Array<string>} estaciones - Indicativos de las estaciones.
+ * @param {Date} fechaInicio - Fecha de inicio del proceso.
+ * @param {Date} fechaFin - Fecha de fin del proceso.
+ * @param {Object} opcionesProceso - Opciones de `procesarEstacion`.
+ * @returns {Promise<Object>} El plan: una entrada por estación en `estaciones`, los `totales` y `duracionEstimadaMs`.
+ */
+export async function planificarExtracciones(estaciones, fechaInicio, fechaFin, opcionesProceso) {
+  const planes = [];
+  for (const estacionId of estaciones) {
+    planes.push(await planificarEstacion(estacionId, fechaInicio, fechaFin, opcionesProceso));
+  }
+  return completarPlan(planes, Boolean(opcionesProceso.offline));
+}
+
+/**
+ * Planifica, sin hacer ninguna petición, los trabajos de un fichero de trabajos
+ * (ver `ejecutarTrabajos`). Las consultas al inventario se resuelven con la copia
+ * local del inventario.
+ * @param {Array<Object>} trabajos - Los trabajos de `cargarFicheroTrabajos`.
+ * @param {Object} opcionesComunes - Opciones que se aplican a todos los trabajos (ej: `offline`).
+ * @returns {Promise<Object>} El plan, como el de `planificarExtracciones`, con el nombre del trabajo en cada estación.
+ * @throws {Error} Si la consulta de algún trabajo no se puede resolver sin descargar el inventario.
+ */
+export async function planificarTrabajos(trabajos, opcionesComunes) {
+  const planes = [];
+  for (const trabajo of trabajos) {
+    let estaciones;
+    try {
+      estaciones = await resolverEstacionesTrabajo(trabajo, { soloCache: true });
+    } catch (error) {
+      throw new Error(`Trabajo "${trabajo.nombre}": ${error.message}`, { cause: error });
+    }
+    const opciones = { ...opcionesComunes, ...trabajo.opcionesProceso, analisis: trabajo.analisis };
+    for (const estacionId of estaciones) {
+      planes.push({ trabajo: trabajo.nombre, ...await planificarEstacion(estacionId, trabajo.fechaInicio, trabajo.fechaFin, opciones) });
+    }
+  }
+  return completarPlan(planes, Boolean(opcionesComunes.offline));
+}
+
+// Al actualizar, el dataset puede llegar ya más allá de la fecha de fin pedida (ej: --fin anterior a la última extracción).
+const posteriorAlFin = (e) => e.ultimaFecha !== null && e.ultimaFecha > e.hasta;
+
+const periodoPlan = (e) => {
+  if (posteriorAlFin(e)) return `datos hasta ${e.ultimaFecha}`;
+  return e.desde > e.hasta ? 'al día' : `${e.desde} a ${e.hasta}`;
+};
+
+/**
+ * Muestra un plan de `planificarExtracciones` o `planificarTrabajos`: una tabla
+ * por estación, los ficheros existentes que se modificarían y los totales. Con
+ * `--verbose` se lista además cada petición.
+ * @param {Object} plan - El plan.
+ */
+export function mostrarPlan(plan) {
+  const conTrabajos = plan.estaciones.some(e => e.trabajo);
+  const filas = plan.estaciones.map(e => ({
+    ...(conTrabajos ? { trabajo: e.trabajo } : {}),
+    estacion: e.estacionId,
+    modo: e.modo,
+    // Un dataset que se actualiza y ya llega hasta la fecha de fin no tiene nada que pedir.
+    periodo: periodoPlan(e),
+    rangos: e.rangos,
+    completados: e.rangosCompletados,
+    en_cache: e.peticiones.filter(p => p.estado === 'cache').length,
+    peticiones: e.peticiones.filter(vaAAemet).length,
+    ...(plan.offline ? { sin_cache: e.peticiones.filter(p => p.estado === 'sin_cache').length } : {}),
+    carpeta: e.directorio,
+  }));
+
+  logger.log(`\n${logger.magentaBold('--- Plan de la extracción (no se ha hecho ninguna petición) ---')}`);
+  logger.log(createFormattedTable(filas, {}));
+  for (const e of plan.estaciones.filter(posteriorAlFin)) {
+    logger.warn(`El dataset de ${e.estacionId} tiene datos hasta el ${e.ultimaFecha}, después de la fecha de fin pedida (${e.hasta}): no se pediría nada y los días posteriores se conservarían.`);
+  }
+
+  if (SCRIPT_SETTINGS.VERBOSE_MODE) {
+    for (const e of plan.estaciones) {
+      logger.log(`\nPeticiones de ${logger.highlight(e.estacionId)}:`);
+      for (const p of e.peticiones) logger.log(`  - ${p.endpoint}${p.desde ? ` ${p.desde} a ${p.hasta}` : ''}: ${p.estado}`);
+    }
+  }
+
+  const { totales } = plan;
+  const modificados = plan.estaciones.flatMap(e => e.ficheros).filter(f => f.accion !== 'crear');
+  if (modificados.length > 0) {
+    logger.warn(`${modificados.length} fichero(s) existentes se modificarían:`);
+    for (const f of modificados) logger.log(`  - ${f.accion === 'ampliar' ? 'Se amplía' : 'Se sobrescribe'}: ${f.ruta}`);
+  }
+  logger.info(`Se crearían ${totales.ficherosNuevos} fichero(s) nuevo(s), se sobrescribirían ${totales.ficherosSobrescritos} y se ampliarían ${totales.ficherosAmpliados}.`);
+
+  const caducadas = totales.caducadas > 0 ? ` (${totales.caducadas} para renovar copias caducadas de la caché)` : '';
+  logger.info(`${logger.highlight(totales.peticiones)} petición(es) a AEMET${caducadas} y ${totales.enCache} respuesta(s) leídas de la caché.`);
+  if (totales.sinCache > 0) {
+    logger.warn(`Modo offline: ${totales.sinCache} petición(es) no están en la caché y se quedarían sin datos.`);
+  }
+  if (totales.peticiones > 0) {
+    const ritmo = plan.claves > 1 ? `${plan.peticionesPorMinuto} pet/min por clave con ${plan.claves} claves` : `${plan.peticionesPorMinuto} pet/min`;
+    logger.info(`Duración estimada: al menos ${logger.highlight(formatearDuracion(plan.duracionEstimadaMs))} a ${ritmo} (sin contar el tiempo de respuesta de AEMET ni los reintentos).`);
+  }
+}
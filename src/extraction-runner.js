@@ -0,0 +1,225 @@
+import { procesarEstacion, actualizarEstacion } from './extraction-worker.js';
+import { limitadorAemet } from './services/rateLimiter.js';
+import { cargarInventario, buscarEstaciones } from './services/stationInventory.js';
+import { ANALISIS_POSTERIORES } from './utils/analysis/postExtraction.js';
+import { crearProgresoMultiple } from './utils/multiProgress.js';
+import { createFormattedTable } from './utils/consoleColorizer.js';
+import { logger } from './utils/consoleLogger.js';
+
+/**
+ * Duración legible (ej: "45s", "3m 20s", "2h 5m").
+ * @param {number} ms - Duración en milisegundos.
+ */
+export const formatearDuracion = (ms) => {
+  const segundos = Math.round(ms / 1000);
+  if (segundos < 60) return `${segundos}s`;
+  if (segundos < 3600) return `${Math.floor(segundos / 60)}m ${segundos % 60}s`;
+  return `${Math.floor(segundos / 3600)}h ${Math.floor(segundos / 60) % 60}m`;
+};
+
+/**
+ * Texto con el estado del limitador compartido, para el pie de la vista de progreso.
+ */
+function describirPresupuesto() {
+  const { peticionesPorMinuto, disponibles, restantesServidor, pausaRestanteMs, peticiones, limitesExcedidos, claves } = limitadorAemet.presupuesto();
+  const partes = [`${peticionesPorMinuto} pet/min`, `${disponibles} disponibles`];
+  if (claves > 1) partes.unshift(`${claves} claves`);
+  if (restantesServidor !== null) partes.push(`${restantesServidor} restantes según AEMET`);
+  if (pausaRestanteMs > 0) partes.push(logger.highlight(`en pausa ${Math.ceil(pausaRestanteMs / 1000)}s`));
+  partes.push(`${peticiones} peticiones`, `${limitesExcedidos} × 429`);
+  return `   ${logger.query('Límite AEMET:')} ${partes.join(' · ')}`;
+}
+
+/**
+ * Procesa una lista de estaciones con un máximo de `concurrencia` a la vez. Todas
+ * comparten el limitador de peticiones de `aemetApi.js`, así que la concurrencia
+ * solo solapa el trabajo de unas estaciones con las esperas de otras.
+ * Con una sola estación a la vez se usa el spinner habitual; con más, una línea por estación.
+ * @param {Array<string>} estaciones - Indicativos de las estaciones.
+ * @param {Date} fechaInicio - Fecha de inicio del proceso.
+ * @param {Date} fechaFin - Fecha de fin del proceso.
+ * @param {Object} opcionesProceso - Opciones de `procesarEstacion`. Con `actualizar`, cada estación se procesa
+ * con `actualizarEstacion` y `fechaInicio` solo se usa para las que no tienen datos previos. Si se cancela
+ * `opcionesProceso.signal`, las estaciones en curso guardan lo descargado y las pendientes no se empiezan.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.concurrencia=1] - Estaciones que se procesan a la vez.
+ * @returns {Promise<Array<Object>>} El resultado de cada estación, en el orden de entrada, con `error` si falló
+ * y `cancelado` si se canceló (las que no llegaron a empezar solo tienen `estacionId` y `cancelado`).
+ */
+export async function ejecutarExtracciones(estaciones, fechaInicio, fechaFin, opcionesProceso, opciones = {}) {
+  const concurrencia = Math.max(1, Math.min(opciones.concurrencia ?? 1, estaciones.length));
+  const vista = concurrencia > 1 ? crearProgresoMultiple({ pie: describirPresupuesto }) : null;
+  const procesar = opcionesProceso.actualizar ? actualizarEstacion : procesarEstacion;
+  const lineas = new Map(estaciones.map(id => [id, vista?.crearLinea(id) ?? null]));
+  const resultados = new Array(estaciones.length);
+  let siguiente = 0;
+
+  async function procesarSiguientes() {
+    while (siguiente < estaciones.length && !opcionesProceso.signal?.aborted) {
+      const indice = siguiente++;
+      const estacionId = estaciones[indice];
+      const progreso = lineas.get(estacionId) ?? logger;
+      const inicio = Date.now();
+      try {
+        const resultado = await procesar(estacionId, fechaInicio, fechaFin, { ...opcionesProceso, progreso });
+        resultados[indice] = { ...resultado, duracionMs: Date.now() - inicio };
+        const diasPendientes = resultado.diasFallidos.length + resultado.diasSinCache.length;
+        if (resultado.cancelado) {
+          // Con el spinner, `procesarEstacion` ya ha avisado de la cancelación.
+          if (progreso !== logger) progreso.finalizar(false, `Cancelada con ${resultado.registros} registros (${formatearDuracion(Date.now() - inicio)})`);
+        } else if (progreso === logger) {
+          logger.succeed(`Proceso para la estación ${estacionId} finalizado.`);
+        } else {
+          progreso.finalizar(diasPendientes === 0, `${resultado.registros} registros${diasPendientes > 0 ? `, ${diasPendientes} día(s) sin obtener` : ''} (${formatearDuracion(Date.now() - inicio)})`);
+        }
+      } catch (error) {
+        resultados[indice] = { estacionId, error, duracionMs: Date.now() - inicio };
+        if (progreso === logger) {
+          logger.failAndStop(`Proceso para la estación ${estacionId} interrumpido: ${error.message}`);
+        } else {
+          progreso.finalizar(false, `Interrumpido: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: concurrencia }, procesarSiguientes));
+  } finally {
+    vista?.detener();
+  }
+  for (let i = siguiente; i < estaciones.length; i++) {
+    resultados[i] = { estacionId: estaciones[i], cancelado: true, duracionMs: 0 };
+  }
+  return resultados;
+}
+
+/**
+ * Indica si una estación terminó sin errores y sin días pendientes.
+ * @param {Object} resultado - Un elemento de lo devuelto por `ejecutarExtracciones`.
+ */
+export const esCompleta = (resultado) => !resultado.error && !resultado.cancelado && resultado.diasFallidos.length === 0 && resultado.diasSinCache.length === 0;
+
+/**
+ * Muestra una tabla con el resultado de cada estación y los totales del proceso.
+ * @param {Array<Object>} resultados - Lo devuelto por `ejecutarExtracciones`.
+ * @param {number} duracionTotalMs - Duración total del proceso.
+ */
+export function mostrarResumen(resultados, duracionTotalMs) {
+  const filas = resultados.map(r => {
+    const estado = r.error ? '❌ error' : r.cancelado ? '⏹ cancelada' : (esCompleta(r) ? '✅ ok' : '⚠ incompleta');
+    return {
+      estacion: r.estacionId,
+      estado,
+      registros: r.registros ?? 0,
+      dias_fallidos: r.diasFallidos?.length ?? '-',
+      dias_sin_cache: r.diasSinCache?.length ?? '-',
+      duracion: formatearDuracion(r.duracionMs),
+      carpeta: r.error ? r.error.message : (r.directorio ?? '-'),
+    };
+  });
+
+  const { peticiones, limitesExcedidos, clavesDescartadas } = limitadorAemet.presupuesto();
+  const completas = resultados.filter(esCompleta).length;
+  const totalRegistros = resultados.reduce((total, r) => total + (r.registros ?? 0), 0);
+
+  logger.log(`\n${logger.magentaBold('--- Resumen de la extracción ---')}`);
+  logger.log(createFormattedTable(filas, {}));
+  logger.log(`${completas} de ${resultados.length} estación(es) completas, ${logger.highlight(totalRegistros)} registros en ${formatearDuracion(duracionTotalMs)}. ${peticiones} peticiones a AEMET (${limitesExcedidos} respondidas con 429).`);
+  if (clavesDescartadas > 0) logger.warn(`${clavesDescartadas} API key(s) descartada(s) por no ser válidas: revísalas antes de la próxima extracción.`);
+}
+
+/**
+ * Reúne las estaciones de un trabajo: las indicadas por indicativo y las que
+ * devuelve su consulta al inventario, sin repetidas.
+ * @param {Object} trabajo - Un trabajo de `cargarFicheroTrabajos`.
+ * @param {Object} [opcionesInventario] - Opciones de `cargarInventario` (ej: `soloCache`).
+ * @returns {Promise<Array<string>>} Los indicativos.
+ */
+export async function resolverEstacionesTrabajo(trabajo, opcionesInventario = {}) {
+  const estaciones = [...trabajo.estaciones];
+  if (trabajo.consulta) {
+    const coincidencias = buscarEstaciones(await cargarInventario(opcionesInventario), trabajo.consulta);
+    if (coincidencias.length === 0) throw new Error('La consulta al inventario no devolvió ninguna estación.');
+    estaciones.push(...coincidencias.map(e => e.indicativo));
+  }
+  return [...new Set(estaciones)];
+}
+
+/**
+ * Ejecuta los trabajos de un fichero de trabajos (ver services/jobFile.js), uno
+ * detrás de otro. Las estaciones de cada trabajo se procesan con `ejecutarExtracciones`
+ * y, en las que terminan sin error, se ejecutan después los análisis del trabajo.
+ * Un trabajo que falla no detiene los siguientes; si se cancela `opcionesComunes.signal`,
+ * el trabajo en curso se queda como 'cancelado' y no se empiezan los demás.
+ * @param {Array<Object>} trabajos - Los trabajos de `cargarFicheroTrabajos`.
+ * @param {Object} opcionesComunes - Opciones de `procesarEstacion` que se aplican a todos los
+ * trabajos (ej: `offline`); las del trabajo tienen prioridad.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.concurrencia=1] - Estaciones de un mismo trabajo que se procesan a la vez.
+ * @returns {Promise<Array<{nombre: string, estado: string, resultados: Array<Object>, analisis: Array<Object>, error?: Error, duracionMs: number}>>}
+ * El estado de cada trabajo: 'ok', 'incompleto' (alguna estación o análisis falló), 'error' (no se pudo empezar)
+ * o 'cancelado'.
+ */
+export async function ejecutarTrabajos(trabajos, opcionesComunes, opciones = {}) {
+  const estados = [];
+
+  for (let i = 0; i < trabajos.length && !opcionesComunes.signal?.aborted; i++) {
+    const trabajo = trabajos[i];
+    const inicio = Date.now();
+    logger.log(`\n${logger.magentaBold(`--- Trabajo ${i + 1}/${trabajos.length}: ${trabajo.nombre} ---`)}`);
+
+    let estaciones;
+    try {
+      estaciones = await resolverEstacionesTrabajo(trabajo);
+    } catch (error) {
+      logger.failAndStop(`No se pudo empezar el trabajo "${trabajo.nombre}": ${error.message}`);
+      estados.push({ nombre: trabajo.nombre, estado: 'error', resultados: [], analisis: [], error, duracionMs: Date.now() - inicio });
+      continue;
+    }
+    logger.info(`${estaciones.length} estación(es): ${estaciones.join(', ')}.`);
+
+    const resultados = await ejecutarExtracciones(estaciones, trabajo.fechaInicio, trabajo.fechaFin, { ...opcionesComunes, ...trabajo.opcionesProceso }, opciones);
+    mostrarResumen(resultados, Date.now() - inicio);
+
+    const analisis = [];
+    for (const resultado of resultados.filter(r => !r.error && !r.cancelado && r.registros > 0)) {
+      for (const nombreAnalisis of trabajo.analisis) {
+        try {
+          const ruta = await ANALISIS_POSTERIORES[nombreAnalisis](resultado);
+          logger.succeed(`Análisis "${nombreAnalisis}" de ${resultado.estacionId} guardado en ${logger.highlight(ruta)}.`);
+          analisis.push({ estacionId: resultado.estacionId, nombre: nombreAnalisis, ruta });
+        } catch (error) {
+          logger.warn(`El análisis "${nombreAnalisis}" de ${resultado.estacionId} falló: ${error.message}`);
+          analisis.push({ estacionId: resultado.estacionId, nombre: nombreAnalisis, error });
+        }
+      }
+    }
+
+    const completo = resultados.every(esCompleta) && analisis.every(a => !a.error);
+    const estado = resultados.some(r => r.cancelado) ? 'cancelado' : (completo ? 'ok' : 'incompleto');
+    estados.push({ nombre: trabajo.nombre, estado, resultados, analisis, duracionMs: Date.now() - inicio });
+  }
+
+  return estados;
+}
+
+/**
+ * Muestra una tabla con el estado de cada trabajo.
+ * @param {Array<Object>} estados - Lo devuelto por `ejecutarTrabajos`.
+ */
+export function mostrarResumenTrabajos(estados) {
+  const iconos = { ok: '✅ ok', incompleto: '⚠ incompleto', error: '❌ error', cancelado: '⏹ cancelado' };
+  const filas = estados.map(t => ({
+    trabajo: t.nombre,
+    estado: iconos[t.estado],
+    estaciones: t.resultados.length,
+    completas: t.resultados.filter(esCompleta).length,
+    registros: t.resultados.reduce((total, r) => total + (r.registros ?? 0), 0),
+    analisis: t.analisis.length > 0 ? `${t.analisis.filter(a => !a.error).length}/${t.analisis.length}` : '-',
+    duracion: formatearDuracion(t.duracionMs),
+  }));
+
+  logger.log(`\n${logger.magentaBold('--- Resumen de los trabajos ---')}`);
+  logger.log(createFormattedTable(filas, {}));
+}
@@ -1,117 +1,683 @@
-import { format } from 'date-fns';
+import { format, parse as parseDate, getYear, startOfDay, endOfMonth, endOfYear, addDays, differenceInCalendarDays, eachDayOfInterval, min as minDate } from 'date-fns';
 import fs from 'fs/promises';
 import path from 'path';
-import { API_CONFIG, SCRIPT_SETTINGS } from './config.js';
-import { generarRangosDePeticion, formatDisplayDateRange } from './utils/dateUtils.js';
-import { obtenerDatosParaRango } from './services/aemetApi.js';
-import { normalizarDatos } from './utils/dataProcessor.js';
-import { crearStreamCSVDiario, guardarAnalisisEnCSV } from './services/csvWriter.js';
+import { RETRY_CONFIG } from './config.js';
+import { generarRangosDePeticion, generarRangosAnuales, formatDisplayDateRange, agruparDiasConsecutivos, formatDisplayDays } from './utils/dateUtils.js';
+import { obtenerDatosParaRango, obtenerValoresMensualesAnuales } from './services/aemetApi.js';
+import { normalizarDatos, normalizarValoresMensualesAnuales, leerFilasCSVDiario, leerCabeceraCSV, registrosDesdeFilasCSV } from './utils/dataProcessor.js';
+import { crearStreamCSVDiario, cerrarStreamCSV, guardarAnalisisEnCSV, guardarDatosEnJSON, guardarEsquema, guardarFilasCSVDiario, columnasDiariasPorDefecto, COLUMNAS_DIARIAS } from './services/csvWriter.js';
+import { crearManifiesto, cargarManifiesto, guardarManifiesto, registrarRango, estaCompletado } from './services/manifest.js';
+import { cargarMetadatos } from './services/metadataCache.js';
+import { localizarDataset } from './services/datasetLocator.js';
+import { crearInformeFallos, guardarInformeFallos, cargarInformeFallos, conservarFallosAnteriores } from './services/failureReport.js';
+import { obtenerConCache } from './services/responseCache.js';
+import { ErrorSinDatos, ErrorAutenticacion, ErrorContenido } from './services/aemetErrors.js';
+import { validarCampos, construirEsquema } from './utils/schemaValidator.js';
 import { crearAnalizadorMensual, crearAnalizadorAnual } from './utils/dataAnalyzer.js';
+import { compararConOficiales } from './utils/analysis/officialComparison.js';
+import { descargarReferencias } from './services/climateReferences.js';
 import { logger } from './utils/consoleLogger.js';
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Clave en la caché de respuestas (ver services/responseCache.js) de los datos diarios de un rango.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {{start: Date, end: Date}} rango - Rango de fechas.
+ */
+export const claveCacheDiaria = (estacionId, rango) => ({ endpoint: 'diarios', estacionId, desde: format(rango.start, 'yyyyMMdd'), hasta: format(rango.end, 'yyyyMMdd') });
+
+/**
+ * Clave en la caché de respuestas de los valores mensuales/anuales oficiales de un rango de años.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {{start: number, end: number}} rangoAnual - Años de inicio y fin (ver `generarRangosAnuales`).
+ */
+export const claveCacheOficiales = (estacionId, { start, end }) => ({ endpoint: 'mensualesanuales', estacionId, desde: String(start), hasta: String(end) });
+
+const castAnalisis = { number: (value) => (typeof value === 'number' ? value.toString().replace('.', ',') : value), };
+const columnasAnalisis = [ 'fecha', 'avg_tmed', 'avg_tmax', 'avg_tmin', 'avg_prec', 'total_prec', 'avg_velmedia', 'max_tmed', 'd_max_tmed', 'max_tmax', 'd_max_tmax', 'max_tmin', 'd_max_tmin', 'max_prec', 'd_max_prec', 'dias_prec', 'dias_prec_inapreciable', 'dias_prec_acumulada', 'max_racha', 'd_max_racha', 'max_velmedia', 'd_max_velmedia', 'min_tmed', 'd_min_tmed', 'min_tmax', 'd_min_tmax', 'min_tmin', 'd_min_tmin', ];
+
+/**
+ * Indica si un período "yyyy-MM" o "yyyy" queda completamente dentro del rango
+ * descargado. Los períodos parciales no son comparables con los oficiales.
+ */
+function esPeriodoCompleto(periodo, fechaInicio, fechaFin) {
+  const [anio, mes] = periodo.split('-').map(Number);
+  const inicio = new Date(anio, mes ? mes - 1 : 0, 1);
+  const fin = mes ? endOfMonth(inicio) : endOfYear(inicio);
+  return inicio >= startOfDay(fechaInicio) && fin <= fechaFin;
+}
+
+/**
+ * Guarda una tabla de resultados en el formato de salida elegido.
+ * @param {Array<Object>} datos - Los registros.
+ * @param {string} rutaSinExtension - Ruta del fichero, sin `.csv` ni `.json`.
+ * @param {Array<Object|string>} columnas - Columnas a guardar.
+ * @param {Object} cast - Formato de los valores en el CSV.
+ * @param {'csv'|'json'} formato - Formato de salida.
+ */
+function guardarTabla(datos, rutaSinExtension, columnas, cast, formato) {
+  return formato === 'json'
+    ? guardarDatosEnJSON(datos, `${rutaSinExtension}.json`, columnas)
+    : guardarAnalisisEnCSV(datos, `${rutaSinExtension}.csv`, columnas, cast);
+}
+
+/**
+ * Descarga los valores mensuales/anuales oficiales de AEMET, los guarda junto a
+ * los calculados y genera un informe con las diferencias entre ambos.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {Date} fechaInicio - Fecha de inicio del proceso.
+ * @param {Date} fechaFin - Fecha de fin del proceso.
+ * @param {Object} opciones
+ * @param {string} opciones.nombreDirectorio - Carpeta de salida de la estación.
+ * @param {string} opciones.sufijo - Sufijo común de los ficheros de la estación.
+ * @param {{mensuales: Array<Object>, anuales: Array<Object>}} opciones.calculados - Resultados de los analizadores.
+ * @param {boolean} [opciones.offline=false] - Usa solo las respuestas guardadas en la caché.
+ * @param {Object} [opciones.progreso=logger] - Dónde se muestra el progreso (ver `procesarEstacion`).
+ * @param {'csv'|'json'} [opciones.formato='csv'] - Formato de los ficheros de salida.
+ * @param {AbortSignal} [opciones.signal] - Si se cancela, no se piden más valores ni se guarda nada.
+ */
+async function procesarValoresOficiales(estacionId, fechaInicio, fechaFin, opciones) {
+  const { nombreDirectorio, sufijo, calculados, offline = false, progreso = logger, formato = 'csv', signal } = opciones;
+  const rangosAnuales = generarRangosAnuales(getYear(fechaInicio), getYear(fechaFin));
+  const datosBrutos = [];
+
+  for (let i = 0; i < rangosAnuales.length; i++) {
+    if (signal?.aborted) return;
+    const { start, end } = rangosAnuales[i];
+    progreso.setText(`[${i + 1}/${rangosAnuales.length}] Descargando valores oficiales ${progreso.highlight(`${start}-${end}`)}`);
+    try {
+      const clave = claveCacheOficiales(estacionId, rangosAnuales[i]);
+      const descargar = () => obtenerValoresMensualesAnuales(start, end, estacionId, { progreso, signal })
+        .catch(error => {
+          if (error instanceof ErrorSinDatos) return [];
+          throw error;
+        });
+      const respuesta = await obtenerConCache(clave, new Date(end, 11, 31), descargar, { offline });
+      if (respuesta) {
+        datosBrutos.push(...respuesta.datos);
+      } else {
+        progreso.warn(`Los valores oficiales ${start}-${end} no están en la caché.`);
+      }
+    } catch (error) {
+      if (signal?.aborted) return;
+      progreso.warn(`No se pudieron obtener los valores oficiales ${start}-${end}: ${error.message}`);
+    }
+  }
+
+  if (datosBrutos.length === 0) {
+    progreso.warn(`No se obtuvieron valores oficiales para ${estacionId}.`);
+    return;
+  }
+
+  const oficiales = normalizarValoresMensualesAnuales(datosBrutos);
+  const columnasOficiales = [ 'fecha', 'avg_tmed', 'avg_tmax', 'avg_tmin', 'max_tmax', 'd_max_tmax', 'min_tmin', 'd_min_tmin', 'max_prec', 'd_max_prec', 'total_prec', 'max_racha', 'd_max_racha', 'dias_prec', 'horas_sol', 'hr_media', ];
+  await guardarTabla(oficiales.mensuales, path.join(nombreDirectorio, `mensuales_oficiales_${sufijo}`), columnasOficiales, castAnalisis, formato);
+  await guardarTabla(oficiales.anuales, path.join(nombreDirectorio, `anuales_oficiales_${sufijo}`), columnasOficiales, castAnalisis, formato);
+
+  const completos = (registros) => registros.filter(r => esPeriodoCompleto(r.fecha, fechaInicio, fechaFin));
+  const comparaciones = [
+    ...compararConOficiales(calculados.mensuales, completos(oficiales.mensuales)).map(c => ({ tipo: 'mensual', ...c })),
+    ...compararConOficiales(calculados.anuales, completos(oficiales.anuales)).map(c => ({ tipo: 'anual', ...c })),
+  ];
+  const columnasComparacion = [ 'tipo', 'fecha', 'variable', 'calculado', 'oficial', 'diferencia', 'diverge', ];
+  const castComparacion = { ...castAnalisis, boolean: (value) => (value ? 'sí' : 'no') };
+  await guardarTabla(comparaciones, path.join(nombreDirectorio, `comparacion_oficiales_${sufijo}`), columnasComparacion, castComparacion, formato);
+  progreso.succeed('Valores oficiales y comparación guardados.');
+
+  const divergencias = comparaciones.filter(c => c.diverge);
+  if (divergencias.length === 0) {
+    progreso.info(`Los valores calculados coinciden con los oficiales en los ${comparaciones.length} valores comparados.`);
+    return;
+  }
+  progreso.warn(`${divergencias.length} de ${comparaciones.length} valores difieren de los oficiales de AEMET. Los más llamativos:`);
+  const masLlamativas = [...divergencias].sort((a, b) => Math.abs(b.diferencia) - Math.abs(a.diferencia)).slice(0, 10);
+  for (const d of masLlamativas) {
+    progreso.log(`  - ${d.fecha} ${progreso.highlight(d.variable)}: calculado ${d.calculado}, oficial ${d.oficial} (${d.diferencia > 0 ? '+' : ''}${d.diferencia})`);
+  }
+}
+
+/**
+ * Indica si pedir un rango en trozos más pequeños puede evitar el error: una
+ * respuesta mal formada o demasiado grande (413), o el 500 con el que AEMET
+ * responde a los rangos que incluyen un día problemático. Un 429, un tiempo
+ * agotado o un servidor caído (502, 503...) fallarían igual con cada mitad.
+ * @param {Error} error - Error definitivo de la descarga, tras los reintentos.
+ */
+function sePuedeDividir(error) {
+  return error instanceof ErrorContenido || error.status === 413 || error.status === 500;
+}
+
+/**
+ * Descarga los datos diarios de un rango (o los lee de la caché). Si la petición
+ * falla definitivamente con un error que un rango menor puede evitar (ver
+ * `sePuedeDividir`), o en modo offline no está en la caché, el rango se divide en
+ * dos mitades y se intenta con cada una, hasta llegar a días sueltos. Así un día
+ * problemático o una respuesta demasiado grande no hacen perder el rango entero.
+ * Con cualquier otro error todos los días del rango se dan por fallidos.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {{start: Date, end: Date}} rango - Rango a descargar.
+ * @param {{offline: boolean, progreso: Object, signal?: AbortSignal, esSubrango?: boolean}} opciones - Opciones de `procesarEstacion`.
+ * @param {{datos: Array<Object>, diasFallidos: Array<{fecha: Date, error: Error}>, diasSinCache: Array<Date>, desdeCache: boolean|null}} acumulado -
+ * Se va rellenando con los registros descargados y los días que no se pudieron obtener. `desdeCache`
+ * es null hasta la primera respuesta y true si todas salieron de la caché.
+ * @throws {ErrorAutenticacion} Si la API key no es válida: dividir el rango no lo arreglaría.
+ * @throws {Error} El motivo de `opciones.signal` si se cancela; lo ya descargado queda en `acumulado`.
+ */
+async function descargarRangoDiario(estacionId, rango, opciones, acumulado) {
+  const { offline, progreso, signal, esSubrango = false } = opciones;
+  const dias = differenceInCalendarDays(rango.end, rango.start);
+  const fechaIniStr = format(rango.start, "yyyy-MM-dd'T'HH:mm:ss'UTC'");
+  const fechaFinStr = format(rango.end, "yyyy-MM-dd'T'HH:mm:ss'UTC'");
+  const clave = claveCacheDiaria(estacionId, rango);
+  // Los reintentos los hace aemetApi.js. "No hay datos" no es un fallo: el rango
+  // se guarda vacío en la caché para no volver a pedirlo.
+  const maxIntentos = esSubrango ? RETRY_CONFIG.MAX_INTENTOS_SUBRANGOS : RETRY_CONFIG.MAX_INTENTOS;
+  const descargar = () => obtenerDatosParaRango(fechaIniStr, fechaFinStr, estacionId, { progreso, maxIntentos, signal })
+    .catch(error => {
+      if (error instanceof ErrorSinDatos) return [];
+      throw error;
+    });
+
+  try {
+    const respuesta = await obtenerConCache(clave, rango.end, descargar, { offline });
+    if (respuesta) {
+      acumulado.datos.push(...respuesta.datos);
+      acumulado.desdeCache = (acumulado.desdeCache ?? true) && respuesta.desdeCache;
+      return;
+    }
+    if (dias === 0) {
+      acumulado.diasSinCache.push(rango.start);
+      return;
+    }
+  } catch (error) {
+    if (error instanceof ErrorAutenticacion || signal?.aborted) throw error;
+    if (dias === 0 || !sePuedeDividir(error)) {
+      acumulado.diasFallidos.push(...eachDayOfInterval(rango).map(fecha => ({ fecha, error })));
+      return;
+    }
+    progreso.setWarning(`Fallo en ${formatDisplayDays(rango.start, rango.end)}. Dividiendo el rango...`);
+  }
+
+  const finPrimeraMitad = addDays(rango.start, Math.floor(dias / 2));
+  const opcionesSubrango = { ...opciones, esSubrango: true };
+  await descargarRangoDiario(estacionId, { start: rango.start, end: finPrimeraMitad }, opcionesSubrango, acumulado);
+  await descargarRangoDiario(estacionId, { start: addDays(finPrimeraMitad, 1), end: rango.end }, opcionesSubrango, acumulado);
+}
+
+/**
+ * Pasa una lista de registros por los analizadores mensual y anual.
+ * @param {Iterable<Object>} registros - Registros normalizados.
+ * @returns {{analizadorMensual: Object, analizadorAnual: Object}}
+ */
+function analizarRegistros(registros) {
+  const analizadorMensual = crearAnalizadorMensual();
+  const analizadorAnual = crearAnalizadorAnual();
+  for (const registro of registros) {
+    analizadorMensual.processRecord(registro);
+    analizadorAnual.processRecord(registro);
+  }
+  return { analizadorMensual, analizadorAnual };
+}
+
+/**
+ * Guarda los análisis mensual y anual de una estación y, con `formato` 'json',
+ * la copia en JSON del CSV diario.
+ * @param {string} nombreDirectorio - Carpeta de salida de la estación.
+ * @param {string} sufijo - Sufijo común de los ficheros de la estación.
+ * @param {{analizadorMensual: Object, analizadorAnual: Object}} analizadores - Analizadores con todos los registros.
+ * @param {'csv'|'json'} formato - Formato de salida.
+ * @param {Array<Object>} columnasDiarias - Columnas del CSV diario.
+ * @returns {Promise<{mensuales: Array<Object>, anuales: Array<Object>}>} Los resultados guardados.
+ */
+async function guardarAnalisis(nombreDirectorio, sufijo, { analizadorMensual, analizadorAnual }, formato, columnasDiarias) {
+  const mensuales = analizadorMensual.getResults();
+  await guardarTabla(mensuales, path.join(nombreDirectorio, `mensuales_${sufijo}`), columnasAnalisis, castAnalisis, formato);
+  const anuales = analizadorAnual.getResults();
+  await guardarTabla(anuales, path.join(nombreDirectorio, `anuales_${sufijo}`), columnasAnalisis, castAnalisis, formato);
+  if (formato === 'json') {
+    const registros = registrosDesdeFilasCSV(leerFilasCSVDiario(path.join(nombreDirectorio, `diarios_${sufijo}.csv`)));
+    await guardarDatosEnJSON(registros, path.join(nombreDirectorio, `diarios_${sufijo}.json`), columnasDiarias);
+  }
+  return { mensuales, anuales };
+}
+
+/**
+ * Columnas del CSV diario existente, según su cabecera.
+ * @param {string} nombreFicheroDiario - La ruta del CSV diario.
+ */
+const columnasDelFichero = (nombreFicheroDiario) => {
+  const cabecera = leerCabeceraCSV(nombreFicheroDiario);
+  return COLUMNAS_DIARIAS.filter(c => cabecera.includes(c.header));
+};
 
 // --- Código completo de la función ---
 
+/**
+ * Contrasta los campos recibidos con los metadatos de AEMET, avisa de las
+ * diferencias y guarda junto al CSV diario un esquema con descripciones y unidades.
+ * @param {string} nombreDirectorio - Carpeta de salida de la estación.
+ * @param {string} sufijo - Sufijo común de los ficheros de la estación.
+ * @param {Set<string>} camposRecibidos - Campos presentes en los datos descargados.
+ * @param {Array<Object>} columnasDiarias - Columnas del CSV diario, las que se documentan en el esquema.
+ * @param {Object} progreso - Dónde se muestran los avisos (ver `procesarEstacion`).
+ */
+async function documentarEsquemaDiario(nombreDirectorio, sufijo, camposRecibidos, columnasDiarias, progreso) {
+  let metadatos;
+  try {
+    metadatos = await cargarMetadatos('diarios');
+  } catch (error) {
+    progreso.warn(`No se pudieron obtener los metadatos de AEMET: ${error.message}`);
+    return;
+  }
+  if (!metadatos) return;
+
+  for (const aviso of validarCampos(metadatos, camposRecibidos, COLUMNAS_DIARIAS)) {
+    progreso.warn(aviso);
+  }
+  const nombreFicheroEsquema = path.join(nombreDirectorio, `esquema_diarios_${sufijo}.json`);
+  await guardarEsquema(construirEsquema(metadatos, columnasDiarias), nombreFicheroEsquema);
+}
+
+/**
+ * Cierra una extracción cancelada (ver `opciones.signal` en `procesarEstacion`) con el
+ * CSV diario ya cerrado: guarda los análisis de lo descargado hasta ahora y el manifiesto
+ * sin marcarlo como finalizado, para que la próxima ejecución continúe desde ahí.
+ * @param {string} nombreDirectorio - Carpeta de salida de la estación.
+ * @param {string} sufijo - Sufijo común de los ficheros de la estación.
+ * @param {Object} manifiesto - El manifiesto, con los rangos completados.
+ * @param {{analizadorMensual: Object, analizadorAnual: Object}} analizadores - Analizadores con los registros del CSV.
+ * @param {Object} estado - Lo que `procesarEstacion` lleva acumulado.
+ * @returns {Promise<Object>} El resultado de `procesarEstacion`, con `cancelado` a true.
+ */
+async function guardarExtraccionCancelada(nombreDirectorio, sufijo, manifiesto, analizadores, estado) {
+  const { estacionId, nombreFicheroDiario, recordCount, rangos, diasFallidos, diasSinCache, formato, columnasDiarias, progreso } = estado;
+  if (recordCount > 0) {
+    await guardarAnalisis(nombreDirectorio, sufijo, analizadores, formato, columnasDiarias);
+  }
+  manifiesto.registros = recordCount;
+  await guardarManifiesto(nombreDirectorio, manifiesto);
+  progreso.warn(`Extracción de ${estacionId} cancelada con ${recordCount} registros. Vuelve a lanzarla para continuar desde aquí.`);
+
+  return {
+    estacionId,
+    directorio: nombreDirectorio,
+    ficheroDiario: nombreFicheroDiario,
+    registros: recordCount,
+    rangos: rangos.length,
+    diasFallidos: diasFallidos.map(d => format(d.fecha, 'yyyy-MM-dd')),
+    diasSinCache: diasSinCache.map(d => format(d, 'yyyy-MM-dd')),
+    cancelado: true,
+  };
+}
+
+/**
+ * Guarda en `fallos.json` los días que no se pudieron obtener, para reintentarlos con retry.js.
+ * @param {string} nombreDirectorio - Carpeta de salida de la estación.
+ * @param {Object} estado - Lo que `procesarEstacion` lleva acumulado.
+ * @param {{start: Date, end: Date}} rangoProcesado - Rango pedido en esta ejecución: los fallos
+ * anteriores de fuera se conservan (ver `conservarFallosAnteriores`).
+ */
+async function actualizarInformeFallos(nombreDirectorio, estado, rangoProcesado) {
+  const { estacionId, nombreFicheroDiario, diasFallidos, diasSinCache } = estado;
+  const informe = crearInformeFallos(estacionId, path.basename(nombreFicheroDiario), diasFallidos, diasSinCache);
+  conservarFallosAnteriores(informe, await cargarInformeFallos(nombreDirectorio), rangoProcesado);
+  await guardarInformeFallos(nombreDirectorio, informe);
+}
+
 /**
 * Orquesta la descarga, análisis y guardado de datos para una sola estación.
 * @param {string} estacionId - Indicativo de la estación a procesar.
-* @param {string} apiKey - Clave de la API.
 * @param {Date} fechaInicio - Fecha de inicio del proceso.
 * @param {Date} fechaFin - Fecha de fin del proceso.
+* @param {Object} [opciones]
+* @param {boolean} [opciones.incluirOficiales=false] - Descarga también los valores mensuales/anuales oficiales y los compara con los calculados.
+* @param {boolean} [opciones.incluirReferencias=false] - Descarga también las normales y los valores extremos oficiales de la estación.
+* @param {boolean} [opciones.offline=false] - No hace peticiones a AEMET: usa solo las respuestas de la caché e informa de los rangos que faltan.
+* @param {boolean} [opciones.reiniciar=false] - Ignora el manifiesto de una ejecución anterior y empieza de cero
+* (por defecto, si la carpeta de salida ya tiene uno, la extracción se reanuda donde se quedó).
+* @param {Object} [opciones.progreso=logger] - Dónde se muestra el progreso: el spinner global o, cuando se
+* procesan varias estaciones a la vez, una línea de `crearProgresoMultiple` (utils/multiProgress.js).
+* @param {string} [opciones.directorioBase='.'] - Carpeta en la que se crea la carpeta de la estación.
+* @param {{directorio: string, sufijo: string}} [opciones.salida] - Carpeta y sufijo de los ficheros de salida.
+* Por defecto llevan la estación y las fechas (`datos_{id}_{inicio}_{fin}`, dentro de `directorioBase`).
+* @param {'csv'|'json'} [opciones.formato='csv'] - Formato de los análisis. Con 'json' se guarda además una copia
+* del CSV diario en JSON; el CSV se mantiene siempre porque es el que se lee al reanudar o actualizar.
+* @param {Array<Object>} [opciones.columnasDiarias] - Columnas del CSV diario (ver `seleccionarColumnasDiarias`). Por defecto,
+* las de `DAILY_CSV_CONFIG.CAMPOS_POR_DEFECTO` o todas (ver `columnasDiariasPorDefecto`).
+* @param {boolean} [opciones.actualizar=false] - Añade lo descargado al CSV diario que ya exista en la carpeta
+* de salida, aunque no tenga manifiesto, y recalcula los análisis con el fichero completo (ver `actualizarEstacion`).
+* @param {AbortSignal} [opciones.signal] - Cancela la extracción: se deja de pedir datos, se cierra el CSV diario con
+* lo ya descargado, se guardan los análisis parciales y el manifiesto, y se devuelve el resultado con `cancelado`.
+* Al volver a lanzar la misma extracción se continúa desde ahí.
+* @returns {Promise<{estacionId: string, directorio: string, ficheroDiario: string, registros: number, rangos: number, diasFallidos: Array<string>, diasSinCache: Array<string>, cancelado: boolean}>}
+* Los días que no se pudieron obtener, por error o por no estar en la caché, en formato "yyyy-MM-dd".
 */
-export async function procesarEstacion(estacionId, fechaInicio, fechaFin) {
-  logger.log(`\n${logger.magentaBold('====================================================')}`);
-  logger.log(` 🚀 Iniciando proceso para la estación: ${logger.highlight(estacionId)} 🚀`);
-  logger.log(`${logger.magentaBold('====================================================')}`);
+export async function procesarEstacion(estacionId, fechaInicio, fechaFin, opciones = {}) {
+  const { incluirOficiales = false, incluirReferencias = false, offline = false, reiniciar = false, actualizar = false, directorioBase = '.', formato = 'csv', progreso = logger, signal } = opciones;
+  // En la vista de varias estaciones cada una ya tiene su línea: la cabecera sobra.
+  if (!progreso.compacto) {
+    progreso.log(`\n${progreso.magentaBold('====================================================')}`);
+    progreso.log(` 🚀 Iniciando proceso para la estación: ${progreso.highlight(estacionId)} 🚀`);
+    progreso.log(`${progreso.magentaBold('====================================================')}`);
+  }
   
-  const errores = [];
+  const diasFallidos = [];
+  const diasSinCache = [];
+  let rangosDesdeCache = 0;
   const rangos = generarRangosDePeticion(fechaInicio, fechaFin);
   const fInicioFmt = format(fechaInicio, 'yyyyMMdd');
   const fFinFmt = format(fechaFin, 'yyyyMMdd');
-  const nombreDirectorio = `datos_${estacionId}_${fInicioFmt}_${fFinFmt}`;
+  const nombreDirectorio = opciones.salida?.directorio ?? path.join(directorioBase, `datos_${estacionId}_${fInicioFmt}_${fFinFmt}`);
+  const sufijo = opciones.salida?.sufijo ?? `${estacionId}_${fInicioFmt}_${fFinFmt}`;
   await fs.mkdir(nombreDirectorio, { recursive: true });
   
-  logger.start('Inicializando procesos...');
-  const nombreFicheroDiario = path.join(nombreDirectorio, `diarios_${estacionId}_${fInicioFmt}_${fFinFmt}.csv`);
-  const streamDiario = crearStreamCSVDiario(nombreFicheroDiario);
-  const analizadorMensual = crearAnalizadorMensual();
-  const analizadorAnual = crearAnalizadorAnual();
+  progreso.start('Inicializando procesos...');
+  const nombreFicheroDiario = path.join(nombreDirectorio, `diarios_${sufijo}.csv`);
   const seenDates = new Set();
+  const camposRecibidos = new Set();
   let recordCount = 0;
-  logger.succeed('Procesos inicializados.');
+
+  // Si la carpeta tiene el manifiesto de una ejecución interrumpida, se continúa
+  // el CSV existente y solo se piden los rangos que no se completaron. Al
+  // actualizar, el CSV se continúa siempre.
+  const manifiestoPrevio = reiniciar ? null : await cargarManifiesto(nombreDirectorio);
+  const filasPrevias = manifiestoPrevio || actualizar ? await fs.access(nombreFicheroDiario).then(() => leerFilasCSVDiario(nombreFicheroDiario), () => null) : null;
+  const reanudando = filasPrevias !== null;
+  const fechasPrevias = reanudando ? registrosDesdeFilasCSV(filasPrevias).map(r => r.date) : [];
+  const inicioDatos = fechasPrevias.length > 0 ? minDate([fechaInicio, ...fechasPrevias]) : fechaInicio;
+  const manifiesto = (reanudando && manifiestoPrevio) || crearManifiesto({ estacionId, fechaInicio: inicioDatos, fechaFin });
+  if (actualizar) {
+    manifiesto.fechaFin = format(fechaFin, 'yyyy-MM-dd');
+    manifiesto.finalizado = false;
+  }
+  fechasPrevias.forEach(fecha => seenDates.add(fecha.getTime()));
+  manifiesto.camposRecibidos.forEach(campo => camposRecibidos.add(campo));
+  recordCount = seenDates.size;
+  const rangosHechos = new Set(rangos.filter(rango => reanudando && estaCompletado(manifiesto, rango, fechasPrevias)));
+
+  // Un CSV que se continúa conserva sus columnas, aunque ahora se hayan pedido otras.
+  const anexar = reanudando && filasPrevias.length > 0;
+  let columnasDiarias = opciones.columnasDiarias ?? columnasDiariasPorDefecto();
+  if (anexar) {
+    const columnasFichero = columnasDelFichero(nombreFicheroDiario);
+    if (columnasFichero.map(c => c.header).join() !== columnasDiarias.map(c => c.header).join()) {
+      progreso.warn(`El CSV existente tiene otras columnas (${columnasFichero.map(c => c.header).join(', ')}): se mantienen las suyas.`);
+    }
+    columnasDiarias = columnasFichero;
+  }
+  const streamDiario = crearStreamCSVDiario(nombreFicheroDiario, { anexar, columnas: columnasDiarias });
+  let analizadorMensual = crearAnalizadorMensual();
+  let analizadorAnual = crearAnalizadorAnual();
+  progreso.succeed('Procesos inicializados.');
+  if (actualizar && reanudando) {
+    progreso.info(`Actualizando el dataset existente (${recordCount} registros) desde el ${format(fechaInicio, 'dd/MM/yyyy')}.`);
+  } else if (reanudando) {
+    progreso.info(`Reanudando la extracción anterior: ${rangosHechos.size} de ${rangos.length} rangos ya completados (${recordCount} registros).`);
+  }
   
-  const maxIntentos = Math.floor(API_CONFIG.MAX_RETRY_SECONDS * 1000 / API_CONFIG.RETRY_DELAY_MS);
-  logger.start(`[1/${rangos.length}] Obteniendo datos para la estación ${estacionId}...`);
+  let errorFatal = null;
+  let cancelado = false;
+  let finProcesado = fechaFin;
+  progreso.start(`[1/${rangos.length}] Obteniendo datos para la estación ${estacionId}...`);
   
   for (let i = 0; i < rangos.length; i++) {
     const rango = rangos[i];
+    if (rangosHechos.has(rango)) continue;
+    if (signal?.aborted) {
+      cancelado = true;
+      break;
+    }
     const rangoDisplay = formatDisplayDateRange(rango.start, rango.end);
-    let exitoRango = false;
+    progreso.setError(null);
+    progreso.setText(`[${i + 1}/${rangos.length}] Procesando rango ${progreso.highlight(rangoDisplay)}`);
     
-    for (let intento = 0; intento < maxIntentos; intento++) {
-      logger.setError(null);
-      const textoIntento = intento > 0 ? ` (Reintento ${intento}/${maxIntentos - 1})` : '';
-      logger.setText(`[${i + 1}/${rangos.length}] Procesando rango ${logger.highlight(rangoDisplay)}${textoIntento}`);
-      
-      try {
-        const fechaIniStr = format(rango.start, "yyyy-MM-dd'T'HH:mm:ss'UTC'");
-        const fechaFinStr = format(rango.end, "yyyy-MM-dd'T'HH:mm:ss'UTC'");
-        const datosBrutos = await obtenerDatosParaRango(fechaIniStr, fechaFinStr, estacionId);
-        
-        if (datosBrutos?.length > 0) {
-          const datosNormalizados = normalizarDatos(datosBrutos);
-          for (const registro of datosNormalizados) {
-            const timestamp = registro.date.getTime();
-            if (!seenDates.has(timestamp)) {
-              streamDiario.write(registro);
-              analizadorMensual.processRecord(registro);
-              analizadorAnual.processRecord(registro);
-              seenDates.add(timestamp);
-              recordCount++;
-            }
-          }
-        }
-        exitoRango = true;
-        break; // Si tiene éxito, sal del bucle de reintentos.
-      } catch (error) {
-        const esUltimoIntento = intento === maxIntentos - 1;
-        if (esUltimoIntento) {
-          logger.setError(`Fallo definitivo en rango ${rangoDisplay}.`);
-          errores.push({ estacionId, rango: rangoDisplay, error });
-        } else {
-          logger.setWarning(`Error en rango ${rangoDisplay}. Reintentando en ${API_CONFIG.REQUEST_INTERVAL_MS / 1000}s...`);
-          await sleep(API_CONFIG.REQUEST_INTERVAL_MS);
+    const acumulado = { datos: [], diasFallidos: [], diasSinCache: [], desdeCache: null };
+    try {
+      await descargarRangoDiario(estacionId, rango, { offline, progreso, signal }, acumulado);
+    } catch (error) {
+      // Sin una API key válida no tiene sentido seguir pidiendo rangos.
+      if (signal?.aborted) cancelado = true;
+      else errorFatal = error;
+      finProcesado = rango.end;
+    }
+    diasFallidos.push(...acumulado.diasFallidos);
+    diasSinCache.push(...acumulado.diasSinCache);
+    // Solo cuenta si todas sus respuestas salieron de la caché: un rango que ha fallado no.
+    if (acumulado.desdeCache && acumulado.diasFallidos.length === 0 && acumulado.diasSinCache.length === 0) rangosDesdeCache++;
+    if (acumulado.diasFallidos.length > 0) {
+      progreso.setError(`${acumulado.diasFallidos.length} día(s) sin descargar en ${rangoDisplay}.`);
+    }
+
+    const datosBrutos = acumulado.datos;
+    const camposRango = new Set();
+    let registrosRango = 0;
+    if (datosBrutos.length > 0) {
+      datosBrutos.forEach(r => Object.keys(r).forEach(campo => camposRango.add(campo)));
+      camposRango.forEach(campo => camposRecibidos.add(campo));
+      const datosNormalizados = normalizarDatos(datosBrutos);
+      for (const registro of datosNormalizados) {
+        const timestamp = registro.date.getTime();
+        if (!seenDates.has(timestamp)) {
+          streamDiario.write(registro);
+          analizadorMensual.processRecord(registro);
+          analizadorAnual.processRecord(registro);
+          seenDates.add(timestamp);
+          recordCount++;
+          registrosRango++;
         }
       }
     }
+    // Un rango cancelado a medias no se marca como completado: se vuelve a pedir al reanudar.
+    if (errorFatal || cancelado) break;
+
+    // Al reintentar un rango incompleto, los registros que ya estaban en el CSV también cuentan como suyos.
+    const registrosPrevios = fechasPrevias.filter(fecha => fecha >= rango.start && fecha <= rango.end).length;
+    registrarRango(manifiesto, rango, {
+      registros: registrosRango + registrosPrevios,
+      diasFallidos: acumulado.diasFallidos.map(d => format(d.fecha, 'yyyy-MM-dd')),
+      diasSinCache: acumulado.diasSinCache.map(d => format(d, 'yyyy-MM-dd')),
+      campos: camposRango,
+    });
+    await guardarManifiesto(nombreDirectorio, manifiesto);
   }
   
-  logger.setText('Finalizando escrituras y análisis...');
-  const promiseCierreDiario = new Promise(resolve => streamDiario.on('finish', resolve));
-  streamDiario.end();
-  await promiseCierreDiario;
-  logger.succeed(`Fichero ${logger.highlight(path.basename(nombreFicheroDiario))} guardado. Se procesaron ${logger.highlight(recordCount)} registros.`);
+  progreso.setText('Finalizando escrituras y análisis...');
+  await cerrarStreamCSV(streamDiario);
+
+  if (reanudando) {
+    // El CSV mezcla lo descargado en varias ejecuciones: se ordena por fecha y los
+    // análisis se reconstruyen a partir del fichero completo.
+    const filas = leerFilasCSVDiario(nombreFicheroDiario).sort((a, b) => a.fecha.localeCompare(b.fecha));
+    await guardarFilasCSVDiario(filas, nombreFicheroDiario, columnasDiarias);
+    ({ analizadorMensual, analizadorAnual } = analizarRegistros(registrosDesdeFilasCSV(filas)));
+  }
+  progreso.succeed(`Fichero ${progreso.highlight(path.basename(nombreFicheroDiario))} guardado. Se procesaron ${progreso.highlight(recordCount)} registros.`);
+  if (errorFatal) {
+    // Los días que ya habían fallado no se pierden aunque la extracción no pueda seguir.
+    await actualizarInformeFallos(nombreDirectorio, { estacionId, nombreFicheroDiario, diasFallidos, diasSinCache }, { start: fechaInicio, end: finProcesado });
+    throw errorFatal;
+  }
+  if (cancelado) {
+    return guardarExtraccionCancelada(nombreDirectorio, sufijo, manifiesto, { analizadorMensual, analizadorAnual }, {
+      estacionId, nombreFicheroDiario, recordCount, rangos, diasFallidos, diasSinCache, formato, columnasDiarias, progreso,
+    });
+  }
+  if (rangosDesdeCache > 0) {
+    progreso.info(`${rangosDesdeCache} de ${rangos.length} rangos se leyeron de la caché.`);
+  }
   
   if (recordCount > 0) {
-    // ... (el resto del bloque de guardado de análisis no cambia)
-    const columnasAnalisis = [ 'fecha', 'avg_tmed', 'avg_tmax', 'avg_tmin', 'avg_prec', 'avg_velmedia', 'max_tmed', 'd_max_tmed', 'max_tmax', 'd_max_tmax', 'max_tmin', 'd_max_tmin', 'max_prec', 'd_max_prec', 'max_racha', 'd_max_racha', 'max_velmedia', 'd_max_velmedia', 'min_tmed', 'd_min_tmed', 'min_tmax', 'd_min_tmax', 'min_tmin', 'd_min_tmin', ];
-    const castAnalisis = { number: (value) => (typeof value === 'number' ? value.toString().replace('.', ',') : value), };
-    const resultadosMensuales = analizadorMensual.getResults();
-    const nombreFicheroMensual = path.join(nombreDirectorio, `mensuales_${estacionId}_${fInicioFmt}_${fFinFmt}.csv`);
-    await guardarAnalisisEnCSV(resultadosMensuales, nombreFicheroMensual, columnasAnalisis, castAnalisis);
-    const resultadosAnuales = analizadorAnual.getResults();
-    const nombreFicheroAnual = path.join(nombreDirectorio, `anuales_${estacionId}_${fInicioFmt}_${fFinFmt}.csv`);
-    await guardarAnalisisEnCSV(resultadosAnuales, nombreFicheroAnual, columnasAnalisis, castAnalisis);
-    logger.succeed('Ficheros de análisis generados.');
+    await documentarEsquemaDiario(nombreDirectorio, sufijo, camposRecibidos, columnasDiarias, progreso);
+
+    const calculados = await guardarAnalisis(nombreDirectorio, sufijo, { analizadorMensual, analizadorAnual }, formato, columnasDiarias);
+    progreso.succeed('Ficheros de análisis generados.');
+
+    if (incluirOficiales) {
+      progreso.start('Descargando valores mensuales/anuales oficiales...');
+      // Los análisis cubren todo el CSV, incluidos los datos de ejecuciones anteriores.
+      await procesarValoresOficiales(estacionId, inicioDatos, fechaFin, { nombreDirectorio, sufijo, calculados, offline, progreso, formato, signal });
+    }
   } else {
-    logger.warn(`La operación para ${estacionId} finalizó sin obtener datos.`);
+    progreso.warn(`La operación para ${estacionId} finalizó sin obtener datos.`);
   }
   
-  if (errores.length > 0) {
-    logger.failAndStop('Se produjeron errores durante la descarga. Los siguientes rangos no se pudieron procesar:');
-    for (const e of errores) {
-      console.log(`  - Estación: ${logger.highlight(e.estacionId)}, Rango: ${logger.highlight(e.rango)}`);
+  if (incluirReferencias && offline) {
+    progreso.info('Modo offline: no se descargan las referencias oficiales. Se usarán las ya guardadas, si existen.');
+  } else if (incluirReferencias) {
+    progreso.start('Descargando normales y valores extremos oficiales...');
+    try {
+      await descargarReferencias(estacionId, { progreso, signal });
+      progreso.succeed(`Referencias oficiales de ${progreso.highlight(estacionId)} guardadas.`);
+    } catch (error) {
+      progreso.warn(`No se pudieron obtener las referencias oficiales de ${estacionId}: ${error.message}`);
     }
   }
+
+  const intervalosSinCache = agruparDiasConsecutivos(diasSinCache);
+  if (intervalosSinCache.length > 0) {
+    progreso.warn(`Modo offline: ${diasSinCache.length} día(s) no están en la caché y no se han procesado:`);
+    for (const intervalo of intervalosSinCache) {
+      progreso.log(`  - Estación: ${progreso.highlight(estacionId)}, Días: ${progreso.highlight(formatDisplayDays(intervalo.start, intervalo.end))}`);
+    }
+  }
+
+  const intervalosFallidos = agruparDiasConsecutivos(diasFallidos.map(d => d.fecha));
+  if (intervalosFallidos.length > 0) {
+    const errorPorDia = new Map(diasFallidos.map(d => [d.fecha.getTime(), d.error]));
+    progreso.failAndStop(`Se produjeron errores durante la descarga. No se pudieron obtener ${diasFallidos.length} día(s):`);
+    for (const intervalo of intervalosFallidos) {
+      const error = errorPorDia.get(intervalo.start.getTime());
+      progreso.log(`  - Estación: ${progreso.highlight(estacionId)}, Días: ${progreso.highlight(formatDisplayDays(intervalo.start, intervalo.end))} (${error.name}: ${error.message})`);
+    }
+  }
+
+  await actualizarInformeFallos(nombreDirectorio, { estacionId, nombreFicheroDiario, diasFallidos, diasSinCache }, { start: fechaInicio, end: fechaFin });
+
+  // Al actualizar, el CSV puede tener datos de extracciones sin manifiesto: el total se toma del fichero.
+  manifiesto.registros = recordCount;
+  manifiesto.finalizado = true;
+  await guardarManifiesto(nombreDirectorio, manifiesto);
+
+  return {
+    estacionId,
+    directorio: nombreDirectorio,
+    ficheroDiario: nombreFicheroDiario,
+    registros: recordCount,
+    rangos: rangos.length,
+    diasFallidos: diasFallidos.map(d => format(d.fecha, 'yyyy-MM-dd')),
+    diasSinCache: diasSinCache.map(d => format(d, 'yyyy-MM-dd')),
+    cancelado: false,
+  };
+}
+
+/**
+ * Actualiza el dataset de una estación: localiza el CSV diario existente
+ * (ver services/datasetLocator.js), descarga solo los días posteriores a su
+ * última fecha, los añade y regenera los análisis mensuales y anuales. Los
+ * ficheros se guardan en `datos_{id}` con nombres sin fechas, así que cada
+ * actualización sobrescribe la anterior.
+ * @param {string} estacionId - Indicativo de la estación a actualizar.
+ * @param {Date} fechaInicio - Fecha desde la que se descarga si la estación no tiene datos previos.
+ * @param {Date} fechaFin - Fecha hasta la que se actualiza.
+ * @param {Object} [opciones] - Opciones de `procesarEstacion`.
+ * @returns {Promise<Object>} Lo mismo que `procesarEstacion`.
+ */
+export async function actualizarEstacion(estacionId, fechaInicio, fechaFin, opciones = {}) {
+  const { progreso = logger, directorioBase = '.' } = opciones;
+  const { ultimaFecha, origen, ...salida } = await localizarDataset(estacionId, directorioBase);
+  if (origen) {
+    progreso.info(`Se parte de la extracción ${progreso.highlight(origen)}; a partir de ahora se actualiza ${progreso.highlight(salida.directorio)}.`);
+  } else if (!ultimaFecha) {
+    progreso.info(`No hay datos previos de ${estacionId}: se descargan desde el ${format(fechaInicio, 'dd/MM/yyyy')}.`);
+  }
+  const diasPorDelante = ultimaFecha ? differenceInCalendarDays(ultimaFecha, fechaFin) : -1;
+  if (diasPorDelante > 0) {
+    progreso.warn(`El dataset de ${estacionId} tiene datos hasta el ${format(ultimaFecha, 'dd/MM/yyyy')}, después de la fecha de fin pedida (${format(fechaFin, 'dd/MM/yyyy')}): no se descarga nada y los días posteriores se conservan.`);
+  } else if (diasPorDelante === 0) {
+    progreso.info(`El dataset de ${estacionId} ya está al día hasta el ${format(fechaFin, 'dd/MM/yyyy')}.`);
+  }
+  const desde = ultimaFecha ? addDays(ultimaFecha, 1) : fechaInicio;
+  return procesarEstacion(estacionId, desde, fechaFin, { ...opciones, salida, actualizar: true });
+}
+
+/**
+ * Reintenta los días pendientes del informe de fallos de una carpeta de estación
+ * (ver services/failureReport.js). Los registros recuperados se añaden al CSV
+ * diario, que se reordena por fecha, y se regeneran los análisis. Los días que
+ * vuelven a fallar se quedan en el informe; el resto se quitan del informe y
+ * del manifiesto.
+ * @param {string} nombreDirectorio - Carpeta de la estación.
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.progreso=logger] - Dónde se muestra el progreso (ver `procesarEstacion`).
+ * @returns {Promise<{estacionId: string, directorio: string, registros: number, recuperados: number, diasReintentados: number, diasFallidos: Array<string>}|null>}
+ * El resultado, o null si la carpeta no tiene días pendientes.
+ * @throws {ErrorAutenticacion} Si la API key no es válida. El CSV y el informe no se modifican.
+ */
+export async function reintentarFallos(nombreDirectorio, opciones = {}) {
+  const { progreso = logger } = opciones;
+  const informe = await cargarInformeFallos(nombreDirectorio);
+  if (!informe) return null;
+
+  const { estacionId } = informe;
+  const nombreFicheroDiario = path.join(nombreDirectorio, informe.ficheroDiario);
+  const sufijo = path.basename(informe.ficheroDiario, '.csv').replace(/^diarios_/, '');
+  const aFecha = (texto) => parseDate(texto, 'yyyy-MM-dd', new Date());
+  const acumulado = { datos: [], diasFallidos: [], diasSinCache: [], desdeCache: null };
+  let diasReintentados = 0;
+
+  progreso.start(`Reintentando ${informe.fallos.length} intervalo(s) de ${estacionId}...`);
+  for (let i = 0; i < informe.fallos.length; i++) {
+    const rango = { start: aFecha(informe.fallos[i].desde), end: aFecha(informe.fallos[i].hasta) };
+    diasReintentados += differenceInCalendarDays(rango.end, rango.start) + 1;
+    progreso.setError(null);
+    progreso.setText(`[${i + 1}/${informe.fallos.length}] Reintentando ${progreso.highlight(formatDisplayDays(rango.start, rango.end))}`);
+    await descargarRangoDiario(estacionId, rango, { offline: false, progreso }, acumulado);
+  }
+
+  // Se añaden al CSV solo los días que no tiene, y después se ordena por fecha.
+  const existeCSV = await fs.access(nombreFicheroDiario).then(() => true, () => false);
+  const filasPrevias = existeCSV ? leerFilasCSVDiario(nombreFicheroDiario) : [];
+  const fechasEnCSV = new Set(filasPrevias.map(fila => fila.fecha));
+  const columnasDiarias = filasPrevias.length > 0 ? columnasDelFichero(nombreFicheroDiario) : columnasDiariasPorDefecto();
+  const streamDiario = crearStreamCSVDiario(nombreFicheroDiario, { anexar: filasPrevias.length > 0, columnas: columnasDiarias });
+  let recuperados = 0;
+  for (const registro of normalizarDatos(acumulado.datos)) {
+    if (fechasEnCSV.has(registro.fecha)) continue;
+    streamDiario.write(registro);
+    fechasEnCSV.add(registro.fecha);
+    recuperados++;
+  }
+  await cerrarStreamCSV(streamDiario);
+
+  const filas = leerFilasCSVDiario(nombreFicheroDiario).sort((a, b) => a.fecha.localeCompare(b.fecha));
+  await guardarFilasCSVDiario(filas, nombreFicheroDiario, columnasDiarias);
+  progreso.succeed(`${progreso.highlight(recuperados)} registro(s) recuperados y añadidos a ${progreso.highlight(path.basename(nombreFicheroDiario))}.`);
+
+  if (filas.length > 0) {
+    const formato = await fs.access(path.join(nombreDirectorio, `mensuales_${sufijo}.json`)).then(() => 'json', () => 'csv');
+    await guardarAnalisis(nombreDirectorio, sufijo, analizarRegistros(registrosDesdeFilasCSV(filas)), formato, columnasDiarias);
+    progreso.succeed('Ficheros de análisis regenerados.');
+  }
+
+  const nuevoInforme = crearInformeFallos(estacionId, informe.ficheroDiario, acumulado.diasFallidos, acumulado.diasSinCache);
+  await guardarInformeFallos(nombreDirectorio, nuevoInforme);
+
+  const diasFallidos = acumulado.diasFallidos.map(d => format(d.fecha, 'yyyy-MM-dd'));
+  const manifiesto = await cargarManifiesto(nombreDirectorio);
+  if (manifiesto) {
+    for (const rango of Object.values(manifiesto.rangos)) {
+      rango.diasFallidos = rango.diasFallidos.filter(dia => diasFallidos.includes(dia));
+      rango.diasSinCache = [];
+    }
+    manifiesto.registros = filas.length;
+    await guardarManifiesto(nombreDirectorio, manifiesto);
+  }
+
+  if (nuevoInforme.fallos.length > 0) {
+    progreso.warn(`Siguen sin poder obtenerse ${diasFallidos.length} de ${diasReintentados} día(s):`);
+    for (const fallo of nuevoInforme.fallos) {
+      progreso.log(`  - Estación: ${progreso.highlight(estacionId)}, Días: ${progreso.highlight(formatDisplayDays(aFecha(fallo.desde), aFecha(fallo.hasta)))} (${fallo.error.tipo}: ${fallo.error.mensaje})`);
+    }
+  }
+
+  return { estacionId, directorio: nombreDirectorio, registros: filas.length, recuperados, diasReintentados, diasFallidos };
 }
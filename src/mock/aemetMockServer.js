@@ -0,0 +1,627 @@
+/**
+ * mock/aemetMockServer.js
+ *
+ * Responsabilidad: Servidor HTTP local que imita la API Opendata de AEMET para
+ * poder probar la descarga sin clave ni red. Implementa el protocolo en dos
+ * pasos (respuesta con `estado`/`datos`/`metadatos` y después el contenido),
+ * sirve datos desde ficheros de fixtures o generados, y permite inyectar fallos.
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { addDays, format, isAfter, subDays, parse as parseDate } from 'date-fns';
+
+const PREFIJO_API = '/opendata/api';
+const PREFIJO_DATOS = '/opendata/sh';
+const CHARSET_AEMET = 'ISO-8859-15';
+
+const ESTACIONES_GENERADAS = [
+  { indicativo: '5530E', nombre: 'GRANADA AEROPUERTO', provincia: 'GRANADA', altitud: '567', latitud: '371124N', longitud: '034725W', indsinop: '08419' },
+  { indicativo: '3195', nombre: 'MADRID, RETIRO', provincia: 'MADRID', altitud: '667', latitud: '402443N', longitud: '034041W', indsinop: '08222' },
+  { indicativo: '6155A', nombre: 'MÁLAGA AEROPUERTO', provincia: 'MALAGA', altitud: '5', latitud: '364000N', longitud: '042900W', indsinop: '08482' },
+  { indicativo: '9170', nombre: 'LOGROÑO AEROPUERTO', provincia: 'LA RIOJA', altitud: '353', latitud: '422720N', longitud: '022017W', indsinop: '08084' },
+];
+
+// Zona de Meteoalerta de cada estación generada (comunidad autónoma, provincia INE y zona).
+const ZONAS_AVISO = [
+  { indicativo: '5530E', codigo: '611802', nombre: 'Vega de Granada' },
+  { indicativo: '3195', codigo: '722802', nombre: 'Metropolitana y Henares' },
+  { indicativo: '6155A', codigo: '612903', nombre: 'Sol y Guadalhorce' },
+  { indicativo: '9170', codigo: '762601', nombre: 'Ribera del Ebro de La Rioja' },
+];
+
+// Umbrales de temperatura máxima de los avisos simulados, más bajos que los
+// reales para que los datos generados tengan avisos algunos días de verano.
+const UMBRALES_CALOR = [
+  { tmax: 36, nivel: 'rojo', severidad: 'Extreme' },
+  { tmax: 34, nivel: 'naranja', severidad: 'Severe' },
+  { tmax: 32, nivel: 'amarillo', severidad: 'Moderate' },
+];
+
+const METADATOS_DIARIOS = {
+  unidad_generadora: 'Servicio del Banco Nacional de Datos Climatológicos',
+  periodicidad: '1 vez al día',
+  descripcion: 'Climatologías diarias',
+  formato: 'application/json',
+  copyright: '© AEMET. Autorizado el uso de la información y su reproducción citando a AEMET como autora de la misma.',
+  campos: [
+    { id: 'fecha', descripcion: 'fecha del dia (AAAA-MM-DD)', tipo_datos: 'string', requerido: true },
+    { id: 'indicativo', descripcion: 'indicativo climatológico', tipo_datos: 'string', requerido: true },
+    { id: 'nombre', descripcion: 'nombre (ubicación) de la estación', tipo_datos: 'string', requerido: true },
+    { id: 'provincia', descripcion: 'provincia de la estación', tipo_datos: 'string', requerido: true },
+    { id: 'altitud', descripcion: 'altitud de la estación en m sobre el nivel del mar', tipo_datos: 'float', unidad: 'm', requerido: true },
+    { id: 'tmed', descripcion: 'Temperatura media diaria', tipo_datos: 'float', unidad: 'grados celsius', requerido: false },
+    { id: 'prec', descripcion: 'Precipitación diaria de 07 a 07', tipo_datos: 'float', unidad: 'mm (Ip = inferior a 0,1 mm) (Acum = Precipitación acumulada)', requerido: false },
+    { id: 'tmin', descripcion: 'Temperatura Mínima del día', tipo_datos: 'float', unidad: 'grados celsius', requerido: false },
+    { id: 'horatmin', descripcion: 'Hora y minuto de la temperatura mínima', tipo_datos: 'string', unidad: 'UTC', requerido: false },
+    { id: 'tmax', descripcion: 'Temperatura Máxima del día', tipo_datos: 'float', unidad: 'grados celsius', requerido: false },
+    { id: 'horatmax', descripcion: 'Hora y minuto de la temperatura máxima', tipo_datos: 'string', unidad: 'UTC', requerido: false },
+    { id: 'dir', descripcion: 'Dirección de la racha máxima', tipo_datos: 'float', unidad: 'decenas de grado (99 = dirección variable)(88 = sin dato)', requerido: false },
+    { id: 'velmedia', descripcion: 'Velocidad media del viento', tipo_datos: 'float', unidad: 'm/s', requerido: false },
+    { id: 'racha', descripcion: 'Racha máxima del viento', tipo_datos: 'float', unidad: 'm/s', requerido: false },
+    { id: 'horaracha', descripcion: 'Hora y minuto de la racha máxima', tipo_datos: 'string', unidad: 'UTC', requerido: false },
+    { id: 'sol', descripcion: 'Insolación', tipo_datos: 'float', unidad: 'horas', requerido: false },
+    { id: 'presMax', descripcion: 'Presión máxima al nivel de referencia de la estación', tipo_datos: 'float', unidad: 'hPa', requerido: false },
+    { id: 'horaPresMax', descripcion: 'Hora de la presión máxima (redondeada a la hora entera más próxima)', tipo_datos: 'string', unidad: 'UTC', requerido: false },
+    { id: 'presMin', descripcion: 'Presión mínima al nivel de referencia de la estación', tipo_datos: 'float', unidad: 'hPa', requerido: false },
+    { id: 'horaPresMin', descripcion: 'Hora de la presión mínima (redondeada a la hora entera más próxima)', tipo_datos: 'string', unidad: 'UTC', requerido: false },
+    { id: 'hrMedia', descripcion: 'Humedad relativa media diaria', tipo_datos: 'float', unidad: '%', requerido: false },
+    { id: 'hrMax', descripcion: 'Humedad relativa máxima diaria', tipo_datos: 'float', unidad: '%', requerido: false },
+    { id: 'horaHrMax', descripcion: 'Hora de la humedad relativa máxima diaria', tipo_datos: 'string', unidad: 'UTC', requerido: false },
+    { id: 'hrMin', descripcion: 'Humedad relativa mínima diaria', tipo_datos: 'float', unidad: '%', requerido: false },
+    { id: 'horaHrMin', descripcion: 'Hora de la humedad relativa mínima diaria', tipo_datos: 'string', unidad: 'UTC', requerido: false },
+  ],
+};
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32), para que los datos y los
+ * fallos inyectados sean reproducibles.
+ */
+function crearAleatorio(semilla) {
+  let estado = semilla >>> 0;
+  return () => {
+    estado = (estado + 0x6D2B79F5) >>> 0;
+    let t = estado;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const semillaDeTexto = (texto) => [...texto].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619) >>> 0, 2166136261);
+
+// AEMET sirve los valores diarios como texto y con coma decimal.
+const aTextoAemet = (numero) => numero.toFixed(1).replace('.', ',');
+const hora = (aleatorio, desde, hasta) => `${String(Math.floor(desde + aleatorio() * (hasta - desde))).padStart(2, '0')}:${String(Math.floor(aleatorio() * 60)).padStart(2, '0')}`;
+
+function estacionGenerada(indicativo) {
+  return ESTACIONES_GENERADAS.find(e => e.indicativo === indicativo)
+    ?? { indicativo, nombre: `ESTACIÓN ${indicativo}`, provincia: 'DESCONOCIDA', altitud: '100' };
+}
+
+/**
+ * Genera un registro diario verosímil para una estación y fecha: el mismo
+ * día y estación producen siempre los mismos valores.
+ */
+function generarRegistroDiario(indicativo, fecha) {
+  const estacion = estacionGenerada(indicativo);
+  const aleatorio = crearAleatorio(semillaDeTexto(`${indicativo}${format(fecha, 'yyyy-MM-dd')}`));
+  const diaDelAnio = (fecha - new Date(fecha.getFullYear(), 0, 0)) / 86400000;
+  const estacional = -Math.cos(2 * Math.PI * (diaDelAnio - 15) / 365);
+  const tmed = 16 + 10 * estacional + (aleatorio() - 0.5) * 6;
+  const amplitud = 8 + aleatorio() * 6;
+  const llueve = aleatorio() < 0.25 - 0.15 * estacional;
+  const codigo = aleatorio();
+  const prec = llueve ? (codigo < 0.2 ? (codigo < 0.03 ? 'Acum' : 'Ip') : aTextoAemet(aleatorio() * 25)) : '0,0';
+  const hrMedia = Math.round(60 - 20 * estacional + (aleatorio() - 0.5) * 20);
+
+  return {
+    fecha: format(fecha, 'yyyy-MM-dd'),
+    indicativo: estacion.indicativo,
+    nombre: estacion.nombre,
+    provincia: estacion.provincia,
+    altitud: estacion.altitud,
+    tmed: aTextoAemet(tmed),
+    prec,
+    tmin: aTextoAemet(tmed - amplitud / 2),
+    horatmin: hora(aleatorio, 4, 8),
+    tmax: aTextoAemet(tmed + amplitud / 2),
+    horatmax: hora(aleatorio, 13, 17),
+    dir: String(Math.floor(aleatorio() * 36) + 1).padStart(2, '0'),
+    velmedia: aTextoAemet(1 + aleatorio() * 5),
+    racha: aTextoAemet(5 + aleatorio() * 15),
+    horaracha: hora(aleatorio, 10, 20),
+    sol: aTextoAemet(Math.max(0, 8 + 4 * estacional - (llueve ? 5 : 0) + (aleatorio() - 0.5) * 2)),
+    presMax: aTextoAemet(945 + aleatorio() * 10),
+    horaPresMax: String(Math.floor(aleatorio() * 24)).padStart(2, '0'),
+    presMin: aTextoAemet(935 + aleatorio() * 10),
+    horaPresMin: String(Math.floor(aleatorio() * 24)).padStart(2, '0'),
+    hrMedia: String(hrMedia),
+    hrMax: String(Math.min(100, hrMedia + 25)),
+    horaHrMax: hora(aleatorio, 4, 8),
+    hrMin: String(Math.max(5, hrMedia - 25)),
+    horaHrMin: hora(aleatorio, 13, 17),
+  };
+}
+
+function generarObservaciones(indicativo) {
+  const estacion = estacionGenerada(indicativo);
+  const ahora = new Date();
+  ahora.setUTCMinutes(0, 0, 0);
+  const observaciones = [];
+  for (let h = 23; h >= 0; h--) {
+    const instante = new Date(ahora.getTime() - h * 3600 * 1000);
+    const aleatorio = crearAleatorio(semillaDeTexto(`${indicativo}${instante.toISOString()}`));
+    const ta = parseFloat((18 + 8 * Math.sin((instante.getUTCHours() - 9) * Math.PI / 12) + aleatorio() * 2).toFixed(1));
+    observaciones.push({
+      idema: estacion.indicativo,
+      ubi: estacion.nombre,
+      alt: parseFloat(estacion.altitud),
+      fint: instante.toISOString().slice(0, 19),
+      ta,
+      tamax: parseFloat((ta + aleatorio()).toFixed(1)),
+      tamin: parseFloat((ta - aleatorio()).toFixed(1)),
+      hr: Math.round(40 + aleatorio() * 40),
+      prec: 0,
+      vv: parseFloat((aleatorio() * 5).toFixed(1)),
+      vmax: parseFloat((3 + aleatorio() * 8).toFixed(1)),
+      dv: Math.round(aleatorio() * 360),
+      pres: parseFloat((940 + aleatorio() * 10).toFixed(1)),
+    });
+  }
+  return observaciones;
+}
+
+const numeroAemet = (texto) => (texto === 'Ip' || texto === 'Acum' ? 0 : parseFloat(texto.replace(',', '.')));
+const media = (valores) => valores.reduce((a, b) => a + b, 0) / valores.length;
+
+function generarRegistrosDiarios(indicativo, inicio, fin) {
+  const registros = [];
+  const hoy = new Date();
+  for (let dia = inicio; !isAfter(dia, fin) && !isAfter(dia, hoy); dia = addDays(dia, 1)) {
+    registros.push(generarRegistroDiario(indicativo, dia));
+  }
+  return registros;
+}
+
+/**
+ * Resume un conjunto de registros diarios generados con los campos del
+ * endpoint `mensualesanuales`. `conMes` añade el mes al día de los extremos,
+ * como hace AEMET en el resumen anual (ej: "40.2(13/jul)").
+ */
+function resumirComoMensualAnual(indicativo, fecha, registros, conMes) {
+  const dia = (r) => (conMes ? `${parseInt(r.fecha.slice(8), 10)}/${r.fecha.slice(5, 7)}` : String(parseInt(r.fecha.slice(8), 10)));
+  const extremo = (campo, esMaximo) => registros.reduce((mejor, r) => {
+    const valor = numeroAemet(r[campo]);
+    return mejor === null || (esMaximo ? valor > mejor.valor : valor < mejor.valor) ? { valor, r } : mejor;
+  }, null);
+  const tmax = extremo('tmax', true);
+  const tmin = extremo('tmin', false);
+  const prec = extremo('prec', true);
+  const racha = extremo('racha', true);
+  const precipitaciones = registros.map(r => numeroAemet(r.prec));
+
+  return {
+    indicativo,
+    fecha,
+    tm_mes: media(registros.map(r => numeroAemet(r.tmed))).toFixed(1),
+    tm_max: media(registros.map(r => numeroAemet(r.tmax))).toFixed(1),
+    tm_min: media(registros.map(r => numeroAemet(r.tmin))).toFixed(1),
+    ta_max: `${tmax.valor.toFixed(1)}(${dia(tmax.r)})`,
+    ta_min: `${tmin.valor.toFixed(1)}(${dia(tmin.r)})`,
+    p_mes: precipitaciones.reduce((a, b) => a + b, 0).toFixed(1),
+    p_max: `${prec.valor.toFixed(1)}(${dia(prec.r)})`,
+    w_racha: `${racha.r.dir}/${racha.valor.toFixed(1)}(${dia(racha.r)})`,
+    np_001: String(precipitaciones.filter(p => p >= 0.1).length),
+    inso: media(registros.map(r => numeroAemet(r.sol))).toFixed(1),
+    hr: String(Math.round(media(registros.map(r => numeroAemet(r.hrMedia))))),
+  };
+}
+
+function generarMensualesAnuales(indicativo, anioIni, anioFin) {
+  const resultado = [];
+  for (let anio = anioIni; anio <= anioFin; anio++) {
+    const registrosAnio = generarRegistrosDiarios(indicativo, new Date(anio, 0, 1), new Date(anio, 11, 31));
+    for (let mes = 1; mes <= 12; mes++) {
+      const registrosMes = registrosAnio.filter(r => parseInt(r.fecha.slice(5, 7), 10) === mes);
+      if (registrosMes.length > 0) resultado.push(resumirComoMensualAnual(indicativo, `${anio}-${mes}`, registrosMes, false));
+    }
+    if (registrosAnio.length > 0) resultado.push(resumirComoMensualAnual(indicativo, `${anio}-13`, registrosAnio, true));
+  }
+  return resultado;
+}
+
+// Normales y extremos se calculan sobre los datos generados del período 1991-2020.
+function generarNormalesYExtremos(indicativo) {
+  const registros = generarRegistrosDiarios(indicativo, new Date(1991, 0, 1), new Date(2020, 11, 31));
+  const porMes = (mes) => (mes === 13 ? registros : registros.filter(r => parseInt(r.fecha.slice(5, 7), 10) === mes));
+  const meses = Array.from({ length: 13 }, (_, i) => i + 1);
+
+  const normales = meses.map(mes => {
+    const grupo = porMes(mes);
+    return {
+      indicativo,
+      mes: String(mes),
+      tm_mes_md: media(grupo.map(r => numeroAemet(r.tmed))).toFixed(1),
+      tm_max_md: media(grupo.map(r => numeroAemet(r.tmax))).toFixed(1),
+      tm_min_md: media(grupo.map(r => numeroAemet(r.tmin))).toFixed(1),
+      p_mes_md: (grupo.reduce((suma, r) => suma + numeroAemet(r.prec), 0) / 30).toFixed(1),
+    };
+  });
+
+  const extremoPorMes = (campo, esMaximo) => meses.map(mes => porMes(mes).reduce((mejor, r) => {
+    const valor = numeroAemet(r[campo]);
+    return mejor === null || (esMaximo ? valor > mejor.valor : valor < mejor.valor) ? { valor, r } : mejor;
+  }, null));
+  const partes = (extremos) => ({
+    // AEMET expresa los extremos en décimas.
+    valores: extremos.map(e => String(Math.round(e.valor * 10))),
+    dias: extremos.map(e => String(parseInt(e.r.fecha.slice(8), 10))),
+    anios: extremos.map(e => e.r.fecha.slice(0, 4)),
+  });
+  const maximas = partes(extremoPorMes('tmax', true));
+  const minimas = partes(extremoPorMes('tmin', false));
+  const precipitaciones = partes(extremoPorMes('prec', true));
+
+  return {
+    normales,
+    extremosT: { indicativo, temMax: maximas.valores, diaMax: maximas.dias, anioMax: maximas.anios, temMin: minimas.valores, diaMin: minimas.dias, anioMin: minimas.anios },
+    extremosP: { indicativo, precMaxDia: precipitaciones.valores, diaMaxDia: precipitaciones.dias, anioMaxDia: precipitaciones.anios },
+  };
+}
+
+/**
+ * Empaqueta ficheros en un archivo tar (formato ustar), como los que sirve AEMET para los avisos.
+ * @param {Array<{nombre: string, contenido: Buffer}>} ficheros
+ * @returns {Buffer}
+ */
+function crearTar(ficheros) {
+  const bloques = ficheros.flatMap(({ nombre, contenido }) => {
+    const cabecera = Buffer.alloc(512);
+    const escribir = (texto, inicio, longitud) => cabecera.write(texto, inicio, longitud, 'latin1');
+    escribir(nombre, 0, 100);
+    escribir('0000644\0', 100, 8);
+    escribir('0000000\0', 108, 8);
+    escribir('0000000\0', 116, 8);
+    escribir(`${contenido.length.toString(8).padStart(11, '0')}\0`, 124, 12);
+    escribir(`${Math.floor(Date.now() / 1000).toString(8).padStart(11, '0')}\0`, 136, 12);
+    escribir('        ', 148, 8); // La suma de control se calcula con este campo en blanco
+    escribir('0', 156, 1);
+    escribir('ustar\0', 257, 6);
+    escribir('00', 263, 2);
+    const suma = cabecera.reduce((total, byte) => total + byte, 0);
+    escribir(`${suma.toString(8).padStart(6, '0')}\0 `, 148, 8);
+    const relleno = Buffer.alloc((512 - (contenido.length % 512)) % 512);
+    return [cabecera, contenido, relleno];
+  });
+  return Buffer.concat([...bloques, Buffer.alloc(1024)]);
+}
+
+const desfaseHorario = (fecha) => (fecha.getMonth() >= 3 && fecha.getMonth() <= 9 ? '+02:00' : '+01:00');
+
+function xmlAvisoCap({ identificador, enviado, tipoMensaje, referencia, zona, nivel, severidad, tmax, inicio, fin }) {
+  const umbral = `${Math.floor(tmax)} ºC`;
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>${identificador}</identifier>
+  <sender>http://www.aemet.es</sender>
+  <sent>${enviado}</sent>
+  <status>Actual</status>
+  <msgType>${tipoMensaje}</msgType>
+  <scope>Public</scope>${referencia ? `\n  <references>http://www.aemet.es,${referencia.identificador},${referencia.enviado}</references>` : ''}
+  <info>
+    <language>es-ES</language>
+    <category>Met</category>
+    <event>Aviso de temperaturas máximas de nivel ${nivel}</event>
+    <responseType>Monitor</responseType>
+    <urgency>Future</urgency>
+    <severity>${severidad}</severity>
+    <certainty>Likely</certainty>
+    <eventCode><valueName>AEMET-Meteoalerta fenomeno</valueName><value>AT;Temperaturas máximas</value></eventCode>
+    <effective>${enviado}</effective>
+    <onset>${inicio}</onset>
+    <expires>${fin}</expires>
+    <senderName>AEMET. Agencia Estatal de Meteorología</senderName>
+    <headline>Aviso de temperaturas máximas de nivel ${nivel}. ${zona.nombre}</headline>
+    <description>Máximas de ${umbral} &amp; ambiente muy caluroso.</description>
+    <parameter><valueName>AEMET-Meteoalerta nivel</valueName><value>${nivel}</value></parameter>
+    <parameter><valueName>AEMET-Meteoalerta parametro</valueName><value>AT;Temperaturas máximas;${umbral}</value></parameter>
+    <parameter><valueName>AEMET-Meteoalerta probabilidad</valueName><value>40%-70%</value></parameter>
+    <area>
+      <areaDesc>${zona.nombre}</areaDesc>
+      <geocode><valueName>AEMET-Meteoalerta zona</valueName><value>${zona.codigo}</value></geocode>
+    </area>
+  </info>
+  <info>
+    <language>en-GB</language>
+    <category>Met</category>
+    <event>${nivel} warning for maximum temperatures</event>
+    <onset>${inicio}</onset>
+    <expires>${fin}</expires>
+    <area><areaDesc>${zona.nombre}</areaDesc></area>
+  </info>
+</alert>
+`;
+}
+
+/**
+ * Genera los avisos CAP de calor de un día para las zonas de un área, a partir
+ * de la temperatura máxima de los datos diarios generados. Los avisos naranjas
+ * y rojos llegan como una actualización de un aviso amarillo emitido antes.
+ * @returns {Array<{nombre: string, contenido: Buffer}>} Un fichero XML por mensaje.
+ */
+function generarAvisosDelDia(fecha, area) {
+  const dia = format(fecha, 'yyyy-MM-dd');
+  const desfase = desfaseHorario(fecha);
+  const vispera = `${format(subDays(fecha, 1), 'yyyy-MM-dd')}T`;
+  const ficheros = [];
+
+  for (const zona of ZONAS_AVISO.filter(z => area === 'esp' || z.codigo.startsWith(area))) {
+    const tmax = numeroAemet(generarRegistroDiario(zona.indicativo, fecha).tmax);
+    const umbral = UMBRALES_CALOR.find(u => tmax >= u.tmax);
+    if (!umbral) continue;
+
+    const comun = { zona, tmax, inicio: `${dia}T12:00:00${desfase}`, fin: `${dia}T20:59:59${desfase}` };
+    const base = `2.49.0.0.724.0.ES.${dia.replace(/-/g, '')}.${zona.codigo}AT`;
+    const mensajes = [];
+    if (umbral.nivel !== 'amarillo') {
+      mensajes.push({ ...comun, identificador: `${base}1`, enviado: `${vispera}09:00:00${desfase}`, tipoMensaje: 'Alert', nivel: 'amarillo', severidad: 'Moderate' });
+    }
+    mensajes.push({
+      ...comun,
+      identificador: `${base}2`,
+      enviado: `${vispera}21:00:00${desfase}`,
+      tipoMensaje: mensajes.length > 0 ? 'Update' : 'Alert',
+      referencia: mensajes[0],
+      nivel: umbral.nivel,
+      severidad: umbral.severidad,
+    });
+    for (const mensaje of mensajes) {
+      ficheros.push({ nombre: `Z_CAP_C_LEMM_${mensaje.identificador}.xml`, contenido: Buffer.from(xmlAvisoCap(mensaje), 'utf-8') });
+    }
+  }
+  return ficheros;
+}
+
+/**
+ * Archivo histórico de avisos: un tar con un .tar.gz por cada día con avisos, como el de AEMET.
+ */
+function generarArchivoAvisos(inicio, final) {
+  const emisiones = [];
+  const hoy = new Date();
+  for (let dia = inicio; !isAfter(dia, final) && !isAfter(dia, hoy); dia = addDays(dia, 1)) {
+    const ficheros = generarAvisosDelDia(dia, 'esp');
+    if (ficheros.length > 0) {
+      emisiones.push({ nombre: `Z_CAP_C_LEMM_${format(dia, 'yyyyMMdd')}.tar.gz`, contenido: zlib.gzipSync(crearTar(ficheros)) });
+    }
+  }
+  return emisiones.length > 0 ? crearTar(emisiones) : null;
+}
+
+const parsearFechaPeticion = (texto) => parseDate(texto.slice(0, 10), 'yyyy-MM-dd', new Date());
+
+/**
+ * Extrae el rango y la estación de una ruta de datos diarios, o null si la ruta es de otro endpoint.
+ */
+function leerRutaDiaria(ruta) {
+  const match = /^\/valores\/climatologicos\/diarios\/datos\/fechaini\/([^/]+)\/fechafin\/([^/]+)\/estacion\/([^/]+)$/.exec(ruta);
+  if (!match) return null;
+  return {
+    inicio: parsearFechaPeticion(decodeURIComponent(match[1])),
+    final: parsearFechaPeticion(decodeURIComponent(match[2])),
+    indicativo: match[3],
+  };
+}
+
+/**
+ * Crea el servidor simulado.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.puerto=0] - Puerto de escucha (0 = uno libre cualquiera).
+ * @param {string} [opciones.fixturesDir] - Carpeta con respuestas en JSON. Para los datos diarios
+ * se busca `diarios_[indicativo].json` (filtrado por el rango pedido); para el resto de endpoints,
+ * un fichero con la ruta sin prefijo y con "/" cambiadas por "_" (ej: `valores_climatologicos_normales_estacion_3195.json`).
+ * @param {Object} [opciones.fallos] - Probabilidades (0-1) de inyectar cada tipo de fallo.
+ * @param {number} [opciones.fallos.tasa429] - Respuestas 429 (rate limit).
+ * @param {number} [opciones.fallos.tasa5xx] - Respuestas 500/503.
+ * @param {number} [opciones.fallos.tasaSinDatos] - Respuestas 404 "No hay datos", como las que da AEMET para rangos vacíos.
+ * @param {number} [opciones.fallos.tasaLenta] - Respuestas que tardan `retrasoMs` en llegar.
+ * @param {number} [opciones.fallos.retrasoMs=5000] - Retraso de las respuestas lentas.
+ * @param {number} [opciones.fallos.tasaJsonMalformado] - Contenidos de `datos` con JSON truncado.
+ * @param {Array<string>} [opciones.fallos.diasConError] - Días ("yyyy-MM-dd") que hacen fallar con un 500,
+ * siempre, cualquier petición de datos diarios que los incluya.
+ * @param {number} [opciones.semilla=1] - Semilla para que los fallos sean reproducibles.
+ * @param {boolean} [opciones.requiereApiKey=true] - Responde 401 si falta la cabecera `api_key`.
+ * @param {Array<string>} [opciones.clavesInvalidas] - API keys a las que se responde 401, como AEMET a una clave caducada.
+ * @param {number} [opciones.limitePorMinuto] - Si se indica, simula el cupo por minuto de AEMET: informa de
+ * las peticiones que quedan en la cabecera `Remaining-request-count` y responde 429 al agotarlo.
+ * @returns {{iniciar: () => Promise<string>, detener: () => Promise<void>, estadisticas: Object}}
+ */
+export function crearServidorMock(opciones = {}) {
+  const { puerto = 0, fixturesDir = null, fallos = {}, semilla = 1, requiereApiKey = true, clavesInvalidas = [], limitePorMinuto = null } = opciones;
+  const aleatorio = crearAleatorio(semilla);
+  const ocurre = (tasa) => tasa > 0 && aleatorio() < tasa;
+  const contenidos = new Map();
+  const estadisticas = { peticiones: 0, fallosInyectados: 0, limitesExcedidos: 0 };
+  const cupo = { minuto: 0, usadas: 0 };
+  let siguienteId = 1;
+  let urlBase = null;
+
+  const leerFixture = (nombre) => {
+    if (!fixturesDir) return null;
+    const ruta = path.join(fixturesDir, nombre);
+    return fs.existsSync(ruta) ? JSON.parse(fs.readFileSync(ruta, 'utf-8')) : null;
+  };
+
+  /**
+   * Resuelve una ruta de la API a su contenido, o null si no hay datos.
+   */
+  function resolverContenido(ruta) {
+    const diaria = leerRutaDiaria(ruta);
+    if (diaria) {
+      const { inicio, final, indicativo } = diaria;
+      const fixture = leerFixture(`diarios_${indicativo}.json`);
+      if (fixture) {
+        const desde = format(inicio, 'yyyy-MM-dd');
+        const hasta = format(final, 'yyyy-MM-dd');
+        const enRango = fixture.filter(r => r.fecha >= desde && r.fecha <= hasta);
+        return enRango.length > 0 ? enRango : null;
+      }
+      const registros = generarRegistrosDiarios(indicativo, inicio, final);
+      return registros.length > 0 ? registros : null;
+    }
+
+    const fixture = leerFixture(`${ruta.replace(/^\//, '').replace(/\//g, '_')}.json`);
+    if (fixture) return fixture;
+
+    if (ruta === '/valores/climatologicos/inventarioestaciones/todasestaciones') {
+      return ESTACIONES_GENERADAS;
+    }
+    let match = /^\/observacion\/convencional\/datos\/estacion\/([^/]+)$/.exec(ruta);
+    if (match) return generarObservaciones(match[1]);
+
+    match = /^\/valores\/climatologicos\/mensualesanuales\/datos\/anioini\/(\d+)\/aniofin\/(\d+)\/estacion\/([^/]+)$/.exec(ruta);
+    if (match) {
+      const registros = generarMensualesAnuales(match[3], parseInt(match[1], 10), parseInt(match[2], 10));
+      return registros.length > 0 ? registros : null;
+    }
+
+    match = /^\/avisos_cap\/ultimoelaborado\/area\/([^/]+)$/.exec(ruta);
+    if (match) {
+      const hoy = new Date();
+      const ficheros = [...generarAvisosDelDia(hoy, match[1]), ...generarAvisosDelDia(addDays(hoy, 1), match[1])];
+      return ficheros.length > 0 ? crearTar(ficheros) : null;
+    }
+
+    match = /^\/avisos_cap\/archivo\/fechaini\/([^/]+)\/fechafin\/([^/]+)$/.exec(ruta);
+    if (match) return generarArchivoAvisos(parsearFechaPeticion(decodeURIComponent(match[1])), parsearFechaPeticion(decodeURIComponent(match[2])));
+
+    match = /^\/valores\/climatologicos\/normales\/estacion\/([^/]+)$/.exec(ruta);
+    if (match) return generarNormalesYExtremos(match[1]).normales;
+
+    match = /^\/valores\/climatologicos\/valoresextremos\/parametro\/([TP])\/estacion\/([^/]+)$/.exec(ruta);
+    if (match) {
+      const { extremosT, extremosP } = generarNormalesYExtremos(match[2]);
+      return [match[1] === 'T' ? extremosT : extremosP];
+    }
+
+    return null;
+  }
+
+  function responderJSON(res, status, cuerpo, charset = 'UTF-8', cabeceras = {}) {
+    const texto = typeof cuerpo === 'string' ? cuerpo : JSON.stringify(cuerpo);
+    res.writeHead(status, { 'Content-Type': `application/json;charset=${charset}`, ...cabeceras });
+    res.end(charset === CHARSET_AEMET ? Buffer.from(texto, 'latin1') : texto);
+  }
+
+  function atenderApi(req, res, ruta) {
+    if (requiereApiKey && (!req.headers['api_key'] || clavesInvalidas.includes(req.headers['api_key']))) {
+      return responderJSON(res, 401, { descripcion: 'API key invalido', estado: 401 });
+    }
+    const cabeceras = {};
+    if (limitePorMinuto) {
+      const minuto = Math.floor(Date.now() / 60000);
+      if (minuto !== cupo.minuto) Object.assign(cupo, { minuto, usadas: 0 });
+      if (cupo.usadas >= limitePorMinuto) {
+        estadisticas.limitesExcedidos++;
+        const retryAfter = String(Math.ceil(((minuto + 1) * 60000 - Date.now()) / 1000));
+        return responderJSON(res, 429, { descripcion: 'Peticiones por minuto excedidas', estado: 429 }, 'UTF-8', { 'Retry-After': retryAfter, 'Remaining-request-count': '0' });
+      }
+      cupo.usadas++;
+      cabeceras['Remaining-request-count'] = String(limitePorMinuto - cupo.usadas);
+    }
+    if (ocurre(fallos.tasa429)) {
+      estadisticas.fallosInyectados++;
+      return responderJSON(res, 429, { descripcion: 'Peticiones por minuto excedidas', estado: 429 });
+    }
+    if (ocurre(fallos.tasa5xx)) {
+      estadisticas.fallosInyectados++;
+      const status = aleatorio() < 0.5 ? 500 : 503;
+      return responderJSON(res, status, { descripcion: 'Error interno del servidor', estado: status });
+    }
+    const diaria = leerRutaDiaria(ruta);
+    if (diaria && fallos.diasConError?.some(dia => dia >= format(diaria.inicio, 'yyyy-MM-dd') && dia <= format(diaria.final, 'yyyy-MM-dd'))) {
+      estadisticas.fallosInyectados++;
+      return responderJSON(res, 500, { descripcion: 'Error interno del servidor', estado: 500 }, 'UTF-8', cabeceras);
+    }
+    if (ocurre(fallos.tasaSinDatos)) {
+      estadisticas.fallosInyectados++;
+      return responderJSON(res, 404, { descripcion: 'No hay datos que satisfagan esos criterios de búsqueda', estado: 404 });
+    }
+
+    const contenido = resolverContenido(ruta);
+    if (contenido === null) {
+      return responderJSON(res, 404, { descripcion: 'No hay datos que satisfagan esos criterios de búsqueda', estado: 404 }, 'UTF-8', cabeceras);
+    }
+
+    const id = (siguienteId++).toString(16).padStart(8, '0');
+    contenidos.set(id, contenido);
+    return responderJSON(res, 200, {
+      descripcion: 'exito',
+      estado: 200,
+      datos: `${urlBase}${PREFIJO_DATOS}/${id}`,
+      metadatos: `${urlBase}${PREFIJO_DATOS}/metadatos-${ruta.split('/')[3] ?? 'generico'}`,
+    }, 'UTF-8', cabeceras);
+  }
+
+  function atenderDatos(res, id) {
+    if (id.startsWith('metadatos-')) {
+      return responderJSON(res, 200, id === 'metadatos-diarios' ? METADATOS_DIARIOS : { descripcion: 'Metadatos', campos: [] }, CHARSET_AEMET);
+    }
+    if (!contenidos.has(id)) {
+      return responderJSON(res, 404, { descripcion: 'Recurso no encontrado', estado: 404 });
+    }
+    if (Buffer.isBuffer(contenidos.get(id))) {
+      res.writeHead(200, { 'Content-Type': 'application/x-tar' });
+      res.end(contenidos.get(id));
+      contenidos.delete(id);
+      return;
+    }
+    const contenido = JSON.stringify(contenidos.get(id), null, 1);
+    contenidos.delete(id);
+    if (ocurre(fallos.tasaJsonMalformado)) {
+      estadisticas.fallosInyectados++;
+      return responderJSON(res, 200, contenido.slice(0, Math.floor(contenido.length / 2)), CHARSET_AEMET);
+    }
+    return responderJSON(res, 200, contenido, CHARSET_AEMET);
+  }
+
+  const servidor = http.createServer((req, res) => {
+    estadisticas.peticiones++;
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    const atender = () => {
+      if (pathname.startsWith(PREFIJO_API)) return atenderApi(req, res, pathname.slice(PREFIJO_API.length));
+      if (pathname.startsWith(`${PREFIJO_DATOS}/`)) return atenderDatos(res, pathname.slice(PREFIJO_DATOS.length + 1));
+      return responderJSON(res, 404, { descripcion: 'Ruta no encontrada', estado: 404 });
+    };
+
+    if (ocurre(fallos.tasaLenta)) {
+      estadisticas.fallosInyectados++;
+      setTimeout(atender, fallos.retrasoMs ?? 5000);
+    } else {
+      atender();
+    }
+  });
+
+  return {
+    estadisticas,
+
+    /**
+     * Arranca el servidor.
+     * @returns {Promise<string>} La URL base de la API, lista para `AEMET_BASE_URL`.
+     */
+    iniciar: () => new Promise((resolve, reject) => {
+      servidor.once('error', reject);
+      servidor.listen(puerto, '127.0.0.1', () => {
+        urlBase = `http://127.0.0.1:${servidor.address().port}`;
+        resolve(`${urlBase}${PREFIJO_API}`);
+      });
+    }),
+
+    detener: () => new Promise(resolve => {
+      servidor.closeAllConnections?.();
+      servidor.close(() => resolve());
+    }),
+  };
+}
@@ -1,83 +1,358 @@
 // services/aemetApi.js
-import { API_CONFIG, SCRIPT_SETTINGS } from '../config.js';
+import { API_CONFIG, RETRY_CONFIG, SCRIPT_SETTINGS } from '../config.js';
 import { logger } from '../utils/consoleLogger.js';
+import { limitadorAemet } from './rateLimiter.js';
+import { conReintentos } from './retryPolicy.js';
+import { clavesApi, enmascararClave } from './apiKeys.js';
+import {
+  ErrorAemet, ErrorAutenticacion, ErrorSinDatos, ErrorLimitePeticiones, ErrorServidor, ErrorContenido,
+} from './aemetErrors.js';
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Última URL de `metadatos` recibida para cada tipo de endpoint (ej: 'diarios').
+const urlsMetadatos = new Map();
 
-export async function obtenerDatosParaRango(fechaIniStr, fechaFinStr, estacionId) {
-  const apiKey = process.env.AEMET_API_KEY;
-  const apiUrl = `${API_CONFIG.BASE_URL}/valores/climatologicos/diarios/datos/fechaini/${fechaIniStr}/fechafin/${fechaFinStr}/estacion/${estacionId}`;
-  
-  const maxIntentos = Math.floor(API_CONFIG.MAX_RETRY_SECONDS * 1000 / API_CONFIG.RETRY_DELAY_MS);
-  for (let i = 0; i < maxIntentos; i++) {
-    try {
-      logger.setWarning(null);
+/**
+ * Convierte un código de error (HTTP o el `estado` del JSON de AEMET) en el error tipado correspondiente.
+ * @param {number} status - Código de error.
+ * @param {string} mensaje - Descripción del error.
+ * @returns {ErrorAemet}
+ */
+function crearErrorPorEstado(status, mensaje) {
+  if (status === 401 || status === 403) return new ErrorAutenticacion(mensaje, { status });
+  if (status === 404) return new ErrorSinDatos(mensaje);
+  if (status === 429) return new ErrorLimitePeticiones(mensaje);
+  if (status >= 500) return new ErrorServidor(mensaje, { status });
+  return new ErrorAemet(mensaje, { status });
+}
 
-      if (SCRIPT_SETTINGS.VERBOSE_MODE) {
-        logger.info(`[VERBOSE] Petición inicial (Intento ${i + 1}/${maxIntentos}): GET ${apiUrl}`);
-      }
+/**
+ * Hace un `fetch` con un tiempo máximo (`API_CONFIG.TIEMPO_MAXIMO_PETICION_MS`) y
+ * lee el cuerpo completo, para que una URL de datos que deja de responder a mitad
+ * no bloquee la extracción. Los fallos de red y el tiempo agotado se convierten en
+ * `ErrorServidor`, que se reintentan; una cancelación (`opcionesFetch.signal`) se
+ * propaga tal cual, para que no se reintente.
+ * @returns {Promise<Response>} Una respuesta con el cuerpo ya descargado.
+ */
+async function fetchAemet(url, opcionesFetch, descripcion) {
+  const { signal } = opcionesFetch;
+  const tiempoMaximo = AbortSignal.timeout(API_CONFIG.TIEMPO_MAXIMO_PETICION_MS);
+  try {
+    const respuesta = await fetch(url, { ...opcionesFetch, signal: signal ? AbortSignal.any([signal, tiempoMaximo]) : tiempoMaximo });
+    const cuerpo = await respuesta.arrayBuffer();
+    return new Response(cuerpo, { status: respuesta.status, statusText: respuesta.statusText, headers: respuesta.headers });
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    if (tiempoMaximo.aborted) {
+      throw new ErrorServidor(`AEMET no respondió en ${API_CONFIG.TIEMPO_MAXIMO_PETICION_MS / 1000}s al pedir ${descripcion}.`, { cause: error });
+    }
+    throw new ErrorServidor(`Error de red al pedir ${descripcion}: ${error.cause?.message ?? error.message}`, { cause: error });
+  }
+}
 
-      const resInicial = await fetch(apiUrl, {
-        headers: { 'api_key': apiKey, 'Accept': 'application/json' },
-      });
+/**
+ * Lee el cuerpo de una respuesta como texto con el charset de su Content-Type.
+ * AEMET sirve los `datos` y los `metadatos` en ISO-8859-15, mientras que
+ * `Response.text()` decodifica siempre como UTF-8 y estropea los acentos y las eñes.
+ */
+async function leerTexto(respuesta) {
+  const charset = /charset=["']?([^;"'\s]+)/i.exec(respuesta.headers.get('content-type') ?? '')?.[1] ?? 'utf-8';
+  let decodificador;
+  try {
+    decodificador = new TextDecoder(charset);
+  } catch {
+    decodificador = new TextDecoder('utf-8'); // Charset desconocido: lo más probable es que sea UTF-8.
+  }
+  return decodificador.decode(await respuesta.arrayBuffer());
+}
 
-      if (SCRIPT_SETTINGS.VERBOSE_MODE) {
-        // Clonamos la respuesta para poder leerla aquí y luego en el resto del código
-        const resClone = resInicial.clone();
-        const resBody = await resClone.text();
-        logger.info(`[VERBOSE] Respuesta inicial: ${resClone.status} ${resClone.statusText}`);
-        logger.info(`[VERBOSE] Cuerpo de la respuesta inicial:\n${resBody}`);
-      }
-      
-      if (resInicial.status === 429) {
-        const espera = API_CONFIG.RATE_LIMIT_WAIT_MS / 1000; // a segundos
-        logger.setWarning(`Rate limit (429) alcanzado. Esperando ${espera}s antes de reintentar...`);
-        await sleep(API_CONFIG.RATE_LIMIT_WAIT_MS);
-        continue; // Salta al siguiente intento del bucle
-      }
-      if (!resInicial.ok) {
-        const errorBody = await resInicial.text();
-        throw new Error(`Error en petición inicial: ${resInicial.status} ${resInicial.statusText}. Respuesta: ${errorBody}`);
-      }
-      
-      const resUrlDatos = await resInicial.json();
-      if (resUrlDatos.estado !== 200) {
-        throw new Error(`Error en la respuesta de Aemet: ${resUrlDatos.descripcion}`);
-      }
+/**
+ * Lee el cuerpo JSON de una respuesta. Un JSON truncado o mal formado se
+ * convierte en `ErrorContenido`.
+ */
+async function leerJSON(respuesta, descripcion) {
+  const texto = await leerTexto(respuesta);
+  try {
+    return JSON.parse(texto);
+  } catch (error) {
+    throw new ErrorContenido(`Respuesta no válida de AEMET para ${descripcion} (${texto.length} bytes): ${error.message}`, { cause: error });
+  }
+}
 
-      if (SCRIPT_SETTINGS.VERBOSE_MODE) {
-        logger.info(`[VERBOSE] Petición de datos finales: GET ${resUrlDatos.datos}`);
-      }
-      
-      const resDatosFinales = await fetch(resUrlDatos.datos);
+/**
+ * Primer paso del protocolo: pide el recurso con una de las claves y devuelve la
+ * respuesta de AEMET con la URL de `datos`. Si AEMET rechaza la clave (401), se
+ * descarta del limitador con un aviso y se repite la petición con otra, sin gastar
+ * un intento; cuando no queda ninguna, el limitador lanza `ErrorAutenticacion`.
+ */
+async function pedirUrlDatos({ apiUrl, descripcion, progreso, maxIntentos, claves, signal }, intento) {
+  for (;;) {
+    if (SCRIPT_SETTINGS.VERBOSE_MODE) {
+      progreso.info(`[VERBOSE] Petición inicial (Intento ${intento}/${maxIntentos}): GET ${apiUrl}`);
+    }
 
-      if (SCRIPT_SETTINGS.VERBOSE_MODE) {
-        const resClone = resDatosFinales.clone();
-        // const resBody = await resClone.text(); // Descomentar para inspeccionar el cuerpo
-        logger.info(`[VERBOSE] Respuesta de datos finales: ${resClone.status} ${resClone.statusText}`);
-        // logger.info(`[VERBOSE] Cuerpo de la respuesta de datos finales:\n${resBody}`);
-      }
+    const clave = await limitadorAemet.adquirir(signal, claves);
+    const resInicial = await fetchAemet(apiUrl, {
+      headers: { 'api_key': clave, 'Accept': 'application/json' },
+      signal,
+    }, descripcion);
 
-      if (!resDatosFinales.ok) {
-        const errorBody = await resDatosFinales.text();
-        throw new Error(`Error al obtener datos finales: ${resDatosFinales.status} ${resDatosFinales.statusText}. Respuesta: ${errorBody}`);
+    if (SCRIPT_SETTINGS.VERBOSE_MODE) {
+      // Clonamos la respuesta para poder leerla aquí y luego en el resto del código
+      const resClone = resInicial.clone();
+      const resBody = await leerTexto(resClone);
+      progreso.info(`[VERBOSE] Respuesta inicial: ${resClone.status} ${resClone.statusText}`);
+      progreso.info(`[VERBOSE] Cuerpo de la respuesta inicial:\n${resBody}`);
+    }
+
+    // AEMET responde con JSON también en los errores, a veces con el código HTTP
+    // correcto y a veces con un 200 y el error en `estado`.
+    const resUrlDatos = resInicial.ok
+      ? await leerJSON(resInicial, descripcion)
+      : await leerJSON(resInicial, descripcion).catch(() => ({}));
+    const status = resInicial.ok ? (resUrlDatos.estado ?? 200) : resInicial.status;
+    if (status === 401) {
+      const motivo = `401 ${resUrlDatos.descripcion ?? resInicial.statusText}`.trim();
+      if (limitadorAemet.descartarClave(clave, motivo)) {
+        const quedan = limitadorAemet.clavesActivas(claves).length;
+        progreso.warn(`AEMET rechaza la API key ${enmascararClave(clave)} (${motivo}): no es válida o ha caducado y se deja de usar. ${quedan > 0 ? `Quedan ${quedan} clave(s).` : 'No queda ninguna.'}`);
       }
-      logger.setWarning(null);
-      return await resDatosFinales.json();
-    } catch (error) {
-      const esUltimoIntento = i === maxIntentos - 1;
-      const mensajeReintento = `Error en petición. Reintentando en ${API_CONFIG.RETRY_DELAY_MS / 1000}s... (Intento ${i + 1}/${maxIntentos})`;
-      logger.setWarning(mensajeReintento);
+      continue;
+    }
+    if (status === 429) {
+      // La pausa la aplica el limitador a las peticiones de esta clave en la próxima llamada a `adquirir`.
+      const espera = Math.round(limitadorAemet.registrarLimiteExcedido(resInicial, clave) / 1000);
+      throw new ErrorLimitePeticiones(`Rate limit (429) alcanzado. Esperando ${espera}s antes de reintentar`);
+    }
+    // Solo se aprende de las respuestas que no rechazan la clave ni exceden el límite.
+    limitadorAemet.registrarRespuesta(resInicial, clave);
+    if (SCRIPT_SETTINGS.VERBOSE_MODE) {
+      const { peticionesPorMinuto, disponibles, restantesServidor } = limitadorAemet.presupuesto();
+      progreso.info(`[VERBOSE] Límite de peticiones: ${peticionesPorMinuto}/min, ${disponibles} disponibles ahora${restantesServidor !== null ? `, ${restantesServidor} según AEMET` : ''}.`);
+    }
+    if (status !== 200) {
+      throw crearErrorPorEstado(status, `Error de AEMET para ${descripcion}: ${status} ${resUrlDatos.descripcion ?? resInicial.statusText}`);
+    }
+    if (typeof resUrlDatos.datos !== 'string') {
+      throw new ErrorContenido(`La respuesta de AEMET para ${descripcion} no incluye la URL de datos.`);
+    }
+    return resUrlDatos;
+  }
+}
+
+/**
+ * Hace un único intento del protocolo en dos pasos. Lanza siempre un error tipado
+ * (ver services/aemetErrors.js) para que `conReintentos` decida si repetirlo.
+ */
+async function intentarPeticion(peticion, intento) {
+  const { descripcion, tipo, formato, progreso, signal } = peticion;
+  const resUrlDatos = await pedirUrlDatos(peticion, intento);
+  if (tipo && resUrlDatos.metadatos) {
+    urlsMetadatos.set(tipo, resUrlDatos.metadatos);
+  }
+
+  if (SCRIPT_SETTINGS.VERBOSE_MODE) {
+    progreso.info(`[VERBOSE] Petición de datos finales: GET ${resUrlDatos.datos}`);
+  }
+
+  const resDatosFinales = await fetchAemet(resUrlDatos.datos, { signal }, descripcion);
+
+  if (SCRIPT_SETTINGS.VERBOSE_MODE) {
+    const resClone = resDatosFinales.clone();
+    // const resBody = await leerTexto(resClone); // Descomentar para inspeccionar el cuerpo
+    progreso.info(`[VERBOSE] Respuesta de datos finales: ${resClone.status} ${resClone.statusText}`);
+    // progreso.info(`[VERBOSE] Cuerpo de la respuesta de datos finales:\n${resBody}`);
+  }
+
+  if (!resDatosFinales.ok) {
+    const errorBody = await leerTexto(resDatosFinales);
+    // La URL de datos caduca pronto: cualquier fallo aquí se resuelve repitiendo la petición completa.
+    throw new ErrorServidor(`Error al obtener datos finales de ${descripcion}: ${resDatosFinales.status} ${resDatosFinales.statusText}. Respuesta: ${errorBody}`, { status: resDatosFinales.status });
+  }
+  if (formato === 'binario') return Buffer.from(await resDatosFinales.arrayBuffer());
+  return leerJSON(resDatosFinales, descripcion);
+}
+
+/**
+ * Realiza una petición a la API de AEMET siguiendo su protocolo en dos pasos:
+ * primero se pide el recurso y AEMET responde con una URL en `datos`, que es
+ * la que contiene el contenido real, y otra en `metadatos` que lo describe.
+ * Los fallos pasajeros se reintentan según `RETRY_CONFIG` (ver services/retryPolicy.js).
+ * @param {string} ruta - Ruta del endpoint relativa a `API_CONFIG.BASE_URL`.
+ * @param {string} descripcion - Texto que identifica la petición en los mensajes de error.
+ * @param {Object} [opciones]
+ * @param {string} [opciones.tipo] - Tipo de endpoint bajo el que se recuerda la URL de metadatos.
+ * @param {'json'|'binario'} [opciones.formato='json'] - Cómo se lee el contenido de la URL de datos.
+ * @param {Object} [opciones.progreso=logger] - Dónde se muestran los avisos y reintentos (el spinner global
+ * o una línea de `crearProgresoMultiple`).
+ * @param {number} [opciones.maxIntentos=RETRY_CONFIG.MAX_INTENTOS] - Intentos antes de dar la petición por fallida.
+ * @param {string} [opciones.apiKey] - API key de AEMET con la que hacer la petición.
+ * @param {Array<string>} [opciones.apiKeys] - Varias API keys entre las que el limitador reparte las peticiones.
+ * Sin `apiKey` ni `apiKeys`, se usan las del entorno (ver services/apiKeys.js).
+ * @param {string} [opciones.baseUrl=API_CONFIG.BASE_URL] - URL base de la API (ej: la del servidor simulado).
+ * @param {AbortSignal} [opciones.signal] - Cancela la petición y los reintentos pendientes.
+ * @returns {Promise<any>} El contenido JSON de la URL de datos (un `Buffer` con `formato` 'binario').
+ * @throws {ErrorAemet} Un error tipado de services/aemetErrors.js si la petición falla definitivamente,
+ * o el motivo de `signal` si se cancela.
+ */
+async function realizarPeticionAemet(ruta, descripcion, opciones = {}) {
+  const {
+    tipo, formato = 'json', progreso = logger, maxIntentos = RETRY_CONFIG.MAX_INTENTOS,
+    apiKey, apiKeys, baseUrl = API_CONFIG.BASE_URL, signal,
+  } = opciones;
+  const claves = apiKeys ?? (apiKey ? [apiKey] : clavesApi());
+  const peticion = { apiUrl: `${baseUrl}${ruta}`, descripcion, tipo, formato, progreso, maxIntentos, claves, signal };
+
+  const datos = await conReintentos(intento => intentarPeticion(peticion, intento), {
+    maxIntentos,
+    signal,
+    alReintentar: (error, intento, espera) => {
+      const textoEspera = espera > 0 ? ` Reintentando en ${Math.ceil(espera / 1000)}s...` : ' Reintentando...';
+      progreso.setWarning(`${error.name}.${textoEspera} (Intento ${intento}/${maxIntentos})`);
       if (SCRIPT_SETTINGS.VERBOSE_MODE) {
-        // El error ya se loguea con más detalle gracias a los logs anteriores,
-        // pero mantenemos este por si algo se escapa.
-        console.error(`\n[VERBOSE] Error capturado en el bloque catch:`, error);
+        console.error(`\n[VERBOSE] Error en el intento ${intento}:`, error);
       }
-      if (esUltimoIntento) {
-        throw new Error(`La petición falló definitivamente para el rango ${fechaIniStr} - ${fechaFinStr} tras ${maxIntentos} intentos.`);
-      }
-      await sleep(API_CONFIG.RETRY_DELAY_MS);
-    }
+    },
+  });
+  progreso.setWarning(null);
+  return datos;
+}
+
+export async function obtenerDatosParaRango(fechaIniStr, fechaFinStr, estacionId, opciones = {}) {
+  const ruta = `/valores/climatologicos/diarios/datos/fechaini/${fechaIniStr}/fechafin/${fechaFinStr}/estacion/${estacionId}`;
+  return realizarPeticionAemet(ruta, `el rango ${fechaIniStr} - ${fechaFinStr}`, { ...opciones, tipo: 'diarios' });
+}
+
+/**
+ * Devuelve la URL de metadatos recibida en la última petición de un tipo de endpoint.
+ * @param {string} tipo - Tipo de endpoint (ej: 'diarios').
+ * @returns {string|null} La URL, o null si aún no se ha hecho ninguna petición de ese tipo.
+ */
+export function obtenerUrlMetadatos(tipo) {
+  return urlsMetadatos.get(tipo) ?? null;
+}
+
+/**
+ * Descarga los metadatos de un endpoint (descripción, unidades y tipo de cada campo).
+ * @param {string} url - URL de metadatos devuelta por AEMET.
+ * @param {{signal?: AbortSignal}} [opciones]
+ * @returns {Promise<Object>} Los metadatos, con la lista de campos en `campos`.
+ */
+export async function descargarMetadatos(url, opciones = {}) {
+  if (SCRIPT_SETTINGS.VERBOSE_MODE) {
+    logger.info(`[VERBOSE] Petición de metadatos: GET ${url}`);
+  }
+  const res = await fetchAemet(url, { signal: opciones.signal }, 'los metadatos');
+  if (!res.ok) {
+    throw new ErrorServidor(`Error al obtener los metadatos: ${res.status} ${res.statusText}`, { status: res.status });
   }
-  throw new Error(`La petición falló definitivamente para el rango ${fechaIniStr} - ${fechaFinStr}`);
-}
\ No newline at end of file
+  return leerJSON(res, 'los metadatos');
+}
+
+/**
+ * Descarga los valores climatológicos mensuales y anuales oficiales de una estación.
+ * AEMET limita cada petición a un máximo de 36 meses (ver `generarRangosAnuales`).
+ * @param {number} anioIni - Primer año del rango.
+ * @param {number} anioFin - Último año del rango (incluido).
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet` (ej: `progreso`).
+ * @returns {Promise<Array<Object>>} Un registro por mes (`fecha` "AAAA-M") y otro por año (`fecha` "AAAA-13").
+ */
+export async function obtenerValoresMensualesAnuales(anioIni, anioFin, estacionId, opciones = {}) {
+  const ruta = `/valores/climatologicos/mensualesanuales/datos/anioini/${anioIni}/aniofin/${anioFin}/estacion/${estacionId}`;
+  return realizarPeticionAemet(ruta, `los valores mensuales/anuales ${anioIni} - ${anioFin}`, opciones);
+}
+
+/**
+ * Descarga los valores climatológicos normales (período 1991-2020) de una estación.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet` (ej: `progreso`).
+ * @returns {Promise<Array<Object>>} Un registro por mes (`mes` 1-12) y otro anual (`mes` 13).
+ */
+export async function obtenerNormales(estacionId, opciones = {}) {
+  const ruta = `/valores/climatologicos/normales/estacion/${estacionId}`;
+  return realizarPeticionAemet(ruta, `los valores normales de ${estacionId}`, opciones);
+}
+
+/**
+ * Descarga los valores extremos registrados en una estación.
+ * @param {'T'|'P'|'V'} parametro - Temperatura, precipitación o viento.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet` (ej: `progreso`).
+ * @returns {Promise<Object>} Los extremos, como arrays de 13 posiciones (12 meses y el anual).
+ */
+export async function obtenerValoresExtremos(parametro, estacionId, opciones = {}) {
+  const ruta = `/valores/climatologicos/valoresextremos/parametro/${parametro}/estacion/${estacionId}`;
+  const respuesta = await realizarPeticionAemet(ruta, `los valores extremos (${parametro}) de ${estacionId}`, opciones);
+  // Según la estación, AEMET devuelve el objeto directamente o dentro de un array.
+  return Array.isArray(respuesta) ? respuesta[0] : respuesta;
+}
+
+/**
+ * Descarga las observaciones convencionales (horarias) de las últimas 24 horas
+ * de una estación. AEMET no ofrece un histórico de estos datos.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet`.
+ * @returns {Promise<Array<Object>>} Una observación por hora (`fint` en UTC).
+ */
+export async function obtenerObservacionesConvencionales(estacionId, opciones = {}) {
+  const ruta = `/observacion/convencional/datos/estacion/${estacionId}`;
+  return realizarPeticionAemet(ruta, `las observaciones de ${estacionId}`, opciones);
+}
+
+/**
+ * Descarga la predicción diaria (próximos 7 días) de un municipio.
+ * @param {string} codigoIne - Código INE del municipio (5 dígitos).
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet`.
+ * @returns {Promise<Array<Object>>} La predicción tal y como la devuelve la API.
+ */
+export async function obtenerPrediccionDiaria(codigoIne, opciones = {}) {
+  const ruta = `/prediccion/especifica/municipio/diaria/${codigoIne}`;
+  return realizarPeticionAemet(ruta, `la predicción diaria de ${codigoIne}`, opciones);
+}
+
+/**
+ * Descarga la predicción horaria (próximas 48 horas) de un municipio.
+ * @param {string} codigoIne - Código INE del municipio (5 dígitos).
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet`.
+ * @returns {Promise<Array<Object>>} La predicción tal y como la devuelve la API.
+ */
+export async function obtenerPrediccionHoraria(codigoIne, opciones = {}) {
+  const ruta = `/prediccion/especifica/municipio/horaria/${codigoIne}`;
+  return realizarPeticionAemet(ruta, `la predicción horaria de ${codigoIne}`, opciones);
+}
+
+/**
+ * Descarga el inventario completo de estaciones climatológicas de AEMET.
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet`.
+ * @returns {Promise<Array<Object>>} Las estaciones tal y como las devuelve la API.
+ */
+export async function obtenerInventarioEstaciones(opciones = {}) {
+  const ruta = '/valores/climatologicos/inventarioestaciones/todasestaciones';
+  return realizarPeticionAemet(ruta, 'el inventario de estaciones', opciones);
+}
+
+/**
+ * Descarga los últimos avisos meteorológicos (Meteoalerta) elaborados para un área.
+ * AEMET los sirve como un archivo tar con un fichero XML en formato CAP por aviso.
+ * @param {string} area - 'esp' para toda España o el código de Meteoalerta de una comunidad autónoma (ej: '61').
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet`.
+ * @returns {Promise<Buffer>} El archivo tar.
+ */
+export async function obtenerAvisosCapUltimos(area, opciones = {}) {
+  const ruta = `/avisos_cap/ultimoelaborado/area/${area}`;
+  return realizarPeticionAemet(ruta, `los últimos avisos de ${area}`, { ...opciones, formato: 'binario' });
+}
+
+/**
+ * Descarga el archivo histórico de avisos meteorológicos (Meteoalerta) emitidos
+ * entre dos fechas, para toda España. AEMET lo sirve como un archivo tar con un
+ * .tar.gz de ficheros CAP por cada emisión.
+ * @param {string} fechaIniStr - Inicio, en el formato de la API ("yyyy-MM-ddTHH:mm:ssUTC").
+ * @param {string} fechaFinStr - Fin, en el mismo formato.
+ * @param {Object} [opciones] - Opciones de `realizarPeticionAemet`.
+ * @returns {Promise<Buffer>} El archivo tar.
+ */
+export async function obtenerAvisosCapArchivo(fechaIniStr, fechaFinStr, opciones = {}) {
+  const ruta = `/avisos_cap/archivo/fechaini/${fechaIniStr}/fechafin/${fechaFinStr}`;
+  return realizarPeticionAemet(ruta, `los avisos del ${fechaIniStr} al ${fechaFinStr}`, { ...opciones, formato: 'binario' });
+}
@@ -0,0 +1,244 @@
+// services/aemetClient.js
+import { addDays, format, isAfter, isValid, min } from 'date-fns';
+import { API_CONFIG, WARNINGS_CONFIG } from '../config.js';
+import {
+  obtenerDatosParaRango, obtenerValoresMensualesAnuales, obtenerNormales, obtenerValoresExtremos,
+  obtenerObservacionesConvencionales, obtenerPrediccionDiaria, obtenerPrediccionHoraria, obtenerInventarioEstaciones,
+  obtenerAvisosCapUltimos, obtenerAvisosCapArchivo,
+} from './aemetApi.js';
+import { ErrorSinDatos } from './aemetErrors.js';
+import { leerClavesApi } from './apiKeys.js';
+import { normalizarEstacion } from './stationInventory.js';
+import {
+  normalizarDatos, normalizarValoresMensualesAnuales, normalizarNormales, normalizarValoresExtremos, normalizarObservaciones,
+} from '../utils/dataProcessor.js';
+import { normalizarPrediccionDiaria, normalizarPrediccionHoraria } from '../utils/forecastProcessor.js';
+import { normalizarAvisosCap } from '../utils/capProcessor.js';
+import { extraerFicherosTar } from '../utils/tarReader.js';
+import { generarRangosDePeticion, generarRangosAnuales, parsearFecha } from '../utils/dateUtils.js';
+
+const ignorar = () => {};
+
+/**
+ * Adapta un logger al estilo de `console` (info/warn) a la interfaz de progreso
+ * que usa aemetApi.js, pensada para el spinner de los scripts. Los avisos de
+ * reintento llegan como `setWarning(texto)` y se limpian con `setWarning(null)`.
+ */
+function crearProgreso(logger) {
+  if (!logger) return { info: ignorar, warn: ignorar, setWarning: ignorar };
+  return {
+    info: (mensaje) => (logger.debug ?? logger.info)?.call(logger, mensaje),
+    warn: (mensaje) => logger.warn?.(mensaje),
+    setWarning: (mensaje) => {
+      if (mensaje) logger.warn?.(mensaje);
+    },
+  };
+}
+
+const aFecha = (fecha) => (fecha instanceof Date ? fecha : parsearFecha(String(fecha)));
+
+/**
+ * Cliente de la API de AEMET OpenData para usar desde otros programas de Node.
+ * Hace las mismas peticiones que los scripts (protocolo en dos pasos, reintentos
+ * y el limitador de peticiones compartido del proceso), pero sin caché en disco ni
+ * salida por consola, y devuelve los registros ya normalizados como iteradores asíncronos:
+ *
+ *   import { AemetClient } from 'aemet_client';
+ *   const cliente = new AemetClient({ apiKey: process.env.AEMET_API_KEY, logger: console });
+ *   for await (const dia of cliente.diarios('5530E', '2024-01-01', '2024-12-31')) {
+ *     console.log(dia.fecha, dia.tmax);
+ *   }
+ *
+ * Los errores son los de services/aemetErrors.js (ej: `ErrorAutenticacion` si la API key
+ * no es válida). "No hay datos" no es un error: el iterador simplemente no devuelve nada.
+ */
+export class AemetClient {
+  #apiKeys;
+  #baseUrl;
+  #progreso;
+  #signal;
+
+  /**
+   * @param {Object} [opciones]
+   * @param {string} [opciones.apiKey] - API key de AEMET OpenData.
+   * @param {Array<string>} [opciones.apiKeys] - Varias API keys: las peticiones se reparten entre ellas y
+   * las que AEMET rechaza (401) se dejan de usar. Sin `apiKey` ni `apiKeys`, se usan las del entorno
+   * (`AEMET_API_KEY`, `AEMET_API_KEYS` o `AEMET_API_KEYS_FILE`).
+   * @param {string} [opciones.baseUrl=API_CONFIG.BASE_URL] - URL base de la API (ej: la del servidor simulado).
+   * @param {{info?: Function, warn?: Function, debug?: Function}} [opciones.logger] - Dónde se avisa de los
+   * reintentos (ej: `console`). Por defecto no se muestra nada.
+   * @param {AbortSignal} [opciones.signal] - Cancela todas las peticiones del cliente.
+   * @throws {Error} Si no hay ninguna API key.
+   */
+  constructor(opciones = {}) {
+    this.#apiKeys = opciones.apiKeys ?? (opciones.apiKey ? [opciones.apiKey] : leerClavesApi());
+    if (this.#apiKeys.length === 0) throw new Error('AemetClient necesita una API key (opción apiKey o apiKeys, o variable AEMET_API_KEY).');
+    this.#baseUrl = (opciones.baseUrl ?? API_CONFIG.BASE_URL).replace(/\/+$/, '');
+    this.#progreso = crearProgreso(opciones.logger);
+    this.#signal = opciones.signal;
+  }
+
+  /**
+   * Opciones de aemetApi.js para una llamada. La señal de la llamada se combina
+   * con la del cliente: cualquiera de las dos cancela la petición.
+   */
+  #opcionesPeticion(signal) {
+    const senales = [this.#signal, signal].filter(Boolean);
+    return {
+      apiKeys: this.#apiKeys,
+      baseUrl: this.#baseUrl,
+      progreso: this.#progreso,
+      signal: senales.length > 1 ? AbortSignal.any(senales) : senales[0],
+    };
+  }
+
+  /**
+   * Hace una petición y devuelve `vacio` si AEMET no tiene datos para ella.
+   */
+  async #pedir(peticion, vacio = []) {
+    try {
+      return await peticion();
+    } catch (error) {
+      if (error instanceof ErrorSinDatos) return vacio;
+      throw error;
+    }
+  }
+
+  /**
+   * Valores climatológicos diarios de una estación, en orden de fecha. Se piden
+   * por tramos de 6 meses, como en extract.js, y cada tramo se pide al avanzar el iterador.
+   * @param {string} estacionId - Indicativo de la estación (ej: '5530E').
+   * @param {Date|string} fechaInicio - Primer día (Date, "YYYY-MM-DD" o "DD/MM/YYYY").
+   * @param {Date|string} fechaFin - Último día, incluido.
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarDatos` (ver utils/dataProcessor.js).
+   * @throws {Error} Si alguna de las fechas no es válida.
+   */
+  async *diarios(estacionId, fechaInicio, fechaFin, opciones = {}) {
+    const [inicio, fin] = [aFecha(fechaInicio), aFecha(fechaFin)];
+    if (!isValid(inicio) || !isValid(fin)) throw new Error('Las fechas deben ser Date, "YYYY-MM-DD" o "DD/MM/YYYY".');
+    const formatoApi = "yyyy-MM-dd'T'HH:mm:ss'UTC'";
+
+    for (const rango of generarRangosDePeticion(inicio, fin)) {
+      const datos = await this.#pedir(() => obtenerDatosParaRango(
+        format(rango.start, formatoApi), format(rango.end, formatoApi), estacionId, this.#opcionesPeticion(opciones.signal),
+      ));
+      yield* normalizarDatos(datos).sort((a, b) => a.date - b.date);
+    }
+  }
+
+  /**
+   * Valores climatológicos mensuales y anuales oficiales de una estación, por
+   * tramos de 3 años. Cada registro lleva `tipo`: 'mensual' ("yyyy-MM") o 'anual' ("yyyy").
+   * @param {string} estacionId - Indicativo de la estación.
+   * @param {number} anioInicio - Primer año.
+   * @param {number} anioFin - Último año, incluido.
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarValoresMensualesAnuales`.
+   */
+  async *mensualesAnuales(estacionId, anioInicio, anioFin, opciones = {}) {
+    for (const { start, end } of generarRangosAnuales(anioInicio, anioFin)) {
+      const datos = await this.#pedir(() => obtenerValoresMensualesAnuales(start, end, estacionId, this.#opcionesPeticion(opciones.signal)));
+      const { mensuales, anuales } = normalizarValoresMensualesAnuales(datos);
+      yield* mensuales.map(r => ({ tipo: 'mensual', ...r }));
+      yield* anuales.map(r => ({ tipo: 'anual', ...r }));
+    }
+  }
+
+  /**
+   * Valores normales (1991-2020) de una estación: uno por mes y el anual (`mes` 13).
+   * @param {string} estacionId - Indicativo de la estación.
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarNormales`.
+   */
+  async *normales(estacionId, opciones = {}) {
+    yield* normalizarNormales(await this.#pedir(() => obtenerNormales(estacionId, this.#opcionesPeticion(opciones.signal))));
+  }
+
+  /**
+   * Récords de temperatura y precipitación de una estación: uno por mes y el absoluto (`mes` 13).
+   * @param {string} estacionId - Indicativo de la estación.
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarValoresExtremos`.
+   */
+  async *extremos(estacionId, opciones = {}) {
+    const pedir = (parametro) => this.#pedir(() => obtenerValoresExtremos(parametro, estacionId, this.#opcionesPeticion(opciones.signal)), null);
+    const extremosT = await pedir('T');
+    const extremosP = await pedir('P');
+    if (!extremosT && !extremosP) return;
+    yield* normalizarValoresExtremos(extremosT, extremosP ?? {});
+  }
+
+  /**
+   * Observaciones convencionales (horarias) de las últimas 24 horas de una estación.
+   * @param {string} estacionId - Indicativo de la estación.
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarObservaciones`.
+   */
+  async *observaciones(estacionId, opciones = {}) {
+    yield* normalizarObservaciones(await this.#pedir(() => obtenerObservacionesConvencionales(estacionId, this.#opcionesPeticion(opciones.signal))));
+  }
+
+  /**
+   * Inventario de estaciones climatológicas de AEMET (siempre descargado, sin la
+   * caché de `cargarInventario`).
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Estaciones con la altitud y las coordenadas (grados decimales) numéricas.
+   */
+  async *estaciones(opciones = {}) {
+    yield* (await this.#pedir(() => obtenerInventarioEstaciones(this.#opcionesPeticion(opciones.signal)))).map(normalizarEstacion);
+  }
+
+  /**
+   * Predicción diaria (próximos 7 días) de un municipio.
+   * @param {string} codigoIne - Código INE del municipio (5 dígitos).
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarPrediccionDiaria` (utils/forecastProcessor.js).
+   */
+  async *prediccionDiaria(codigoIne, opciones = {}) {
+    yield* normalizarPrediccionDiaria(await this.#pedir(() => obtenerPrediccionDiaria(codigoIne, this.#opcionesPeticion(opciones.signal))));
+  }
+
+  /**
+   * Predicción horaria (próximas 48 horas) de un municipio.
+   * @param {string} codigoIne - Código INE del municipio (5 dígitos).
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarPrediccionHoraria`.
+   */
+  async *prediccionHoraria(codigoIne, opciones = {}) {
+    yield* normalizarPrediccionHoraria(await this.#pedir(() => obtenerPrediccionHoraria(codigoIne, this.#opcionesPeticion(opciones.signal))));
+  }
+
+  /**
+   * Últimos avisos meteorológicos (Meteoalerta) emitidos para un área, uno por aviso y zona.
+   * @param {string} [area='esp'] - 'esp' o el código de una comunidad autónoma (ver data/provincias.js).
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarAvisosCap` (utils/capProcessor.js).
+   */
+  async *avisos(area = 'esp', opciones = {}) {
+    const archivo = await this.#pedir(() => obtenerAvisosCapUltimos(area, this.#opcionesPeticion(opciones.signal)), null);
+    if (archivo) yield* normalizarAvisosCap(extraerFicherosTar(archivo));
+  }
+
+  /**
+   * Avisos meteorológicos emitidos entre dos fechas en toda España, del archivo
+   * histórico de AEMET. Se piden por tramos, como en warnings.js.
+   * @param {Date|string} fechaInicio - Primer día (Date, "YYYY-MM-DD" o "DD/MM/YYYY").
+   * @param {Date|string} fechaFin - Último día, incluido.
+   * @param {{signal?: AbortSignal}} [opciones]
+   * @returns {AsyncGenerator<Object>} Registros de `normalizarAvisosCap`, por orden de emisión dentro de cada tramo.
+   * @throws {Error} Si alguna de las fechas no es válida.
+   */
+  async *avisosHistoricos(fechaInicio, fechaFin, opciones = {}) {
+    const [inicio, fin] = [aFecha(fechaInicio), aFecha(fechaFin)];
+    if (!isValid(inicio) || !isValid(fin)) throw new Error('Las fechas deben ser Date, "YYYY-MM-DD" o "DD/MM/YYYY".');
+
+    for (let desde = inicio; !isAfter(desde, fin); desde = addDays(desde, WARNINGS_CONFIG.DIAS_POR_PETICION)) {
+      const hasta = min([addDays(desde, WARNINGS_CONFIG.DIAS_POR_PETICION - 1), fin]);
+      const archivo = await this.#pedir(() => obtenerAvisosCapArchivo(
+        format(desde, "yyyy-MM-dd'T'00:00:00'UTC'"), format(hasta, "yyyy-MM-dd'T'23:59:59'UTC'"), this.#opcionesPeticion(opciones.signal),
+      ), null);
+      if (archivo) yield* normalizarAvisosCap(extraerFicherosTar(archivo));
+    }
+  }
+}
@@ -0,0 +1,56 @@
+// services/aemetErrors.js
+
+/**
+ * Error base de las peticiones a AEMET. `reintentable` indica si tiene sentido
+ * repetir la petición (ver services/retryPolicy.js).
+ */
+export class ErrorAemet extends Error {
+  /**
+   * @param {string} mensaje - Descripción del error.
+   * @param {Object} [opciones]
+   * @param {number|null} [opciones.status] - Código HTTP o `estado` de la respuesta de AEMET.
+   * @param {boolean} [opciones.reintentable=false] - Si se puede reintentar la petición.
+   * @param {Error} [opciones.cause] - Error original.
+   */
+  constructor(mensaje, { status = null, reintentable = false, cause } = {}) {
+    super(mensaje, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.reintentable = reintentable;
+  }
+}
+
+/** La API key falta, no es válida o ha sido revocada (401/403). No se reintenta. */
+export class ErrorAutenticacion extends ErrorAemet {
+  constructor(mensaje, opciones = {}) {
+    super(mensaje, { ...opciones, reintentable: false });
+  }
+}
+
+/** AEMET no tiene datos para lo pedido (`estado: 404`). No es un fallo y no se reintenta. */
+export class ErrorSinDatos extends ErrorAemet {
+  constructor(mensaje, opciones = {}) {
+    super(mensaje, { status: 404, ...opciones, reintentable: false });
+  }
+}
+
+/** Se ha superado el límite de peticiones (429). La espera la aplica el limitador. */
+export class ErrorLimitePeticiones extends ErrorAemet {
+  constructor(mensaje, opciones = {}) {
+    super(mensaje, { status: 429, ...opciones, reintentable: true });
+  }
+}
+
+/** Error del servidor (5xx) o de red: suele ser pasajero y se reintenta. */
+export class ErrorServidor extends ErrorAemet {
+  constructor(mensaje, opciones = {}) {
+    super(mensaje, { ...opciones, reintentable: true });
+  }
+}
+
+/** La respuesta no tiene el formato esperado (JSON truncado o mal formado). Se reintenta. */
+export class ErrorContenido extends ErrorAemet {
+  constructor(mensaje, opciones = {}) {
+    super(mensaje, { ...opciones, reintentable: true });
+  }
+}
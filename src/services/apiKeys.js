@@ -0,0 +1,51 @@
+// services/apiKeys.js
+import fs from 'node:fs';
+
+let clavesDelProceso = null;
+
+/**
+ * Muestra solo el final de una API key, para poder identificarla en los
+ * mensajes sin escribirla entera en la consola o en los logs.
+ * @param {string} clave - La API key.
+ * @returns {string} Ej: "…f3a9".
+ */
+export const enmascararClave = (clave) => `…${clave.slice(-4)}`;
+
+// Un fichero de claves tiene una por línea; las líneas vacías y las que empiezan por # se ignoran.
+function leerFicheroClaves(ruta) {
+  let texto;
+  try {
+    texto = fs.readFileSync(ruta, 'utf-8');
+  } catch (error) {
+    throw new Error(`No se pudo leer el fichero de API keys ${ruta}: ${error.message}`, { cause: error });
+  }
+  return texto.split(/\r?\n/).map(linea => linea.trim()).filter(linea => linea && !linea.startsWith('#'));
+}
+
+/**
+ * Lee las API keys de AEMET configuradas en el entorno: `AEMET_API_KEY` (una),
+ * `AEMET_API_KEYS` (varias separadas por comas o espacios) y `AEMET_API_KEYS_FILE`
+ * (un fichero con una clave por línea). Se pueden combinar; las repetidas se cuentan una vez.
+ * @param {Object} [entorno=process.env] - Variables de entorno.
+ * @returns {Array<string>} Las claves, en el orden en que se han encontrado (vacío si no hay ninguna).
+ * @throws {Error} Si `AEMET_API_KEYS_FILE` indica un fichero que no se puede leer.
+ */
+export function leerClavesApi(entorno = process.env) {
+  const claves = [
+    entorno.AEMET_API_KEY,
+    ...(entorno.AEMET_API_KEYS ?? '').split(/[\s,;]+/),
+    ...(entorno.AEMET_API_KEYS_FILE ? leerFicheroClaves(entorno.AEMET_API_KEYS_FILE) : []),
+  ].map(clave => clave?.trim()).filter(Boolean);
+  return [...new Set(claves)];
+}
+
+/**
+ * Las API keys del proceso, leídas del entorno la primera vez que se piden. Son
+ * las que usan las peticiones a las que no se les indica una clave concreta.
+ * @returns {Array<string>}
+ * @throws {Error} Si `AEMET_API_KEYS_FILE` indica un fichero que no se puede leer.
+ */
+export function clavesApi() {
+  clavesDelProceso ??= leerClavesApi();
+  return clavesDelProceso;
+}
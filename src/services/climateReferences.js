@@ -0,0 +1,46 @@
+// services/climateReferences.js
+import fs from 'fs/promises';
+import path from 'path';
+import { REFERENCES_CONFIG } from '../config.js';
+import { obtenerNormales, obtenerValoresExtremos } from './aemetApi.js';
+import { normalizarNormales, normalizarValoresExtremos } from '../utils/dataProcessor.js';
+
+const rutaReferencias = (estacionId) => path.join(REFERENCES_CONFIG.DIR, `referencias_${estacionId}.json`);
+
+/**
+ * Descarga las normales 1991-2020 y los valores extremos oficiales de una
+ * estación y los guarda en `REFERENCES_CONFIG.DIR`.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {Object} [opciones] - Opciones de las peticiones a AEMET (ej: `progreso`).
+ * @returns {Promise<{estacionId: string, descargado: string, normales: Array<Object>, extremos: Array<Object>}>}
+ */
+export async function descargarReferencias(estacionId, opciones = {}) {
+  const normales = normalizarNormales(await obtenerNormales(estacionId, opciones));
+  const extremosT = await obtenerValoresExtremos('T', estacionId, opciones);
+  const extremosP = await obtenerValoresExtremos('P', estacionId, opciones);
+
+  const referencias = {
+    estacionId,
+    descargado: new Date().toISOString(),
+    periodoNormales: '1991-2020',
+    normales,
+    extremos: normalizarValoresExtremos(extremosT, extremosP),
+  };
+
+  await fs.mkdir(REFERENCES_CONFIG.DIR, { recursive: true });
+  await fs.writeFile(rutaReferencias(estacionId), JSON.stringify(referencias, null, 2));
+  return referencias;
+}
+
+/**
+ * Lee las referencias oficiales guardadas para una estación.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @returns {Promise<Object|null>} Las referencias, o null si no se han descargado.
+ */
+export async function cargarReferencias(estacionId) {
+  try {
+    return JSON.parse(await fs.readFile(rutaReferencias(estacionId), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
@@ -1,6 +1,63 @@
 // services/csvWriter.js
 import { stringify } from 'csv-stringify';
 import fs from 'node:fs';
+import { finished } from 'node:stream/promises';
+import { DAILY_CSV_CONFIG } from '../config.js';
+
+/**
+ * Columnas del CSV diario. `key` es el campo del registro normalizado, que
+ * coincide con el nombre del campo en la API de AEMET, y `header` la cabecera.
+ * `tipo` y `unidad` sustituyen a los de los metadatos de AEMET en el esquema
+ * cuando `normalizarDatos` cambia el formato del campo. Las columnas `derivada`
+ * no vienen como tales de AEMET, sino que las calcula `normalizarDatos`.
+ */
+export const COLUMNAS_DIARIAS = [
+  { key: 'fecha', header: 'fecha' }, { key: 'indicativo', header: 'idema' },
+  { key: 'nombre', header: 'nombre' }, { key: 'provincia', header: 'provincia' },
+  { key: 'altitud', header: 'altitud' }, { key: 'tmed', header: 'tmed' },
+  { key: 'tmin', header: 'tmin' }, { key: 'horatmin', header: 'horatmin', tipo: 'hora (HH:MM)' },
+  { key: 'tmax', header: 'tmax' }, { key: 'horatmax', header: 'horatmax', tipo: 'hora (HH:MM)' },
+  { key: 'prec', header: 'prec', unidad: 'mm (0 si es inapreciable; vacía si es acumulada, ver prec_codigo)' },
+  {
+    key: 'precCodigo', header: 'prec_codigo', derivada: true, tipo: 'string',
+    descripcion: 'Código de AEMET en lugar de la precipitación: Ip (inapreciable, inferior a 0,1 mm) o Acum (medida junto con la de otros días)',
+  },
+  { key: 'velmedia', header: 'vmed' },
+  { key: 'dir', header: 'dir', unidad: 'grados (vacío si la dirección es variable o no hay dato)' },
+  { key: 'racha', header: 'racha' }, { key: 'horaracha', header: 'horaracha', tipo: 'hora (HH:MM)' },
+  { key: 'sol', header: 'sol' },
+  { key: 'presMax', header: 'presMax' }, { key: 'horaPresMax', header: 'horaPresMax', tipo: 'hora (HH:MM)' },
+  { key: 'presMin', header: 'presMin' }, { key: 'horaPresMin', header: 'horaPresMin', tipo: 'hora (HH:MM)' },
+  { key: 'hrMedia', header: 'hrMedia' },
+  { key: 'hrMax', header: 'hrMax' }, { key: 'horaHrMax', header: 'horaHrMax', tipo: 'hora (HH:MM)' },
+  { key: 'hrMin', header: 'hrMin' }, { key: 'horaHrMin', header: 'horaHrMin', tipo: 'hora (HH:MM)' },
+];
+
+/**
+ * Selecciona las columnas del CSV diario a partir de una lista de campos, por su
+ * nombre en la API o por su cabecera. La fecha se incluye siempre: es la que
+ * identifica cada registro al reanudar o actualizar una extracción.
+ * @param {Array<string>} campos - Campos a guardar (ej: ['tmax', 'prec']).
+ * @returns {Array<{key: string, header: string}>} Las columnas, en el orden de `COLUMNAS_DIARIAS`.
+ * @throws {Error} Si algún campo no es una columna del CSV diario.
+ */
+export function seleccionarColumnasDiarias(campos) {
+  const existe = (campo) => COLUMNAS_DIARIAS.some(c => c.key === campo || c.header === campo);
+  const desconocidos = campos.filter(campo => !existe(campo));
+  if (desconocidos.length > 0) {
+    throw new Error(`Campos desconocidos: ${desconocidos.join(', ')}. Disponibles: ${COLUMNAS_DIARIAS.map(c => c.header).join(', ')}.`);
+  }
+  return COLUMNAS_DIARIAS.filter(c => c.key === 'fecha' || campos.includes(c.key) || campos.includes(c.header));
+}
+
+/**
+ * Columnas del CSV diario cuando no se eligen otras: las de
+ * `DAILY_CSV_CONFIG.CAMPOS_POR_DEFECTO` o, si no hay, todas.
+ */
+export function columnasDiariasPorDefecto() {
+  const campos = DAILY_CSV_CONFIG.CAMPOS_POR_DEFECTO;
+  return campos ? seleccionarColumnasDiarias(campos) : COLUMNAS_DIARIAS;
+}
 
 /**
  * Crea un stream de escritura CSV.
@@ -10,15 +67,16 @@ import fs from 'node:fs';
  * @param {string} nombreFichero - La ruta completa donde se guardará el fichero.
  * @param {Array<Object|string>} columnas - La configuración de columnas para csv-stringify.
  * @param {Object} castConfig - La configuración de 'cast' para formatear valores.
+ * @param {boolean} [anexar=false] - Añade las filas al final de un fichero existente, sin repetir la cabecera.
  * @returns {import('stream').Writable} Un stream escribible. Escribe objetos JS en este stream.
  */
-function crearStreamEscritorCSV(nombreFichero, columnas, castConfig) {
+function crearStreamEscritorCSV(nombreFichero, columnas, castConfig, anexar = false) {
   // Stream de escritura al sistema de ficheros
-  const streamFichero = fs.createWriteStream(nombreFichero);
+  const streamFichero = fs.createWriteStream(nombreFichero, { flags: anexar ? 'a' : 'w' });
 
   // Transformador de objeto a CSV
   const csvStringifier = stringify({
-    header: true,
+    header: !anexar,
     columns: columnas,
     cast: castConfig,
   });
@@ -31,23 +89,47 @@ function crearStreamEscritorCSV(nombreFichero, columnas, castConfig) {
   streamFichero.on('error', (err) => console.error(`Error de escritura en ${nombreFichero}:`, err));
   csvStringifier.on('error', (err) => console.error(`Error del stringifier para ${nombreFichero}:`, err));
 
+  // El 'finish' del transformador llega antes de que el fichero termine de escribirse:
+  // `cerrarStreamCSV` espera a este.
+  csvStringifier.escrituraTerminada = finished(streamFichero);
+
   // 4. Devolvemos el transformador. Este es nuestro "punto de entrada" para los datos.
   return csvStringifier;
 }
 
+/**
+ * Cierra un stream de `crearStreamCSVDiario` y espera a que todas las filas
+ * estén escritas en el fichero, para poder leerlo o reescribirlo a continuación.
+ * @param {import('stream').Writable} stream - El stream a cerrar.
+ */
+export async function cerrarStreamCSV(stream) {
+  stream.end();
+  await stream.escrituraTerminada;
+}
+
 // Las funciones exportadas ahora simplemente configuran y devuelven el stream.
-export function crearStreamCSVDiario(nombreFichero) {
-  const columnas = [
-    { key: 'fecha', header: 'fecha' }, { key: 'indicativo', header: 'idema' },
-    { key: 'nombre', header: 'nombre' }, { key: 'tmed', header: 'tmed' },
-    { key: 'tmin', header: 'tmin' }, { key: 'tmax', header: 'tmax' },
-    { key: 'prec', header: 'prec' }, { key: 'velmedia', header: 'vmed' },
-    { key: 'racha', header: 'racha' },
-  ];
+/**
+ * @param {string} nombreFichero - La ruta del CSV diario.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.anexar=false] - Continúa un CSV existente (al reanudar una extracción).
+ * @param {Array<Object>} [opciones.columnas=COLUMNAS_DIARIAS] - Columnas a guardar (ver `seleccionarColumnasDiarias`).
+ */
+export function crearStreamCSVDiario(nombreFichero, opciones = {}) {
   const cast = {
     number: (value) => (typeof value === 'number' ? value.toString().replace('.', ',') : value),
   };
-  return crearStreamEscritorCSV(nombreFichero, columnas, cast);
+  return crearStreamEscritorCSV(nombreFichero, opciones.columnas ?? COLUMNAS_DIARIAS, cast, opciones.anexar);
+}
+
+/**
+ * Reescribe el CSV diario a partir de sus filas en texto (las de `leerFilasCSVDiario`),
+ * ej: para dejarlo ordenado por fecha tras reanudar una extracción.
+ * @param {Array<Object>} filas - Filas con las cabeceras de `COLUMNAS_DIARIAS` como claves.
+ * @param {string} nombreFichero - La ruta del CSV diario.
+ * @param {Array<Object>} [columnas=COLUMNAS_DIARIAS] - Columnas del fichero.
+ */
+export async function guardarFilasCSVDiario(filas, nombreFichero, columnas = COLUMNAS_DIARIAS) {
+  await guardarAnalisisEnCSV(filas, nombreFichero, columnas.map(c => c.header), {});
 }
 
 // Los datos se generarán al final, por lo que la función de guardado se mantiene
@@ -64,4 +146,28 @@ export async function guardarAnalisisEnCSV(datos, nombreFichero, columnas, castC
         datos.forEach(registro => csvStringifier.write(registro));
         csvStringifier.end();
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Guarda una lista de registros en un fichero JSON, con solo las columnas
+ * indicadas. Es la alternativa a `guardarAnalisisEnCSV` para `--formato json`:
+ * los números se guardan como números, sin la coma decimal del CSV.
+ * @param {Array<Object>} datos - Los registros.
+ * @param {string} nombreFichero - La ruta del fichero JSON.
+ * @param {Array<Object|string>} columnas - Columnas, con el mismo formato que en csv-stringify.
+ */
+export async function guardarDatosEnJSON(datos, nombreFichero, columnas) {
+  const claves = columnas.map(c => (typeof c === 'string' ? c : c.key));
+  const registros = datos.map(registro => Object.fromEntries(claves.map(clave => [clave, registro[clave] ?? null])));
+  await fs.promises.writeFile(nombreFichero, JSON.stringify(registros, null, 2));
+}
+
+/**
+ * Guarda el esquema (descripción y unidades de cada columna) de un CSV en un
+ * fichero JSON que lo acompaña.
+ * @param {Object} esquema - El esquema generado por `construirEsquema`.
+ * @param {string} nombreFichero - La ruta del fichero JSON.
+ */
+export async function guardarEsquema(esquema, nombreFichero) {
+  await fs.promises.writeFile(nombreFichero, JSON.stringify(esquema, null, 2));
+}
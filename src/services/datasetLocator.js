@@ -0,0 +1,81 @@
+// services/datasetLocator.js
+import fs from 'fs/promises';
+import path from 'path';
+import { parse as parseDate } from 'date-fns';
+import { leerFilasCSVDiario } from '../utils/dataProcessor.js';
+
+/**
+ * Carpeta y sufijo de los ficheros de un dataset actualizable. Al contrario que
+ * las extracciones normales, los nombres no llevan fechas y no cambian entre
+ * actualizaciones (ej: `datos_5530E/diarios_5530E.csv`).
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {string} [directorioBase='.'] - Carpeta en la que están las carpetas de las estaciones.
+ */
+export const salidaEstable = (estacionId, directorioBase = '.') => ({ directorio: path.join(directorioBase, `datos_${estacionId}`), sufijo: estacionId });
+
+/**
+ * Busca la extracción más reciente de una estación con el formato antiguo
+ * `datos_{id}_{inicio}_{fin}`, la de fecha de fin más tardía.
+ * @returns {Promise<{directorio: string, ficheroDiario: string}|null>}
+ */
+async function buscarExtraccionConFechas(estacionId, directorioBase) {
+  const patron = new RegExp(`^datos_${estacionId}_(\\d{8})_(\\d{8})$`);
+  const candidatas = (await fs.readdir(directorioBase, { withFileTypes: true }).catch(() => []))
+    .filter(entrada => entrada.isDirectory() && patron.test(entrada.name))
+    .map(entrada => ({ nombre: entrada.name, fin: patron.exec(entrada.name)[2] }))
+    .sort((a, b) => b.fin.localeCompare(a.fin));
+
+  for (const { nombre } of candidatas) {
+    const sufijo = nombre.replace(/^datos_/, '');
+    const ficheroDiario = path.join(directorioBase, nombre, `diarios_${sufijo}.csv`);
+    if (await fs.access(ficheroDiario).then(() => true, () => false)) {
+      return { directorio: path.join(directorioBase, nombre), ficheroDiario };
+    }
+  }
+  return null;
+}
+
+/**
+ * Busca, sin modificar nada, el dataset de una estación: el de la carpeta estable
+ * o, si no existe, la extracción con fechas más reciente.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {string} [directorioBase='.'] - Carpeta en la que están las carpetas de las estaciones.
+ * @returns {Promise<{directorio: string, sufijo: string, ultimaFecha: Date|null, origen: string|null, ficheroOrigen: string|null}>}
+ * La salida estable, la última fecha con datos (null si no hay dataset) y, si
+ * el CSV diario está en una extracción con fechas, su carpeta y su fichero.
+ */
+export async function buscarDataset(estacionId, directorioBase = '.') {
+  const salida = salidaEstable(estacionId, directorioBase);
+  const ficheroEstable = path.join(salida.directorio, `diarios_${salida.sufijo}.csv`);
+  let ficheroDiario = ficheroEstable;
+  let anterior = null;
+
+  if (!(await fs.access(ficheroEstable).then(() => true, () => false))) {
+    anterior = await buscarExtraccionConFechas(estacionId, directorioBase);
+    if (!anterior) return { ...salida, ultimaFecha: null, origen: null, ficheroOrigen: null };
+    ficheroDiario = anterior.ficheroDiario;
+  }
+
+  const fechas = leerFilasCSVDiario(ficheroDiario, { reparar: false }).map(fila => fila.fecha).filter(Boolean).sort();
+  const ultimaFecha = fechas.length > 0 ? parseDate(fechas[fechas.length - 1], 'yyyy-MM-dd', new Date()) : null;
+  return { ...salida, ultimaFecha, origen: anterior?.directorio ?? null, ficheroOrigen: anterior?.ficheroDiario ?? null };
+}
+
+/**
+ * Localiza el dataset de una estación para actualizarlo. Si solo existe una
+ * extracción con fechas en el nombre, su CSV diario se copia a la carpeta
+ * estable, que es la que se actualiza a partir de entonces.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {string} [directorioBase='.'] - Carpeta en la que están las carpetas de las estaciones.
+ * @returns {Promise<{directorio: string, sufijo: string, ultimaFecha: Date|null, origen: string|null}>}
+ * La salida estable, la última fecha con datos (null si no hay dataset) y, si
+ * se ha copiado de una extracción con fechas, su carpeta.
+ */
+export async function localizarDataset(estacionId, directorioBase = '.') {
+  const { ficheroOrigen, ...dataset } = await buscarDataset(estacionId, directorioBase);
+  if (ficheroOrigen) {
+    await fs.mkdir(dataset.directorio, { recursive: true });
+    await fs.copyFile(ficheroOrigen, path.join(dataset.directorio, `diarios_${dataset.sufijo}.csv`));
+  }
+  return dataset;
+}
@@ -0,0 +1,101 @@
+// services/failureReport.js
+import fs from 'fs/promises';
+import path from 'path';
+import { format } from 'date-fns';
+import { agruparDiasConsecutivos } from '../utils/dateUtils.js';
+
+const NOMBRE_INFORME = 'fallos.json';
+
+/**
+ * Crea el informe de los días que no se pudieron obtener en una extracción,
+ * agrupados en intervalos de días consecutivos.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @param {string} ficheroDiario - Nombre del CSV diario, relativo a la carpeta de la estación.
+ * @param {Array<{fecha: Date, error: Error}>} diasFallidos - Días cuya descarga falló.
+ * @param {Array<Date>} diasSinCache - Días que, en modo offline, no estaban en la caché.
+ * @returns {Object} El informe, con un elemento por intervalo en `fallos`.
+ */
+export function crearInformeFallos(estacionId, ficheroDiario, diasFallidos, diasSinCache) {
+  const errorPorDia = new Map(diasFallidos.map(d => [d.fecha.getTime(), d.error]));
+  const aIntervalo = (motivo) => ({ start, end }) => {
+    const error = errorPorDia.get(start.getTime());
+    return {
+      desde: format(start, 'yyyy-MM-dd'),
+      hasta: format(end, 'yyyy-MM-dd'),
+      motivo,
+      error: error ? { tipo: error.name, mensaje: error.message, status: error.status ?? null } : null,
+    };
+  };
+
+  return {
+    estacionId,
+    ficheroDiario,
+    generado: new Date().toISOString(),
+    fallos: [
+      ...agruparDiasConsecutivos(diasFallidos.map(d => d.fecha)).map(aIntervalo('error')),
+      ...agruparDiasConsecutivos(diasSinCache).map(aIntervalo('sin_cache')),
+    ].sort((a, b) => a.desde.localeCompare(b.desde)),
+  };
+}
+
+/**
+ * Guarda el informe de fallos en la carpeta de la estación. Si no queda ningún
+ * fallo se borra el informe anterior, de modo que su existencia indica que hay
+ * días pendientes (ver `reintentarFallos` en extraction-worker.js).
+ * @param {string} directorio - Carpeta de la estación.
+ * @param {Object} informe - El informe de `crearInformeFallos`.
+ */
+export async function guardarInformeFallos(directorio, informe) {
+  const ruta = path.join(directorio, NOMBRE_INFORME);
+  if (informe.fallos.length === 0) {
+    await fs.rm(ruta, { force: true });
+    return;
+  }
+  await fs.writeFile(`${ruta}.tmp`, JSON.stringify(informe, null, 2));
+  await fs.rename(`${ruta}.tmp`, ruta);
+}
+
+/**
+ * Lee el informe de fallos de una carpeta de estación.
+ * @param {string} directorio - Carpeta de la estación.
+ * @returns {Promise<Object|null>} El informe, o null si no hay días pendientes.
+ */
+export async function cargarInformeFallos(directorio) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(directorio, NOMBRE_INFORME), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Busca las carpetas de estación (`datos_*`) que tienen un informe de fallos.
+ * @param {string} [directorioBase='.'] - Carpeta en la que están las carpetas de las estaciones.
+ * @returns {Promise<Array<string>>} Las rutas de las carpetas, ordenadas.
+ */
+export async function buscarCarpetasConFallos(directorioBase = '.') {
+  const entradas = await fs.readdir(directorioBase, { withFileTypes: true }).catch(() => []);
+  const carpetas = entradas.filter(e => e.isDirectory() && e.name.startsWith('datos_')).map(e => path.join(directorioBase, e.name)).sort();
+  const conFallos = [];
+  for (const carpeta of carpetas) {
+    if (await fs.access(path.join(carpeta, NOMBRE_INFORME)).then(() => true, () => false)) conFallos.push(carpeta);
+  }
+  return conFallos;
+}
+
+/**
+ * Añade a un informe los fallos de un informe anterior que quedan fuera del
+ * rango procesado ahora (ej: los de una extracción previa al actualizar), que
+ * siguen pendientes. Los de dentro del rango se sustituyen por los nuevos.
+ * @param {Object} informe - El informe de la ejecución actual.
+ * @param {Object|null} informePrevio - El informe guardado, si existe.
+ * @param {{start: Date, end: Date}} rango - Rango procesado en la ejecución actual.
+ * @returns {Object} El mismo informe, con los fallos combinados y ordenados.
+ */
+export function conservarFallosAnteriores(informe, informePrevio, rango) {
+  const desde = format(rango.start, 'yyyy-MM-dd');
+  const hasta = format(rango.end, 'yyyy-MM-dd');
+  const pendientes = (informePrevio?.fallos ?? []).filter(f => f.hasta < desde || f.desde > hasta);
+  informe.fallos = [...pendientes, ...informe.fallos].sort((a, b) => a.desde.localeCompare(b.desde));
+  return informe;
+}
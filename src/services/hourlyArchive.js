@@ -0,0 +1,55 @@
+// services/hourlyArchive.js
+import fs from 'node:fs';
+import path from 'node:path';
+import { stringify } from 'csv-stringify/sync';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { COLLECTOR_CONFIG } from '../config.js';
+
+const COLUMNAS_HORARIAS = [
+  'fint', 'idema', 'ubi', 'alt', 'ta', 'tamax', 'tamin', 'hr', 'prec', 'vv', 'vmax',
+  'dv', 'dmax', 'pres', 'pres_nmar', 'tpr', 'ts', 'vis', 'inso',
+];
+
+const cast = {
+  number: (value) => (typeof value === 'number' ? value.toString().replace('.', ',') : value),
+};
+
+/**
+ * Crea el archivo horario de una estación. El archivo es un CSV que solo crece:
+ * cada observación se identifica por estación + `fint` y no se escribe dos veces.
+ * @param {string} estacionId - Indicativo de la estación.
+ * @returns {{ruta: string, agregar: (observaciones: Array<Object>) => number, total: () => number}}
+ */
+export function crearArchivoHorario(estacionId) {
+  const ruta = path.join(COLLECTOR_CONFIG.DIR, `horarios_${estacionId}.csv`);
+  const vistas = new Set();
+
+  if (fs.existsSync(ruta)) {
+    const filas = parseCsv(fs.readFileSync(ruta, 'utf-8'), { columns: true, skip_empty_lines: true });
+    filas.forEach(fila => vistas.add(fila.fint));
+  }
+
+  return {
+    ruta,
+
+    /**
+     * Añade al archivo las observaciones que aún no estén guardadas.
+     * @param {Array<Object>} observaciones - Observaciones normalizadas.
+     * @returns {number} El número de observaciones nuevas escritas.
+     */
+    agregar(observaciones) {
+      const nuevas = observaciones
+        .filter(o => o.idema.toUpperCase() === estacionId.toUpperCase() && !vistas.has(o.fint))
+        .sort((a, b) => a.fint.localeCompare(b.fint));
+      if (nuevas.length === 0) return 0;
+
+      const esNuevo = !fs.existsSync(ruta);
+      fs.mkdirSync(COLLECTOR_CONFIG.DIR, { recursive: true });
+      fs.appendFileSync(ruta, stringify(nuevas, { header: esNuevo, columns: COLUMNAS_HORARIAS, cast }));
+      nuevas.forEach(o => vistas.add(o.fint));
+      return nuevas.length;
+    },
+
+    total: () => vistas.size,
+  };
+}
@@ -0,0 +1,125 @@
+// services/jobFile.js
+import fs from 'fs/promises';
+import { isValid } from 'date-fns';
+import { parsearFecha } from '../utils/dateUtils.js';
+import { seleccionarColumnasDiarias } from './csvWriter.js';
+import { ANALISIS_POSTERIORES, COLUMNAS_ANALISIS } from '../utils/analysis/postExtraction.js';
+import { DAILY_CSV_CONFIG } from '../config.js';
+
+const FORMATOS = ['csv', 'json'];
+const FECHA_INICIO_POR_DEFECTO = '1972-01-01';
+const CAMPOS_TRABAJO = ['nombre', 'estaciones', 'consulta', 'inicio', 'fin', 'actualizar', 'campos', 'salida', 'formato', 'oficiales', 'referencias', 'analisis'];
+const CAMPOS_CONSULTA = ['nombre', 'provincia', 'altitudMin', 'altitudMax', 'cerca'];
+
+const esListaDeTextos = (valor) => Array.isArray(valor) && valor.every(v => typeof v === 'string' && v.trim() !== '');
+
+/**
+ * Valida un trabajo del fichero y lo convierte en lo que espera `ejecutarTrabajos`.
+ * @param {Object} trabajo - El trabajo, tal y como aparece en el fichero.
+ * @param {number} indice - Posición del trabajo (para los mensajes de error).
+ * @throws {Error} Si el trabajo no es válido.
+ */
+function normalizarTrabajo(trabajo, indice) {
+  const nombre = trabajo?.nombre ?? `trabajo ${indice + 1}`;
+  const error = (mensaje) => new Error(`"${nombre}": ${mensaje}`);
+  if (typeof trabajo !== 'object' || trabajo === null || Array.isArray(trabajo)) throw error('cada trabajo debe ser un objeto.');
+
+  const desconocidos = Object.keys(trabajo).filter(campo => !CAMPOS_TRABAJO.includes(campo));
+  if (desconocidos.length > 0) throw error(`campos desconocidos: ${desconocidos.join(', ')}.`);
+  if (trabajo.estaciones !== undefined && !esListaDeTextos(trabajo.estaciones)) throw error('"estaciones" debe ser una lista de indicativos.');
+  if (trabajo.consulta !== undefined) {
+    if (typeof trabajo.consulta !== 'object' || trabajo.consulta === null) throw error('"consulta" debe ser un objeto.');
+    const camposConsulta = Object.keys(trabajo.consulta).filter(campo => !CAMPOS_CONSULTA.includes(campo));
+    if (camposConsulta.length > 0) throw error(`campos desconocidos en "consulta": ${camposConsulta.join(', ')}.`);
+  }
+  if (!trabajo.estaciones?.length && !trabajo.consulta) throw error('indica "estaciones", "consulta" o ambas.');
+
+  const leerFecha = (campo, porDefecto) => {
+    if (trabajo[campo] === undefined || trabajo[campo] === 'hoy') return porDefecto;
+    const fecha = typeof trabajo[campo] === 'string' ? parsearFecha(trabajo[campo]) : new Date(NaN);
+    if (!isValid(fecha)) throw error(`"${campo}" no es una fecha válida (YYYY-MM-DD o DD/MM/YYYY).`);
+    return fecha;
+  };
+  const fechaInicio = leerFecha('inicio', parsearFecha(FECHA_INICIO_POR_DEFECTO));
+  const fechaFin = leerFecha('fin', new Date());
+  if (fechaInicio > fechaFin) throw error('"inicio" es posterior a "fin".');
+
+  const formato = trabajo.formato ?? 'csv';
+  if (!FORMATOS.includes(formato)) throw error(`"formato" debe ser uno de: ${FORMATOS.join(', ')}.`);
+  if (trabajo.campos !== undefined && !esListaDeTextos(trabajo.campos)) throw error('"campos" debe ser una lista de columnas.');
+  const analisis = trabajo.analisis ?? [];
+  if (!esListaDeTextos(analisis)) throw error('"analisis" debe ser una lista de nombres.');
+  const analisisDesconocidos = analisis.filter(a => !ANALISIS_POSTERIORES[a]);
+  if (analisisDesconocidos.length > 0) {
+    throw error(`análisis desconocidos: ${analisisDesconocidos.join(', ')}. Disponibles: ${Object.keys(ANALISIS_POSTERIORES).join(', ')}.`);
+  }
+
+  // Si se eligen columnas (en el trabajo o por defecto), se añaden las que necesitan los análisis.
+  const camposElegidos = trabajo.campos ?? (analisis.length > 0 ? DAILY_CSV_CONFIG.CAMPOS_POR_DEFECTO : null);
+  let columnasDiarias;
+  try {
+    columnasDiarias = camposElegidos
+      ? seleccionarColumnasDiarias([...new Set([...camposElegidos, ...analisis.flatMap(a => COLUMNAS_ANALISIS[a])])])
+      : undefined;
+  } catch (e) {
+    throw error(e.message);
+  }
+
+  return {
+    nombre,
+    estaciones: (trabajo.estaciones ?? []).map(id => id.trim().toUpperCase()),
+    consulta: trabajo.consulta ?? null,
+    fechaInicio,
+    fechaFin,
+    analisis,
+    opcionesProceso: {
+      incluirOficiales: Boolean(trabajo.oficiales),
+      incluirReferencias: Boolean(trabajo.referencias),
+      actualizar: Boolean(trabajo.actualizar),
+      directorioBase: trabajo.salida ?? '.',
+      formato,
+      columnasDiarias,
+    },
+  };
+}
+
+/**
+ * Lee y valida un fichero de trabajos de extracción. Es un JSON con la forma:
+ *
+ *   {
+ *     "concurrencia": 2,
+ *     "trabajos": [
+ *       { "nombre": "Capitales andaluzas", "estaciones": ["5530E", "6155A"], "inicio": "1972-01-01",
+ *         "campos": ["tmax", "tmin", "prec"], "salida": "datos/andalucia", "analisis": ["verano"] },
+ *       { "nombre": "Granada", "consulta": { "provincia": "Granada", "altitudMax": 1000 }, "actualizar": true }
+ *     ]
+ *   }
+ *
+ * Cada trabajo indica sus estaciones por indicativo (`estaciones`), con una
+ * búsqueda en el inventario (`consulta`, con los filtros de `buscarEstaciones`)
+ * o con ambas. Todo el fichero se valida antes de empezar, para que un error en
+ * el último trabajo no se descubra tras horas de descarga.
+ * @param {string} ruta - Ruta del fichero JSON.
+ * @returns {Promise<{concurrencia: number|undefined, trabajos: Array<Object>}>} Los trabajos normalizados.
+ * @throws {Error} Si el fichero no se puede leer o algún trabajo no es válido.
+ */
+export async function cargarFicheroTrabajos(ruta) {
+  let contenido;
+  try {
+    contenido = JSON.parse(await fs.readFile(ruta, 'utf-8'));
+  } catch (error) {
+    throw new Error(`No se pudo leer el fichero de trabajos ${ruta}: ${error.message}`);
+  }
+
+  if (!Array.isArray(contenido?.trabajos) || contenido.trabajos.length === 0) {
+    throw new Error(`El fichero ${ruta} debe tener una lista "trabajos" con al menos un trabajo.`);
+  }
+  if (contenido.concurrencia !== undefined && !(Number.isInteger(contenido.concurrencia) && contenido.concurrencia >= 1)) {
+    throw new Error('"concurrencia" debe ser un número entero mayor que 0.');
+  }
+
+  return {
+    concurrencia: contenido.concurrencia,
+    trabajos: contenido.trabajos.map(normalizarTrabajo),
+  };
+}
@@ -0,0 +1,88 @@
+// services/manifest.js
+import fs from 'fs/promises';
+import path from 'path';
+import { format, isWithinInterval } from 'date-fns';
+
+const NOMBRE_MANIFIESTO = 'manifiesto.json';
+
+/**
+ * Identificador de un rango dentro del manifiesto (ej: "20200101_20200701").
+ * @param {{start: Date, end: Date}} rango
+ */
+export const claveRango = (rango) => `${format(rango.start, 'yyyyMMdd')}_${format(rango.end, 'yyyyMMdd')}`;
+
+/**
+ * Crea un manifiesto vacío para una extracción.
+ * @param {{estacionId: string, fechaInicio: Date, fechaFin: Date}} extraccion
+ * @returns {Object} El manifiesto, con un registro por rango en `rangos`.
+ */
+export function crearManifiesto({ estacionId, fechaInicio, fechaFin }) {
+  const ahora = new Date().toISOString();
+  return {
+    estacionId,
+    fechaInicio: format(fechaInicio, 'yyyy-MM-dd'),
+    fechaFin: format(fechaFin, 'yyyy-MM-dd'),
+    creado: ahora,
+    actualizado: ahora,
+    finalizado: false,
+    registros: 0,
+    camposRecibidos: [],
+    rangos: {},
+  };
+}
+
+/**
+ * Lee el manifiesto de una carpeta de salida.
+ * @param {string} directorio - Carpeta de salida de la estación.
+ * @returns {Promise<Object|null>} El manifiesto, o null si no existe o no se puede leer.
+ */
+export async function cargarManifiesto(directorio) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(directorio, NOMBRE_MANIFIESTO), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Guarda el manifiesto. Se escribe en un temporal y se renombra para que una
+ * interrupción nunca deje un manifiesto a medias.
+ * @param {string} directorio - Carpeta de salida de la estación.
+ * @param {Object} manifiesto - El manifiesto a guardar.
+ */
+export async function guardarManifiesto(directorio, manifiesto) {
+  manifiesto.actualizado = new Date().toISOString();
+  const ruta = path.join(directorio, NOMBRE_MANIFIESTO);
+  await fs.writeFile(`${ruta}.tmp`, JSON.stringify(manifiesto, null, 2));
+  await fs.rename(`${ruta}.tmp`, ruta);
+}
+
+/**
+ * Anota en el manifiesto el resultado de un rango.
+ * @param {Object} manifiesto - El manifiesto de la extracción.
+ * @param {{start: Date, end: Date}} rango - Rango procesado.
+ * @param {{registros: number, diasFallidos: Array<string>, diasSinCache: Array<string>, campos: Iterable<string>}} resultado -
+ * Registros nuevos escritos en el CSV, días que no se pudieron obtener ("yyyy-MM-dd") y campos recibidos.
+ */
+export function registrarRango(manifiesto, rango, resultado) {
+  const { registros, diasFallidos, diasSinCache, campos } = resultado;
+  manifiesto.rangos[claveRango(rango)] = { registros, diasFallidos, diasSinCache, completado: new Date().toISOString() };
+  manifiesto.registros = Object.values(manifiesto.rangos).reduce((total, r) => total + r.registros, 0);
+  manifiesto.camposRecibidos = [...new Set([...manifiesto.camposRecibidos, ...campos])];
+}
+
+/**
+ * Indica si un rango se completó en una ejecución anterior. Para darlo por
+ * bueno no basta con el manifiesto: el CSV tiene que contener al menos los
+ * registros anotados, por si el proceso murió antes de volcarlos al disco.
+ * Los rangos con días sin obtener se consideran pendientes, para reintentarlos.
+ * @param {Object} manifiesto - El manifiesto de la extracción.
+ * @param {{start: Date, end: Date}} rango - Rango a comprobar.
+ * @param {Array<Date>} fechasEnCSV - Fechas presentes en el CSV diario.
+ */
+export function estaCompletado(manifiesto, rango, fechasEnCSV) {
+  const anotado = manifiesto.rangos[claveRango(rango)];
+  if (!anotado || anotado.diasFallidos.length > 0 || anotado.diasSinCache.length > 0) return false;
+  const enCSV = fechasEnCSV.filter(fecha => isWithinInterval(fecha, rango)).length;
+  return enCSV >= anotado.registros;
+}
@@ -0,0 +1,41 @@
+// services/metadataCache.js
+import fs from 'fs/promises';
+import path from 'path';
+import { METADATA_CONFIG } from '../config.js';
+import { obtenerUrlMetadatos, descargarMetadatos } from './aemetApi.js';
+
+const rutaCache = (tipo) => path.join(METADATA_CONFIG.CACHE_DIR, `${tipo}.json`);
+
+/**
+ * Devuelve los metadatos de un tipo de endpoint, usando la copia local si está
+ * vigente. Para descargarlos hace falta haber hecho antes alguna petición de
+ * ese tipo, ya que la URL de metadatos la proporciona AEMET en cada respuesta.
+ * @param {string} tipo - Tipo de endpoint (ej: 'diarios').
+ * @returns {Promise<Object|null>} Los metadatos, o null si no hay copia ni URL conocida.
+ */
+export async function cargarMetadatos(tipo) {
+  let cache = null;
+  try {
+    cache = JSON.parse(await fs.readFile(rutaCache(tipo), 'utf-8'));
+  } catch {
+    // Sin copia local: se intentará descargar.
+  }
+
+  const antiguedadMs = cache ? Date.now() - new Date(cache.descargado).getTime() : Infinity;
+  if (cache && antiguedadMs <= METADATA_CONFIG.CACHE_TTL_DAYS * 24 * 3600 * 1000) {
+    return cache.metadatos;
+  }
+
+  const url = obtenerUrlMetadatos(tipo);
+  if (!url) return cache?.metadatos ?? null;
+
+  try {
+    const metadatos = await descargarMetadatos(url);
+    await fs.mkdir(METADATA_CONFIG.CACHE_DIR, { recursive: true });
+    await fs.writeFile(rutaCache(tipo), JSON.stringify({ descargado: new Date().toISOString(), url, metadatos }, null, 2));
+    return metadatos;
+  } catch (error) {
+    if (cache) return cache.metadatos;
+    throw error;
+  }
+}
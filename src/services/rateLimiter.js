@@ -0,0 +1,335 @@
+// services/rateLimiter.js
+import { RATE_LIMIT_CONFIG } from '../config.js';
+import { ErrorAutenticacion } from './aemetErrors.js';
+import { enmascararClave } from './apiKeys.js';
+import { sleep } from '../utils/asyncUtils.js';
+
+// Cabeceras con las peticiones que quedan en la ventana actual. AEMET usa la primera;
+// las otras son las habituales en otras APIs y se aceptan por si las añade.
+const CABECERAS_RESTANTES = ['remaining-request-count', 'x-ratelimit-remaining', 'ratelimit-remaining'];
+
+/**
+ * Interpreta la cabecera `Retry-After`, que puede venir en segundos o como fecha HTTP.
+ * @returns {number|null} La espera en milisegundos, o null si no hay cabecera válida.
+ */
+function leerRetryAfter(headers) {
+  const valor = headers.get('retry-after');
+  if (!valor) return null;
+  const segundos = Number(valor);
+  if (Number.isFinite(segundos)) return Math.max(0, segundos * 1000);
+  const fecha = Date.parse(valor);
+  return Number.isNaN(fecha) ? null : Math.max(0, fecha - Date.now());
+}
+
+function leerRestantes(headers) {
+  for (const nombre of CABECERAS_RESTANTES) {
+    const valor = headers.get(nombre);
+    if (valor !== null && Number.isFinite(Number(valor))) return Number(valor);
+  }
+  return null;
+}
+
+/**
+ * Crea un limitador de tipo *token bucket* que se adapta a las respuestas del
+ * servidor: reduce el ritmo a la mitad con cada 429 (y pausa hasta que se pueda
+ * volver a pedir) y lo recupera poco a poco con cada respuesta correcta, sin
+ * pasar nunca de `maximo`.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.peticionesPorMinuto] - Ritmo inicial.
+ * @param {number} [opciones.minimo] - Ritmo por debajo del cual nunca se baja.
+ * @param {number} [opciones.maximo] - Ritmo por encima del cual nunca se sube.
+ * @param {number} [opciones.rafaga] - Peticiones que se pueden hacer seguidas si el cubo está lleno.
+ * @param {number} [opciones.esperaTras429Ms] - Pausa tras un 429 si el servidor no indica otra.
+ */
+export function crearLimitador(opciones = {}) {
+  const config = {
+    peticionesPorMinuto: RATE_LIMIT_CONFIG.PETICIONES_POR_MINUTO,
+    minimo: RATE_LIMIT_CONFIG.MINIMO_POR_MINUTO,
+    maximo: RATE_LIMIT_CONFIG.MAXIMO_POR_MINUTO,
+    rafaga: RATE_LIMIT_CONFIG.RAFAGA,
+    esperaTras429Ms: RATE_LIMIT_CONFIG.ESPERA_TRAS_429_MS,
+    ...opciones,
+  };
+
+  let ritmo = config.peticionesPorMinuto;
+  let tokens = config.rafaga;
+  let ultimaRecarga = Date.now();
+  let pausadoHasta = 0;
+  let restantesServidor = null;
+  let cola = Promise.resolve();
+  const contadores = { peticiones: 0, limitesExcedidos: 0 };
+
+  function recargar() {
+    const ahora = Date.now();
+    tokens = Math.min(config.rafaga, tokens + (ahora - ultimaRecarga) * ritmo / 60000);
+    ultimaRecarga = ahora;
+  }
+
+  function pausar(ms) {
+    pausadoHasta = Math.max(pausadoHasta, Date.now() + ms);
+    tokens = 0;
+  }
+
+  return {
+    /**
+     * Espera hasta que haya presupuesto para una petición y lo consume. Las
+     * llamadas concurrentes se atienden por orden de llegada.
+     * @param {AbortSignal} [signal] - Deja de esperar (sin consumir presupuesto) si se cancela.
+     * @returns {Promise<void>}
+     */
+    adquirir(signal) {
+      const turno = cola.then(async () => {
+        for (;;) {
+          signal?.throwIfAborted();
+          const pausaRestante = pausadoHasta - Date.now();
+          if (pausaRestante > 0) {
+            await sleep(pausaRestante, signal);
+            continue;
+          }
+          recargar();
+          if (tokens >= 1) {
+            tokens -= 1;
+            contadores.peticiones++;
+            return;
+          }
+          await sleep(Math.ceil((1 - tokens) * 60000 / ritmo), signal);
+        }
+      });
+      cola = turno.catch(() => {});
+      return turno;
+    },
+
+    /**
+     * Aprende de una respuesta correcta: sube el ritmo y ajusta el presupuesto
+     * a lo que indiquen las cabeceras de límite del servidor, si las hay.
+     * @param {Response} respuesta - Respuesta de `fetch`.
+     */
+    registrarRespuesta(respuesta) {
+      ritmo = Math.min(config.maximo, ritmo + RATE_LIMIT_CONFIG.INCREMENTO_POR_EXITO);
+      const restantes = leerRestantes(respuesta.headers);
+      if (restantes === null) return;
+      restantesServidor = restantes;
+      recargar();
+      tokens = Math.min(tokens, restantes);
+      if (restantes <= 0) pausar(leerRetryAfter(respuesta.headers) ?? config.esperaTras429Ms);
+    },
+
+    /**
+     * Aprende de un 429: reduce el ritmo a la mitad y pausa todas las peticiones
+     * el tiempo que indique `Retry-After` o, si no viene, `esperaTras429Ms`.
+     * @param {Response} respuesta - Respuesta 429 de `fetch`.
+     * @returns {number} La pausa aplicada, en milisegundos.
+     */
+    registrarLimiteExcedido(respuesta) {
+      contadores.limitesExcedidos++;
+      ritmo = Math.max(config.minimo, ritmo / 2);
+      restantesServidor = 0;
+      const espera = leerRetryAfter(respuesta.headers) ?? config.esperaTras429Ms;
+      pausar(espera);
+      return espera;
+    },
+
+    /**
+     * Cambia el ritmo inicial y los límites, ej: para descargar muchas estaciones
+     * con una clave que admite más peticiones por minuto.
+     * @param {{peticionesPorMinuto?: number, minimo?: number, maximo?: number, rafaga?: number}} cambios
+     */
+    configurar(cambios) {
+      Object.assign(config, cambios);
+      if (cambios.peticionesPorMinuto !== undefined) {
+        config.maximo = Math.max(config.maximo, cambios.peticionesPorMinuto);
+        ritmo = cambios.peticionesPorMinuto;
+      }
+      ritmo = Math.min(config.maximo, Math.max(config.minimo, ritmo));
+    },
+
+    /**
+     * Estima cuánto se tardaría en dar paso a `peticiones` peticiones seguidas con el
+     * ritmo y el presupuesto actuales, si AEMET las respondiera todas bien y al momento:
+     * no cuenta el tiempo de respuesta ni los reintentos, así que es una cota inferior.
+     * @param {number} peticiones - Número de peticiones.
+     * @returns {number} La duración estimada, en milisegundos.
+     */
+    estimarDuracionMs(peticiones) {
+      recargar();
+      let duracion = Math.max(0, pausadoHasta - Date.now());
+      let disponibles = tokens;
+      let ritmoEstimado = ritmo;
+      for (let i = 0; i < peticiones; i++) {
+        if (disponibles < 1) {
+          duracion += (1 - disponibles) * 60000 / ritmoEstimado;
+          disponibles = 1;
+        }
+        disponibles -= 1;
+        ritmoEstimado = Math.min(config.maximo, ritmoEstimado + RATE_LIMIT_CONFIG.INCREMENTO_POR_EXITO);
+      }
+      return Math.round(duracion);
+    },
+
+    /**
+     * Estado actual del limitador.
+     * @returns {{peticionesPorMinuto: number, disponibles: number, restantesServidor: number|null, pausaRestanteMs: number, peticiones: number, limitesExcedidos: number}}
+     */
+    presupuesto() {
+      recargar();
+      return {
+        peticionesPorMinuto: Math.round(ritmo * 10) / 10,
+        disponibles: Math.floor(tokens),
+        restantesServidor,
+        pausaRestanteMs: Math.max(0, pausadoHasta - Date.now()),
+        ...contadores,
+      };
+    },
+  };
+}
+
+/**
+ * Crea un limitador para varias API keys. AEMET limita las peticiones por clave,
+ * así que cada una tiene su propio limitador (ver `crearLimitador`) y cada petición
+ * se asigna a una de las claves que se le ofrecen: por turnos entre las que no
+ * están en pausa tras un 429 o, si lo están todas, a la que antes se libere.
+ * Las claves que AEMET rechaza se descartan con `descartarClave` y no se vuelven
+ * a usar en todo el proceso.
+ * @param {Object} [opciones] - Opciones del limitador de cada clave (ver `crearLimitador`).
+ */
+export function crearLimitadorPorClaves(opciones = {}) {
+  const limitadores = new Map();
+  const descartadas = new Map();
+  const cambios = {};
+  let turno = 0;
+
+  // Las claves nuevas arrancan con los mismos cambios de `configurar` que las que ya estaban en uso.
+  function nuevoLimitador() {
+    const limitador = crearLimitador(opciones);
+    if (Object.keys(cambios).length > 0) limitador.configurar(cambios);
+    return limitador;
+  }
+
+  function limitadorDe(clave) {
+    if (!limitadores.has(clave)) limitadores.set(clave, nuevoLimitador());
+    return limitadores.get(clave);
+  }
+
+  const pausaDe = (clave) => limitadorDe(clave).presupuesto().pausaRestanteMs;
+
+  function elegirClave(claves) {
+    const activas = claves.filter(clave => !descartadas.has(clave));
+    if (activas.length === 0) return null;
+    const inicio = turno++ % activas.length;
+    const enOrden = [...activas.slice(inicio), ...activas.slice(0, inicio)];
+    return enOrden.find(clave => pausaDe(clave) === 0) ?? enOrden.reduce((mejor, clave) => (pausaDe(clave) < pausaDe(mejor) ? clave : mejor));
+  }
+
+  return {
+    /**
+     * Elige una de las claves, espera a que tenga presupuesto y lo consume.
+     * @param {AbortSignal} [signal] - Deja de esperar (sin consumir presupuesto) si se cancela.
+     * @param {Array<string>} claves - Claves entre las que elegir.
+     * @returns {Promise<string>} La clave con la que hacer la petición.
+     * @throws {ErrorAutenticacion} Si no hay claves o si todas se han descartado.
+     */
+    async adquirir(signal, claves) {
+      const clave = elegirClave(claves);
+      if (!clave) {
+        throw new ErrorAutenticacion(claves.length === 0
+          ? 'No hay ninguna API key de AEMET configurada.'
+          : `Ninguna API key es válida: ${claves.map(c => `${enmascararClave(c)} (${descartadas.get(c)})`).join(', ')}.`);
+      }
+      await limitadorDe(clave).adquirir(signal);
+      return clave;
+    },
+
+    /**
+     * Aprende de una respuesta correcta de una clave (ver `crearLimitador`).
+     * @param {Response} respuesta - Respuesta de `fetch`.
+     * @param {string} clave - La clave con la que se hizo la petición.
+     */
+    registrarRespuesta(respuesta, clave) {
+      limitadorDe(clave).registrarRespuesta(respuesta);
+    },
+
+    /**
+     * Aprende de un 429 de una clave: solo se pausa esa clave, las demás siguen.
+     * @param {Response} respuesta - Respuesta 429 de `fetch`.
+     * @param {string} clave - La clave con la que se hizo la petición.
+     * @returns {number} La pausa aplicada, en milisegundos.
+     */
+    registrarLimiteExcedido(respuesta, clave) {
+      return limitadorDe(clave).registrarLimiteExcedido(respuesta);
+    },
+
+    /**
+     * Deja de usar una clave (ej: AEMET la rechaza con un 401 porque no es válida o ha caducado).
+     * @param {string} clave - La clave.
+     * @param {string} motivo - Por qué se descarta, para los mensajes de error.
+     * @returns {boolean} true si estaba en uso; false si ya se había descartado.
+     */
+    descartarClave(clave, motivo) {
+      if (descartadas.has(clave)) return false;
+      descartadas.set(clave, motivo);
+      return true;
+    },
+
+    /**
+     * Las claves de una lista que no se han descartado.
+     * @param {Array<string>} claves
+     * @returns {Array<string>}
+     */
+    clavesActivas: (claves) => claves.filter(clave => !descartadas.has(clave)),
+
+    /**
+     * Cambia el ritmo y los límites de todas las claves (ver `crearLimitador`). El
+     * ritmo es por clave: con tres claves se hacen hasta tres veces más peticiones.
+     * @param {{peticionesPorMinuto?: number, minimo?: number, maximo?: number, rafaga?: number}} nuevos
+     */
+    configurar(nuevos) {
+      Object.assign(cambios, nuevos);
+      limitadores.forEach(limitador => limitador.configurar(nuevos));
+    },
+
+    /**
+     * Estima cuánto se tardaría en hacer `peticiones` peticiones repartidas por turnos
+     * entre las claves (ver `estimarDuracionMs` en `crearLimitador`).
+     * @param {number} peticiones - Número de peticiones.
+     * @param {Array<string>} claves - Claves entre las que se repartirían. Sin ninguna, se estima como si hubiera una.
+     * @returns {number} La duración estimada, en milisegundos.
+     */
+    estimarDuracionMs(peticiones, claves) {
+      const activas = claves.filter(clave => !descartadas.has(clave));
+      // Sin tocar `limitadores`: una estimación no debe contar como una clave en uso.
+      const enUso = activas.length > 0 ? activas.map(clave => limitadores.get(clave) ?? nuevoLimitador()) : [nuevoLimitador()];
+      const porClave = (i) => Math.floor(peticiones / enUso.length) + (i < peticiones % enUso.length ? 1 : 0);
+      return Math.max(...enUso.map((limitador, i) => limitador.estimarDuracionMs(porClave(i))));
+    },
+
+    /**
+     * Estado conjunto de las claves en uso: el ritmo y el presupuesto se suman, y la
+     * pausa es la de la clave que antes se libera. `peticiones` y `limitesExcedidos`
+     * cuentan también las de las claves descartadas.
+     * @returns {{peticionesPorMinuto: number, disponibles: number, restantesServidor: number|null, pausaRestanteMs: number,
+     * peticiones: number, limitesExcedidos: number, claves: number, clavesDescartadas: number}}
+     */
+    presupuesto() {
+      const estados = [...limitadores].map(([clave, limitador]) => ({ activa: !descartadas.has(clave), ...limitador.presupuesto() }));
+      const activas = estados.filter(e => e.activa);
+      // Antes de la primera petición, el estado es el de una clave recién estrenada.
+      const enUso = activas.length > 0 ? activas : [nuevoLimitador().presupuesto()];
+      const suma = (lista, campo) => lista.reduce((total, e) => total + e[campo], 0);
+      const restantes = enUso.filter(e => e.restantesServidor !== null);
+
+      return {
+        peticionesPorMinuto: Math.round(suma(enUso, 'peticionesPorMinuto') * 10) / 10,
+        disponibles: suma(enUso, 'disponibles'),
+        restantesServidor: restantes.length > 0 ? suma(restantes, 'restantesServidor') : null,
+        pausaRestanteMs: Math.min(...enUso.map(e => e.pausaRestanteMs)),
+        peticiones: suma(estados, 'peticiones'),
+        limitesExcedidos: suma(estados, 'limitesExcedidos'),
+        claves: activas.length,
+        clavesDescartadas: descartadas.size,
+      };
+    },
+  };
+}
+
+// Limitador compartido por todas las peticiones a la API de AEMET del proceso.
+export const limitadorAemet = crearLimitadorPorClaves();
@@ -0,0 +1,80 @@
+// services/responseCache.js
+import fs from 'fs/promises';
+import path from 'path';
+import { subDays } from 'date-fns';
+import { RESPONSE_CACHE_CONFIG } from '../config.js';
+
+/**
+ * Construye la ruta del fichero de caché de una respuesta.
+ * @param {{endpoint: string, estacionId: string, desde: string, hasta: string}} clave
+ */
+const rutaCache = ({ endpoint, estacionId, desde, hasta }) =>
+  path.join(RESPONSE_CACHE_CONFIG.DIR, endpoint, estacionId, `${desde}_${hasta}.json`);
+
+/**
+ * Indica si una respuesta guardada sigue siendo válida. Los rangos que terminaron
+ * hace más de `DIAS_HASTA_INMUTABLE` días no caducan nunca; el resto, pasadas
+ * `TTL_HORAS_RECIENTES` horas desde la descarga.
+ * @param {{descargado: string}} entrada - Entrada leída de la caché.
+ * @param {Date} finRango - Último día cubierto por la respuesta.
+ */
+function esVigente(entrada, finRango) {
+  if (finRango < subDays(new Date(), RESPONSE_CACHE_CONFIG.DIAS_HASTA_INMUTABLE)) return true;
+  const antiguedadMs = Date.now() - new Date(entrada.descargado).getTime();
+  return antiguedadMs <= RESPONSE_CACHE_CONFIG.TTL_HORAS_RECIENTES * 3600 * 1000;
+}
+
+async function leerEntrada(clave) {
+  try {
+    return JSON.parse(await fs.readFile(rutaCache(clave), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Indica, sin descargar nada, qué encontraría `obtenerConCache` en la caché para una clave.
+ * @param {{endpoint: string, estacionId: string, desde: string, hasta: string}} clave - Endpoint, estación y rango de la petición.
+ * @param {Date} finRango - Último día cubierto (ver `obtenerConCache`).
+ * @returns {Promise<'vigente'|'caducada'|null>} El estado de la copia guardada, o null si no hay ninguna.
+ */
+export async function consultarCache(clave, finRango) {
+  const entrada = await leerEntrada(clave);
+  if (!entrada) return null;
+  return esVigente(entrada, finRango) ? 'vigente' : 'caducada';
+}
+
+/**
+ * Devuelve la respuesta de AEMET para una clave usando la caché en disco. Si no
+ * hay copia vigente se descarga y se guarda; si la descarga falla se recurre a
+ * una copia caducada, si existe.
+ * @param {{endpoint: string, estacionId: string, desde: string, hasta: string}} clave - Endpoint, estación y rango de la petición.
+ * @param {Date} finRango - Último día cubierto, para decidir si la respuesta puede cambiar todavía.
+ * @param {() => Promise<any>} descargar - Función que hace la petición real a AEMET.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.offline=false] - No descarga nada: solo devuelve lo que haya en la caché, aunque esté caducado.
+ * @returns {Promise<{datos: any, desdeCache: boolean}|null>} La respuesta, o null si en modo offline no está en la caché.
+ */
+export async function obtenerConCache(clave, finRango, descargar, opciones = {}) {
+  const { offline = false } = opciones;
+  const entrada = await leerEntrada(clave);
+
+  if (offline) return entrada ? { datos: entrada.datos, desdeCache: true } : null;
+  if (entrada && esVigente(entrada, finRango)) return { datos: entrada.datos, desdeCache: true };
+
+  let datos;
+  try {
+    datos = await descargar();
+  } catch (error) {
+    if (entrada) return { datos: entrada.datos, desdeCache: true };
+    throw error;
+  }
+
+  const ruta = rutaCache(clave);
+  await fs.mkdir(path.dirname(ruta), { recursive: true });
+  // Se escribe en un temporal y se renombra para no dejar ficheros a medias si el proceso se interrumpe.
+  const temporal = `${ruta}.tmp`;
+  await fs.writeFile(temporal, JSON.stringify({ descargado: new Date().toISOString(), ...clave, datos }));
+  await fs.rename(temporal, ruta);
+  return { datos, desdeCache: false };
+}
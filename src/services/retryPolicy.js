@@ -0,0 +1,44 @@
+// services/retryPolicy.js
+import { RETRY_CONFIG } from '../config.js';
+import { ErrorLimitePeticiones } from './aemetErrors.js';
+import { sleep } from '../utils/asyncUtils.js';
+
+/**
+ * Calcula la espera antes de un reintento: crece exponencialmente con cada
+ * intento, con un tope, y se elige al azar entre la mitad y el total para que
+ * varias estaciones que fallan a la vez no reintenten todas al mismo tiempo.
+ * @param {number} intento - Número del intento que acaba de fallar (empezando en 1).
+ * @returns {number} La espera en milisegundos.
+ */
+export function calcularEspera(intento) {
+  const exponencial = Math.min(RETRY_CONFIG.ESPERA_MAXIMA_MS, RETRY_CONFIG.ESPERA_BASE_MS * 2 ** (intento - 1));
+  return Math.round(exponencial / 2 + Math.random() * exponencial / 2);
+}
+
+/**
+ * Ejecuta una operación y la repite mientras falle con un error reintentable
+ * (ver services/aemetErrors.js), hasta `RETRY_CONFIG.MAX_INTENTOS` intentos.
+ * Los errores no reintentables y el último error se propagan tal cual.
+ * @param {(intento: number) => Promise<any>} operacion - Operación a ejecutar; recibe el número de intento.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.maxIntentos=RETRY_CONFIG.MAX_INTENTOS] - Intentos totales, incluido el primero.
+ * @param {(error: Error, intento: number, esperaMs: number) => void} [opciones.alReintentar] - Se llama antes de cada espera.
+ * @param {AbortSignal} [opciones.signal] - Si se cancela, no se reintenta más y se interrumpe la espera.
+ * @returns {Promise<any>} El resultado de la operación.
+ */
+export async function conReintentos(operacion, opciones = {}) {
+  const { maxIntentos = RETRY_CONFIG.MAX_INTENTOS, alReintentar, signal } = opciones;
+
+  for (let intento = 1; ; intento++) {
+    signal?.throwIfAborted();
+    try {
+      return await operacion(intento);
+    } catch (error) {
+      if (signal?.aborted || !error.reintentable || intento >= maxIntentos) throw error;
+      // Tras un 429 el limitador ya pausa todas las peticiones: no hace falta esperar más.
+      const espera = error instanceof ErrorLimitePeticiones ? 0 : calcularEspera(intento);
+      alReintentar?.(error, intento, espera);
+      await sleep(espera, signal);
+    }
+  }
+}
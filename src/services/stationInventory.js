@@ -0,0 +1,135 @@
+// services/stationInventory.js
+import fs from 'fs/promises';
+import path from 'path';
+import { INVENTORY_CONFIG } from '../config.js';
+import { obtenerInventarioEstaciones } from './aemetApi.js';
+import { normalizarTexto } from '../utils/textUtils.js';
+
+const RADIO_TIERRA_KM = 6371;
+
+/**
+ * Convierte una coordenada en el formato de AEMET (ej: "394924N", "025309W")
+ * a grados decimales.
+ * @param {string} coordenada - Coordenada en formato GGMMSS + hemisferio.
+ * @returns {number|null} La coordenada en grados decimales.
+ */
+function parsearCoordenada(coordenada) {
+  const match = /^(\d+)(\d{2})(\d{2})([NSEW])$/.exec(coordenada?.trim() ?? '');
+  if (!match) return null;
+  const [, grados, minutos, segundos, hemisferio] = match;
+  const decimal = parseInt(grados, 10) + parseInt(minutos, 10) / 60 + parseInt(segundos, 10) / 3600;
+  return hemisferio === 'S' || hemisferio === 'W' ? -decimal : decimal;
+}
+
+/**
+ * Distancia en kilómetros entre dos puntos (fórmula del haversine).
+ */
+function distanciaKm(lat1, lon1, lat2, lon2) {
+  const toRad = (grados) => grados * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * RADIO_TIERRA_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Normaliza una estación del inventario de AEMET: altitud numérica y coordenadas en grados decimales.
+ * @param {Object} estacion - La estación tal y como la devuelve la API.
+ * @returns {Object} La estación normalizada.
+ */
+export function normalizarEstacion(estacion) {
+  return {
+    indicativo: estacion.indicativo,
+    nombre: estacion.nombre,
+    provincia: estacion.provincia,
+    altitud: estacion.altitud !== undefined ? parseFloat(estacion.altitud) : null,
+    latitud: parsearCoordenada(estacion.latitud),
+    longitud: parsearCoordenada(estacion.longitud),
+    indsinop: estacion.indsinop || null,
+  };
+}
+
+async function leerCacheInventario() {
+  try {
+    const contenido = JSON.parse(await fs.readFile(INVENTORY_CONFIG.CACHE_FILE, 'utf-8'));
+    const antiguedadMs = Date.now() - new Date(contenido.descargado).getTime();
+    return { ...contenido, caducado: antiguedadMs > INVENTORY_CONFIG.CACHE_TTL_DAYS * 24 * 3600 * 1000 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Indica si hay una copia local del inventario, aunque haya caducado: con ella,
+ * `cargarInventario` puede responder sin descargar nada si la descarga falla.
+ * @returns {Promise<boolean>}
+ */
+export async function hayInventarioEnCache() {
+  return (await leerCacheInventario()) !== null;
+}
+
+/**
+ * Devuelve el inventario de estaciones, usando la copia local si está vigente.
+ * Si la descarga falla pero existe una copia caducada, se reutiliza esa.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.forzarDescarga=false] - Ignora la caché y descarga de nuevo.
+ * @param {boolean} [opciones.soloCache=false] - No descarga nada: usa la copia local aunque haya caducado.
+ * @returns {Promise<Array<Object>>} Las estaciones normalizadas.
+ * @throws {Error} Con `soloCache`, si no hay copia local.
+ */
+export async function cargarInventario({ forzarDescarga = false, soloCache = false } = {}) {
+  const cache = await leerCacheInventario();
+  if (soloCache) {
+    if (cache) return cache.estaciones;
+    throw new Error('El inventario de estaciones no está en la caché. Usa indicativos o descárgalo antes con stations.js.');
+  }
+  if (cache && !cache.caducado && !forzarDescarga) {
+    return cache.estaciones;
+  }
+
+  try {
+    const estaciones = (await obtenerInventarioEstaciones()).map(normalizarEstacion);
+    await fs.mkdir(path.dirname(INVENTORY_CONFIG.CACHE_FILE), { recursive: true });
+    await fs.writeFile(INVENTORY_CONFIG.CACHE_FILE, JSON.stringify({ descargado: new Date().toISOString(), estaciones }, null, 2));
+    return estaciones;
+  } catch (error) {
+    if (cache) return cache.estaciones;
+    throw error;
+  }
+}
+
+/**
+ * Filtra el inventario de estaciones.
+ * @param {Array<Object>} estaciones - Estaciones normalizadas (ver `cargarInventario`).
+ * @param {Object} filtros
+ * @param {string} [filtros.nombre] - Texto contenido en el nombre (sin distinguir tildes ni mayúsculas).
+ * @param {string} [filtros.provincia] - Texto contenido en la provincia.
+ * @param {number} [filtros.altitudMin] - Altitud mínima en metros.
+ * @param {number} [filtros.altitudMax] - Altitud máxima en metros.
+ * @param {{lat: number, lon: number, radioKm: number}} [filtros.cerca] - Punto y radio de búsqueda.
+ * @returns {Array<Object>} Las estaciones que cumplen todos los filtros. Si se filtra por
+ * distancia, se añade `distanciaKm` y se ordenan de la más cercana a la más lejana.
+ */
+export function buscarEstaciones(estaciones, filtros = {}) {
+  const { nombre, provincia, altitudMin, altitudMax, cerca } = filtros;
+  const nombreBuscado = normalizarTexto(nombre);
+  const provinciaBuscada = normalizarTexto(provincia);
+
+  let resultado = estaciones.filter(e => {
+    if (nombreBuscado && !normalizarTexto(e.nombre).includes(nombreBuscado)) return false;
+    if (provinciaBuscada && !normalizarTexto(e.provincia).includes(provinciaBuscada)) return false;
+    if (altitudMin !== undefined && !(e.altitud >= altitudMin)) return false;
+    if (altitudMax !== undefined && !(e.altitud <= altitudMax)) return false;
+    return true;
+  });
+
+  if (cerca) {
+    resultado = resultado
+      .filter(e => e.latitud !== null && e.longitud !== null)
+      .map(e => ({ ...e, distanciaKm: parseFloat(distanciaKm(cerca.lat, cerca.lon, e.latitud, e.longitud).toFixed(1)) }))
+      .filter(e => cerca.radioKm === undefined || e.distanciaKm <= cerca.radioKm)
+      .sort((a, b) => a.distanciaKm - b.distanciaKm);
+  }
+
+  return resultado;
+}
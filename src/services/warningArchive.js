@@ -0,0 +1,69 @@
+// services/warningArchive.js
+import fs from 'node:fs';
+import path from 'node:path';
+import { stringify } from 'csv-stringify/sync';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { WARNINGS_CONFIG } from '../config.js';
+
+// Mismos campos que los registros de `normalizarAvisosCap` (ver utils/capProcessor.js).
+const COLUMNAS_AVISOS = [
+  'identificador', 'enviado', 'tipo_mensaje', 'referencias', 'fenomeno_codigo', 'fenomeno', 'nivel',
+  'severidad', 'certeza', 'probabilidad', 'umbral', 'inicio', 'fin', 'zona_codigo', 'zona',
+  'provincia_codigo', 'titular', 'descripcion',
+];
+
+const rutaArchivo = () => path.join(WARNINGS_CONFIG.DIR, 'avisos_cap.csv');
+
+// Un mismo aviso CAP puede cubrir varias zonas: cada fila se identifica por aviso + zona.
+const clave = (aviso) => `${aviso.identificador}|${aviso.zona_codigo ?? ''}`;
+
+/**
+ * Lee todos los avisos archivados. Los campos vacíos se devuelven como null.
+ * @returns {Array<Object>} Los avisos en el orden en que se archivaron (vacío si aún no hay archivo).
+ */
+export function leerArchivoAvisos() {
+  const ruta = rutaArchivo();
+  if (!fs.existsSync(ruta)) return [];
+  return parseCsv(fs.readFileSync(ruta, 'utf-8'), {
+    columns: true,
+    skip_empty_lines: true,
+    cast: (valor) => (valor === '' ? null : valor),
+  });
+}
+
+/**
+ * Crea el archivo local de avisos. Como el de observaciones horarias, es un CSV
+ * que solo crece: un aviso que ya está guardado no se vuelve a escribir, así que
+ * se puede descargar el mismo período tantas veces como se quiera.
+ * @returns {{ruta: string, agregar: (avisos: Array<Object>) => number, total: () => number}}
+ */
+export function crearArchivoAvisos() {
+  const ruta = rutaArchivo();
+  const vistos = new Set(leerArchivoAvisos().map(clave));
+
+  return {
+    ruta,
+
+    /**
+     * Añade al archivo los avisos que aún no estén guardados.
+     * @param {Array<Object>} avisos - Avisos normalizados.
+     * @returns {number} El número de avisos nuevos escritos.
+     */
+    agregar(avisos) {
+      const nuevos = [];
+      for (const aviso of avisos) {
+        if (vistos.has(clave(aviso))) continue;
+        vistos.add(clave(aviso));
+        nuevos.push(aviso);
+      }
+      if (nuevos.length === 0) return 0;
+
+      const esNuevo = !fs.existsSync(ruta);
+      fs.mkdirSync(WARNINGS_CONFIG.DIR, { recursive: true });
+      fs.appendFileSync(ruta, stringify(nuevos, { header: esNuevo, columns: COLUMNAS_AVISOS }));
+      return nuevos.length;
+    },
+
+    total: () => vistos.size,
+  };
+}
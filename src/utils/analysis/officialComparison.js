@@ -0,0 +1,56 @@
+/**
+ * utils/analysis/officialComparison.js
+ *
+ * Responsabilidad: Comparar los resúmenes mensuales/anuales calculados por
+ * `dataAnalyzer.js` con los valores oficiales publicados por AEMET.
+ */
+
+// Diferencia absoluta a partir de la cual se considera que un valor diverge del oficial.
+const TOLERANCIAS = {
+  avg_tmed: 0.2,
+  avg_tmax: 0.2,
+  avg_tmin: 0.2,
+  max_tmax: 0.1,
+  min_tmin: 0.1,
+  max_prec: 0.1,
+  total_prec: 0.1, // Suma de los valores diarios; debe coincidir con p_mes salvo días sin obtener
+  dias_prec: 0, // Los días "Acum" no cuentan en el calculado (ver dataAnalyzer.js)
+  max_racha: 0.1,
+};
+
+const round = (num) => parseFloat(num.toFixed(2));
+
+/**
+ * Compara, período a período, los valores calculados con los oficiales.
+ * Solo se comparan los períodos y variables presentes en ambos conjuntos.
+ * @param {Array<Object>} calculados - Resultados de `getResults()` de un analizador.
+ * @param {Array<Object>} oficiales - Registros normalizados por `normalizarValoresMensualesAnuales`.
+ * @returns {Array<Object>} Una fila por período y variable, con la diferencia y si diverge.
+ */
+export function compararConOficiales(calculados, oficiales) {
+  const calculadosPorFecha = new Map(calculados.map(r => [r.fecha, r]));
+  const comparaciones = [];
+
+  for (const oficial of oficiales) {
+    const calculado = calculadosPorFecha.get(oficial.fecha);
+    if (!calculado) continue;
+
+    for (const [variable, tolerancia] of Object.entries(TOLERANCIAS)) {
+      const valorOficial = oficial[variable];
+      const valorCalculado = calculado[variable];
+      if (typeof valorOficial !== 'number' || typeof valorCalculado !== 'number') continue;
+
+      const diferencia = round(valorCalculado - valorOficial);
+      comparaciones.push({
+        fecha: oficial.fecha,
+        variable,
+        calculado: valorCalculado,
+        oficial: valorOficial,
+        diferencia,
+        diverge: Math.abs(diferencia) > tolerancia,
+      });
+    }
+  }
+
+  return comparaciones;
+}
@@ -0,0 +1,65 @@
+/**
+ * utils/analysis/postExtraction.js
+ *
+ * Responsabilidad: Análisis que se pueden encadenar a una extracción (ver la
+ * opción "analisis" de los ficheros de trabajos en services/jobFile.js).
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { readAndProcessData } from '../dataLoader.js';
+import { analyzeSummerData } from '../summerAnalysis.js';
+import { cargarReferencias } from '../../services/climateReferences.js';
+import { leerArchivoAvisos } from '../../services/warningArchive.js';
+import { cruzarAvisosConDiarios, COLUMNAS_AVISOS_DIARIOS } from './warnings.js';
+import { guardarAnalisisEnCSV } from '../../services/csvWriter.js';
+
+// Extensión del fichero que genera cada análisis.
+const EXTENSIONES = { verano: 'json', avisos: 'csv' };
+
+/**
+ * Ruta del fichero que genera un análisis, junto al CSV diario y con el mismo sufijo
+ * (ej: `diarios_5530E.csv` → `verano_5530E.json`).
+ * @param {string} nombre - Nombre del análisis (una clave de `ANALISIS_POSTERIORES`).
+ * @param {string} ficheroDiario - Ruta del CSV diario.
+ */
+export const rutaAnalisisPosterior = (nombre, ficheroDiario) => path.join(path.dirname(ficheroDiario), path.basename(ficheroDiario, '.csv').replace(/^diarios_/, `${nombre}_`) + `.${EXTENSIONES[nombre]}`);
+
+/**
+ * Columnas del CSV diario que necesita cada análisis. Si un trabajo elige sus
+ * columnas, se añaden estas para que el análisis no trabaje con datos vacíos.
+ */
+export const COLUMNAS_ANALISIS = {
+  verano: ['tmed', 'tmax', 'tmin'],
+  avisos: ['provincia', 'tmax', 'tmin', 'prec'],
+};
+
+const cast = {
+  number: (value) => (typeof value === 'number' ? value.toString().replace('.', ',') : value),
+};
+
+/**
+ * Análisis disponibles, por nombre. Cada uno recibe el resultado de
+ * `procesarEstacion` y devuelve la ruta del fichero que ha generado.
+ * @type {Object<string, (resultado: {estacionId: string, ficheroDiario: string}) => Promise<string>>}
+ */
+export const ANALISIS_POSTERIORES = {
+  // El análisis de verano de analyze.js, guardado en JSON en lugar de mostrado en consola.
+  verano: async ({ estacionId, ficheroDiario }) => {
+    const registros = await readAndProcessData(ficheroDiario);
+    const resultados = analyzeSummerData(registros, await cargarReferencias(estacionId));
+    const ruta = rutaAnalisisPosterior('verano', ficheroDiario);
+    await fs.writeFile(ruta, JSON.stringify(resultados, null, 2));
+    return ruta;
+  },
+
+  // Los días de la extracción en los que la provincia de la estación estuvo en aviso,
+  // según los avisos archivados con warnings.js.
+  avisos: async ({ ficheroDiario }) => {
+    const avisos = leerArchivoAvisos();
+    if (avisos.length === 0) throw new Error('No hay avisos archivados. Descárgalos antes con warnings.js.');
+    const dias = cruzarAvisosConDiarios(await readAndProcessData(ficheroDiario), avisos);
+    const ruta = rutaAnalisisPosterior('avisos', ficheroDiario);
+    await guardarAnalisisEnCSV(dias, ruta, COLUMNAS_AVISOS_DIARIOS, cast);
+    return ruta;
+  },
+};
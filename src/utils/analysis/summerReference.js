@@ -0,0 +1,68 @@
+/**
+ * utils/analysis/summerReference.js
+ *
+ * Responsabilidad: Derivar valores de referencia para el verano a partir de las
+ * normales y los extremos oficiales de AEMET (ver services/climateReferences.js).
+ */
+import { getYear, getMonth } from 'date-fns';
+import _ from 'lodash-es';
+
+// Días de cada mes que caen dentro del verano astronómico (21 de junio a 22 de septiembre).
+const DIAS_VERANO_POR_MES = { 6: 10, 7: 31, 8: 31, 9: 22 };
+
+export const ETIQUETA_NORMALES = 'Normales AEMET 1991-2020';
+
+/**
+ * Calcula la normal del verano como media de las normales mensuales ponderada
+ * por los días de cada mes que pertenecen al verano.
+ * @param {Array<Object>} normales - Normales mensuales normalizadas (`mes`, `tmed`, `tmax`, `tmin`).
+ * @returns {{tmed: number|null, tmax: number|null, tmin: number|null}}
+ */
+export function calcularReferenciaVerano(normales) {
+  const ponderada = (variable) => {
+    let suma = 0;
+    let dias = 0;
+    for (const [mes, diasMes] of Object.entries(DIAS_VERANO_POR_MES)) {
+      const valor = normales.find(n => n.mes === Number(mes))?.[variable];
+      if (typeof valor !== 'number') return null;
+      suma += valor * diasMes;
+      dias += diasMes;
+    }
+    return suma / dias;
+  };
+
+  return { tmed: ponderada('tmed'), tmax: ponderada('tmax'), tmin: ponderada('tmin') };
+}
+
+/**
+ * Compara los registros de cada verano con los récords mensuales oficiales.
+ * @param {Array<Object>} summerRecords - Registros de verano.
+ * @param {Array<Object>} extremos - Extremos mensuales normalizados (`mes`, `tmax_record`, `tmin_record`).
+ * @returns {Array<Object>} Por año, el máximo de tmax, el récord oficial de ese mes y
+ * cuántos días igualaron o superaron el récord mensual de tmax o de tmin.
+ */
+export function calcularComparacionRecords(summerRecords, extremos) {
+  const extremosPorMes = _.keyBy(extremos, 'mes');
+  const porAnio = _.groupBy(summerRecords, r => getYear(r.date));
+
+  return Object.entries(porAnio).map(([year, yearRecords]) => {
+    const maxRecord = _.maxBy(yearRecords.filter(r => typeof r.tmax === 'number'), 'tmax');
+    const recordMes = maxRecord ? extremosPorMes[getMonth(maxRecord.date) + 1]?.tmax_record ?? null : null;
+    const diasRecordTmax = yearRecords.filter(r => {
+      const record = extremosPorMes[getMonth(r.date) + 1]?.tmax_record;
+      return typeof r.tmax === 'number' && typeof record === 'number' && r.tmax >= record;
+    }).length;
+    const diasRecordTmin = yearRecords.filter(r => {
+      const record = extremosPorMes[getMonth(r.date) + 1]?.tmin_record;
+      return typeof r.tmin === 'number' && typeof record === 'number' && r.tmin <= record;
+    }).length;
+
+    return {
+      'año': parseInt(year, 10),
+      'max_tmax': maxRecord?.tmax ?? null,
+      'record_tmax_mes': recordMes,
+      'dias_record_tmax': diasRecordTmax,
+      'dias_record_tmin': diasRecordTmin,
+    };
+  });
+}
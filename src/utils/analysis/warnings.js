@@ -0,0 +1,109 @@
+/**
+ * utils/analysis/warnings.js
+ *
+ * Responsabilidad: Cruzar los avisos meteorológicos archivados (ver
+ * services/warningArchive.js) con los registros diarios de una estación, para
+ * saber qué días estuvo la zona de la estación en aviso y con qué nivel.
+ */
+import { eachDayOfInterval, format, isValid, parseISO, subMilliseconds } from 'date-fns';
+import { NIVELES_AVISO } from '../capProcessor.js';
+import { resolverProvincia } from '../municipalityLookup.js';
+
+// Columnas del CSV que genera `cruzarAvisosConDiarios`.
+export const COLUMNAS_AVISOS_DIARIOS = ['fecha', 'tmax', 'tmin', 'prec', 'aviso_nivel', 'avisos_numero', 'avisos_fenomenos', 'avisos_zonas'];
+
+const nivelNumerico = (nivel) => NIVELES_AVISO.indexOf(nivel);
+
+// Los instantes de CAP llevan la hora local y su desfase (ej: "2024-07-22T12:00:00+02:00"):
+// el día del aviso es el de la hora local, la misma en que AEMET da los datos diarios.
+const horaLocal = (instante) => parseISO(instante.slice(0, 19));
+
+/**
+ * Días (yyyy-MM-dd) en los que está vigente un aviso. Un aviso que termina a
+ * las 00:00 no cuenta para ese día.
+ */
+function diasDeAviso(aviso) {
+  if (!aviso.inicio || !aviso.fin) return [];
+  const inicio = horaLocal(aviso.inicio);
+  const fin = subMilliseconds(horaLocal(aviso.fin), 1);
+  if (!isValid(inicio) || !isValid(fin) || fin < inicio) return [];
+  return eachDayOfInterval({ start: inicio, end: fin }).map(dia => format(dia, 'yyyy-MM-dd'));
+}
+
+/**
+ * Descarta los avisos que no describen un riesgo en vigor: las cancelaciones,
+ * los de nivel verde y los que una emisión posterior actualiza o cancela
+ * (las que los citan en `referencias`).
+ * @param {Array<Object>} avisos - Avisos normalizados o leídos del archivo.
+ * @returns {Array<Object>}
+ */
+export function avisosVigentes(avisos) {
+  const sustituidos = new Set(avisos.flatMap(a => a.referencias?.split(' ') ?? []));
+  return avisos.filter(a => a.tipo_mensaje !== 'Cancel' && nivelNumerico(a.nivel) > 0 && !sustituidos.has(a.identificador));
+}
+
+/**
+ * Cruza los registros diarios de una estación con los avisos de su zona. Un
+ * aviso afecta a la estación si su zona es una de `zonas` o, si no se indican,
+ * si la zona está en la provincia de la estación (la columna `provincia` del CSV diario).
+ *
+ * Solo se devuelven los días que cubre el archivo (desde la primera emisión
+ * archivada hasta el fin del último aviso), porque fuera de ese período la
+ * ausencia de avisos no significa nada.
+ * @param {Array<Object>} registros - Registros diarios (ver `readAndProcessData`).
+ * @param {Array<Object>} avisos - Avisos del archivo (ver `leerArchivoAvisos`).
+ * @param {Object} [opciones]
+ * @param {Array<string>} [opciones.zonas] - Códigos de zona de Meteoalerta (ej: ['614102']).
+ * @returns {Array<Object>} Un registro por día con `aviso_nivel` (el más alto, o 'ninguno'),
+ * `avisos_numero`, `avisos_fenomenos` (ej: "Temperaturas máximas (naranja)") y las zonas afectadas.
+ * @throws {Error} Si no se indican zonas y la provincia de la estación no se reconoce.
+ */
+export function cruzarAvisosConDiarios(registros, avisos, opciones = {}) {
+  const { zonas } = opciones;
+  let afectaALaEstacion;
+  if (zonas?.length > 0) {
+    afectaALaEstacion = (aviso) => zonas.includes(aviso.zona_codigo);
+  } else {
+    const nombreProvincia = registros.find(r => r.provincia)?.provincia;
+    const provincia = nombreProvincia ? resolverProvincia(nombreProvincia) : null;
+    if (!provincia) {
+      throw new Error(`No se reconoce la provincia de la estación ("${nombreProvincia ?? ''}"). Indica las zonas de aviso con su código de Meteoalerta.`);
+    }
+    afectaALaEstacion = (aviso) => aviso.provincia_codigo === provincia.codigo;
+  }
+
+  const primeraEmision = avisos.map(a => a.enviado?.slice(0, 10)).filter(Boolean).sort()[0];
+  const ultimoDia = avisos.flatMap(a => diasDeAviso(a).slice(-1)).sort().pop();
+  if (!primeraEmision || !ultimoDia) return [];
+
+  const avisosPorDia = new Map();
+  for (const aviso of avisosVigentes(avisos).filter(afectaALaEstacion)) {
+    for (const dia of diasDeAviso(aviso)) {
+      if (!avisosPorDia.has(dia)) avisosPorDia.set(dia, []);
+      avisosPorDia.get(dia).push(aviso);
+    }
+  }
+
+  return registros
+    .filter(r => r.fecha >= primeraEmision && r.fecha <= ultimoDia)
+    .map(r => {
+      const delDia = avisosPorDia.get(r.fecha) ?? [];
+      // Nivel más alto de cada fenómeno en cualquiera de las zonas afectadas.
+      const fenomenos = new Map();
+      for (const aviso of delDia) {
+        if (nivelNumerico(aviso.nivel) > nivelNumerico(fenomenos.get(aviso.fenomeno))) fenomenos.set(aviso.fenomeno, aviso.nivel);
+      }
+      const nivelMaximo = Math.max(0, ...delDia.map(a => nivelNumerico(a.nivel)));
+
+      return {
+        fecha: r.fecha,
+        tmax: r.tmax ?? null,
+        tmin: r.tmin ?? null,
+        prec: r.prec ?? null,
+        aviso_nivel: nivelMaximo > 0 ? NIVELES_AVISO[nivelMaximo] : 'ninguno',
+        avisos_numero: new Set(delDia.map(a => `${a.identificador}|${a.zona_codigo}`)).size,
+        avisos_fenomenos: [...fenomenos].map(([fenomeno, nivel]) => `${fenomeno} (${nivel})`).join('; '),
+        avisos_zonas: [...new Set(delDia.map(a => a.zona))].join('; '),
+      };
+    });
+}
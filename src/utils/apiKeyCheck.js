@@ -0,0 +1,29 @@
+// utils/apiKeyCheck.js
+import { clavesApi } from '../services/apiKeys.js';
+import { logger } from './consoleLogger.js';
+
+// El mismo código con el que los scripts salen cuando los argumentos o la configuración no son válidos.
+const SALIDA_USO = 2;
+
+/**
+ * Comprueba, al arrancar un script, que haya al menos una API key de AEMET y que
+ * el fichero de `AEMET_API_KEYS_FILE`, si se indica, se pueda leer. Si no, explica
+ * cómo configurarlas y termina el proceso con el código de uso incorrecto.
+ * @returns {Array<string>} Las claves configuradas (ver `clavesApi`).
+ */
+export function comprobarClavesApi() {
+  let claves;
+  try {
+    claves = clavesApi();
+  } catch (error) {
+    logger.failAndStop(`Error crítico: ${error.message}`);
+    process.exit(SALIDA_USO);
+  }
+  if (claves.length === 0) {
+    logger.failAndStop('Error crítico: No hay ninguna API key de AEMET.');
+    logger.info('Por favor, crea un fichero .env en la raíz del proyecto y añade la línea: AEMET_API_KEY="tu_clave"');
+    logger.info('Para repartir las peticiones entre varias claves, usa AEMET_API_KEYS="clave1,clave2" o AEMET_API_KEYS_FILE="ruta/al/fichero" (una clave por línea).');
+    process.exit(SALIDA_USO);
+  }
+  return claves;
+}
@@ -0,0 +1,12 @@
+// utils/asyncUtils.js
+import { setTimeout as esperar } from 'timers/promises';
+
+/**
+ * Espera `ms` milisegundos. Si se cancela `signal`, rechaza con su motivo en cuanto ocurre.
+ * @param {number} ms - Milisegundos de espera.
+ * @param {AbortSignal} [signal] - Señal para cancelar la espera.
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => esperar(ms, undefined, { signal }).catch(error => {
+  throw signal?.aborted ? signal.reason : error;
+});
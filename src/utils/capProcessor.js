@@ -0,0 +1,125 @@
+/**
+ * utils/capProcessor.js
+ *
+ * Responsabilidad: Convertir los avisos meteorológicos de AEMET (Meteoalerta),
+ * que llegan como ficheros XML en formato CAP 1.2, en registros planos: uno por
+ * aviso y zona, con el fenómeno, el nivel, el umbral y el período de validez.
+ */
+
+// Niveles de Meteoalerta de menor a mayor. "verde" significa que no hay riesgo.
+export const NIVELES_AVISO = ['verde', 'amarillo', 'naranja', 'rojo'];
+
+// Nombres (`valueName`) de los parámetros propios de AEMET dentro de cada `info`.
+const PARAMETRO_NIVEL = 'AEMET-Meteoalerta nivel';
+const PARAMETRO_UMBRAL = 'AEMET-Meteoalerta parametro';
+const PARAMETRO_PROBABILIDAD = 'AEMET-Meteoalerta probabilidad';
+const CODIGO_FENOMENO = 'AEMET-Meteoalerta fenomeno';
+const CODIGO_ZONA = 'AEMET-Meteoalerta zona';
+
+const ENTIDADES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodificarEntidades = (texto) => texto.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entidad, nombre) => {
+  if (nombre[0] === '#') {
+    return String.fromCodePoint(nombre[1].toLowerCase() === 'x' ? parseInt(nombre.slice(2), 16) : parseInt(nombre.slice(1), 10));
+  }
+  return ENTIDADES[nombre] ?? entidad;
+});
+
+// El prefijo de espacio de nombres es opcional: AEMET usa el espacio por defecto, pero el formato CAP lo permite.
+const patronElemento = (nombre) => new RegExp(`<(?:[\\w-]+:)?${nombre}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${nombre}>`, 'g');
+
+/**
+ * Contenido (sin marcas) de todos los elementos `nombre` de un fragmento de XML.
+ * Basta con expresiones regulares porque los elementos de CAP que se leen no se anidan consigo mismos.
+ */
+const elementos = (xml, nombre) => [...xml.matchAll(patronElemento(nombre))].map(m => m[1]);
+
+const texto = (xml, nombre) => {
+  const [contenido] = elementos(xml, nombre);
+  if (contenido === undefined) return null;
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(contenido);
+  return (cdata ? cdata[1] : decodificarEntidades(contenido)).trim() || null;
+};
+
+/**
+ * Pares `valueName`/`value` de los elementos `nombre` (`parameter`, `eventCode` o `geocode`).
+ * @returns {Map<string, string>}
+ */
+const valoresNombrados = (xml, nombre) => new Map(elementos(xml, nombre).map(par => [texto(par, 'valueName'), texto(par, 'value')]));
+
+// Los valores de Meteoalerta van separados por ";" (ej: "AT;Temperaturas máximas;39 ºC").
+const partes = (valor) => (valor ?? '').split(';').map(p => p.trim());
+
+/**
+ * Decodifica un fichero XML con la codificación de su declaración (UTF-8 por defecto).
+ */
+function decodificarXml(contenido) {
+  const codificacion = /^<\?xml[^>]*encoding=["']([^"']+)["']/i.exec(contenido.toString('latin1', 0, 200))?.[1] ?? 'utf-8';
+  try {
+    return new TextDecoder(codificacion).decode(contenido);
+  } catch {
+    return new TextDecoder('utf-8').decode(contenido);
+  }
+}
+
+/**
+ * Convierte un mensaje CAP en registros, uno por cada zona de cada bloque `info`
+ * en castellano (AEMET repite cada aviso en inglés).
+ * @param {string} xml - El mensaje CAP.
+ * @returns {Array<Object>} Los registros; vacío si el XML no es un aviso CAP.
+ */
+export function parsearAvisoCap(xml) {
+  const [alerta] = elementos(xml, 'alert');
+  if (alerta === undefined) return [];
+
+  const identificador = texto(alerta, 'identifier');
+  // `references` es una lista de "emisor,identificador,enviado" separados por espacios.
+  const referencias = (texto(alerta, 'references') ?? '').split(/\s+/).filter(Boolean).map(r => r.split(',')[1]).filter(Boolean);
+  const infos = elementos(alerta, 'info');
+  const enCastellano = infos.filter(info => /^es/i.test(texto(info, 'language') ?? ''));
+
+  return (enCastellano.length > 0 ? enCastellano : infos.slice(0, 1)).flatMap(info => {
+    const parametros = valoresNombrados(info, 'parameter');
+    const [fenomenoCodigo, fenomeno] = partes(valoresNombrados(info, 'eventCode').get(CODIGO_FENOMENO));
+    const umbral = partes(parametros.get(PARAMETRO_UMBRAL)).slice(2).join('; ') || null;
+    const nivel = parametros.get(PARAMETRO_NIVEL)?.toLowerCase() ?? null;
+
+    return elementos(info, 'area').map(area => {
+      const zonaCodigo = valoresNombrados(area, 'geocode').get(CODIGO_ZONA) ?? null;
+      return {
+        identificador,
+        enviado: texto(alerta, 'sent'),
+        tipo_mensaje: texto(alerta, 'msgType'),
+        referencias: referencias.join(' ') || null,
+        fenomeno_codigo: fenomenoCodigo || null,
+        fenomeno: fenomeno || texto(info, 'event'),
+        nivel,
+        severidad: texto(info, 'severity'),
+        certeza: texto(info, 'certainty'),
+        probabilidad: parametros.get(PARAMETRO_PROBABILIDAD) ?? null,
+        umbral,
+        inicio: texto(info, 'onset') ?? texto(info, 'effective'),
+        fin: texto(info, 'expires'),
+        zona_codigo: zonaCodigo,
+        zona: texto(area, 'areaDesc'),
+        // Las zonas de Meteoalerta tienen 6 dígitos: comunidad autónoma (2), provincia INE (2) y zona (2).
+        provincia_codigo: zonaCodigo?.length >= 4 ? zonaCodigo.slice(2, 4) : null,
+        titular: texto(info, 'headline'),
+        descripcion: texto(info, 'description'),
+      };
+    });
+  });
+}
+
+/**
+ * Convierte los ficheros de un archivo de avisos de AEMET (ver `extraerFicherosTar`)
+ * en registros planos. Los ficheros que no son XML se ignoran.
+ * @param {Array<{nombre: string, contenido: Buffer}>} ficheros - Los ficheros del archivo.
+ * @returns {Array<Object>} Un registro por aviso y zona, ordenados por fecha de emisión.
+ */
+export function normalizarAvisosCap(ficheros) {
+  return ficheros
+    .filter(({ nombre }) => /\.xml$/i.test(nombre))
+    .flatMap(({ contenido }) => parsearAvisoCap(decodificarXml(contenido)))
+    .sort((a, b) => (Date.parse(a.enviado) || 0) - (Date.parse(b.enviado) || 0));
+}
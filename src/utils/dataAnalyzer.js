@@ -21,6 +21,17 @@ function safeFormat(date, formatString, metricName, groupData) {
 
 const round = (num) => (typeof num === 'number' ? parseFloat(num.toFixed(2)) : null);
 
+// Umbral de día de precipitación, el mismo que usa AEMET en sus resúmenes (np_001).
+const UMBRAL_DIA_PRECIPITACION = 0.1;
+
+// Contadores de días de precipitación de un registro. Los días "Ip" tienen prec 0 y
+// no cuentan como días de precipitación; los "Acum" no tienen valor y se cuentan aparte.
+const contarPrecipitacion = (record) => ({
+  dias_prec: record.prec !== null && record.prec >= UMBRAL_DIA_PRECIPITACION ? 1 : 0,
+  dias_prec_inapreciable: record.precCodigo === 'Ip' ? 1 : 0,
+  dias_prec_acumulada: record.precCodigo === 'Acum' ? 1 : 0,
+});
+
 function createIncrementalAnalyzer(groupByFn) {
   const state = new Map();
   
@@ -41,6 +52,7 @@ function createIncrementalAnalyzer(groupByFn) {
           sum_tmin: record.tmin ?? 0,
           sum_prec: record.prec ?? 0,
           sum_velmedia: record.velmedia ?? 0,
+          ...contarPrecipitacion(record),
           // Guardamos el objeto completo para los extremos.
           max_tmed: { value: record.tmed, date: record.date },
           max_tmax: { value: record.tmax, date: record.date },
@@ -61,6 +73,7 @@ function createIncrementalAnalyzer(groupByFn) {
         if (record.tmin !== null) groupState.sum_tmin += record.tmin;
         if (record.prec !== null) groupState.sum_prec += record.prec;
         if (record.velmedia !== null) groupState.sum_velmedia += record.velmedia;
+        for (const [contador, valor] of Object.entries(contarPrecipitacion(record))) groupState[contador] += valor;
         
         const candidate = {
           tmed: { value: record.tmed, date: record.date },
@@ -98,7 +111,12 @@ function createIncrementalAnalyzer(groupByFn) {
           avg_tmax: round(groupState.sum_tmax / groupState.count),
           avg_tmin: round(groupState.sum_tmin / groupState.count),
           avg_prec: round(groupState.sum_prec / groupState.count),
+          // Los días "Acum" no tienen valor: su precipitación va en la del día en que se midió.
+          total_prec: round(groupState.sum_prec),
           avg_velmedia: round(groupState.sum_velmedia / groupState.count),
+          dias_prec: groupState.dias_prec,
+          dias_prec_inapreciable: groupState.dias_prec_inapreciable,
+          dias_prec_acumulada: groupState.dias_prec_acumulada,
           
           max_tmed: groupState.max_tmed?.value ?? null, d_max_tmed: groupState.max_tmed?.date ? safeFormat(groupState.max_tmed.date, 'dd/MM/yyyy', 'max_tmed', groupState) : null,
       max_tmax: groupState.max_tmax?.value ?? null, d_max_tmax: groupState.max_tmax?.date ? safeFormat(groupState.max_tmax.date, 'dd/MM/yyyy', 'max_tmax', groupState) : null,
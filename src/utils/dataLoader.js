@@ -8,8 +8,13 @@ import fs from 'fs';
 import { parse } from 'csv-parse';
 import { parse as parseDate, isValid } from 'date-fns';
 
+// Cabeceras del CSV diario con valores numéricos (el resto, como las horas, se dejan como texto).
+const COLUMNAS_NUMERICAS = ['altitud', 'tmed', 'tmin', 'tmax', 'prec', 'vmed', 'dir', 'racha', 'sol', 'presMax', 'presMin', 'hrMedia', 'hrMax', 'hrMin'];
+
 const toNumber = (valor) => {
   if (typeof valor !== 'string' || valor.trim() === '') return null;
+  // Precipitación inapreciable en CSVs con los valores de AEMET sin normalizar (en los nuestros es 0 y el código va en prec_codigo).
+  if (valor.trim() === 'Ip') return 0;
   const valorNumerico = parseFloat(valor.replace(',', '.'));
   return isNaN(valorNumerico) ? null : valorNumerico;
 };
@@ -29,7 +34,7 @@ export function readAndProcessData(filePath) {
         delimiter: ',',
         trim: true,
         cast: (value, context) => {
-          if (['tmed', 'tmin', 'tmax', 'prec', 'vmed', 'racha'].includes(context.column)) {
+          if (COLUMNAS_NUMERICAS.includes(context.column)) {
             return toNumber(value);
           }
           return value;
@@ -4,6 +4,7 @@ import fs from 'fs';
 import path from 'path';
 
 import { parse as parseCsv } from 'csv-parse/sync';
+import { COLUMNAS_DIARIAS } from '../services/csvWriter.js';
 
 export function readData(filePath) {
   const fileContent = fs.readFileSync(filePath, 'utf-8');
@@ -14,9 +15,58 @@ export function readData(filePath) {
   return records;
 }
 
+/**
+ * Lee las filas (en texto, con las cabeceras como claves) del CSV diario que
+ * genera `crearStreamCSVDiario`. Si la última línea quedó a medias porque el
+ * proceso se interrumpió mientras escribía, se elimina también del fichero.
+ * @param {string} filePath - Ruta del CSV diario.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.reparar=true] - Con false, la línea a medias solo se descarta en memoria
+ * y el fichero no se toca (ej: para planificar una extracción sin modificar nada).
+ * @returns {Array<Object>} Las filas completas.
+ */
+export function leerFilasCSVDiario(filePath, { reparar = true } = {}) {
+  const fileContent = fs.readFileSync(filePath, 'utf-8');
+  const finUltimaLinea = fileContent.lastIndexOf('\n') + 1;
+  if (reparar && finUltimaLinea < fileContent.length) {
+    fs.truncateSync(filePath, Buffer.byteLength(fileContent.slice(0, finUltimaLinea)));
+  }
+  return parseCsv(fileContent.slice(0, finUltimaLinea), { columns: true, skip_empty_lines: true });
+}
+
+/**
+ * Lee la cabecera de un CSV.
+ * @param {string} filePath - Ruta del CSV.
+ * @returns {Array<string>} Los nombres de las columnas (vacío si el fichero está vacío).
+ */
+export function leerCabeceraCSV(filePath) {
+  const primeraLinea = fs.readFileSync(filePath, 'utf-8').split('\n', 1)[0];
+  return primeraLinea ? parseCsv(primeraLinea)[0] : [];
+}
+
+/**
+ * Convierte filas del CSV diario en registros normalizados, como los de `normalizarDatos`.
+ * @param {Array<Object>} filas - Filas devueltas por `leerFilasCSVDiario`.
+ */
+export function registrosDesdeFilasCSV(filas) {
+  const conClavesApi = filas.map(fila => Object.fromEntries(COLUMNAS_DIARIAS.map(({ key, header }) => [key, fila[header]])));
+  return normalizarDatos(conClavesApi, { direccionEnGrados: true });
+}
+
+// Partículas que van en minúscula en los nombres de lugar, salvo al principio
+// (ej: "Puerto de la Cruz", "Castell d'Aro", "Sant Carles de la Ràpita", "Ribadavia e Arnoia").
+const PARTICULAS = new Set(['de', 'del', 'la', 'las', 'los', 'el', 'y', 'e', 'i', 'd', 'l', 'da', 'das', 'do', 'dos']);
+
+/**
+ * Pasa un nombre de AEMET (en mayúsculas) a "Título" palabra a palabra, respetando
+ * los acentos, las partículas y lo que va tras un guion o un apóstrofo
+ * (ej: "L'HOSPITALET DE LLOBREGAT" → "L'Hospitalet de Llobregat", "VITORIA-GASTEIZ" → "Vitoria-Gasteiz").
+ */
 const toTitleCase = (texto) => {
   if (!texto) return '';
-  return texto.toLowerCase().split(' ').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join(' ');
+  return texto.toLowerCase().replace(/[\p{L}\p{N}]+/gu, (palabra, posicion) => (
+    posicion > 0 && PARTICULAS.has(palabra) ? palabra : palabra.charAt(0).toUpperCase() + palabra.slice(1)
+  ));
 };
 
 const toNumber = (valor) => {
@@ -25,6 +75,49 @@ const toNumber = (valor) => {
   return isNaN(valorNumerico) ? null : valorNumerico;
 };
 
+/**
+ * Normaliza una hora de AEMET a "HH:MM". AEMET usa "HH:MM" o solo la hora
+ * ("07") en las presiones; "Varias" (la extrema se repitió) se convierte en null.
+ */
+const toHora = (valor) => {
+  const match = typeof valor === 'string' ? /^(\d{1,2})(?::(\d{2}))?$/.exec(valor.trim()) : null;
+  if (!match) return null;
+  const [horas, minutos] = [Number(match[1]), Number(match[2] ?? 0)];
+  if (horas > 24 || minutos > 59) return null;
+  return `${String(horas).padStart(2, '0')}:${String(minutos).padStart(2, '0')}`;
+};
+
+/**
+ * Convierte la dirección de la racha de AEMET (decenas de grado) a grados. Los
+ * códigos 99 (dirección variable) y 88 (sin dato) se convierten en null.
+ */
+const toGrados = (valor) => {
+  const decenas = toNumber(valor);
+  return decenas === null || decenas === 99 || decenas === 88 ? null : decenas * 10;
+};
+
+// Códigos que AEMET pone en lugar de la precipitación, y el valor numérico que les corresponde.
+const CODIGOS_PRECIPITACION = {
+  Ip: 0, // Inapreciable (< 0,1 mm): el día cuenta como seco en los recuentos de días de lluvia.
+  Acum: null, // Se midió junto con la de otros días: no se conoce la del día.
+};
+
+/**
+ * Separa la precipitación de AEMET en su valor y su código especial. Con los
+ * registros del CSV diario el código ya viene aparte, en `precCodigo`.
+ * @returns {{prec: number|null, precCodigo: 'Ip'|'Acum'|null}}
+ */
+const toPrecipitacion = (valor, codigoGuardado) => {
+  const esCodigo = (texto) => typeof texto === 'string' && Object.hasOwn(CODIGOS_PRECIPITACION, texto.trim());
+  const codigo = esCodigo(valor) ? valor.trim() : esCodigo(codigoGuardado) ? codigoGuardado.trim() : null;
+  if (codigo) return { prec: CODIGOS_PRECIPITACION[codigo], precCodigo: codigo };
+  return { prec: toNumber(valor), precCodigo: null };
+};
+
+// Campos numéricos del endpoint diario que se guardan sin cambios de unidad.
+const CAMPOS_NUMERICOS_DIARIOS = ['altitud', 'tmed', 'tmin', 'tmax', 'velmedia', 'racha', 'sol', 'presMax', 'presMin', 'hrMedia', 'hrMax', 'hrMin'];
+const CAMPOS_HORA_DIARIOS = ['horatmin', 'horatmax', 'horaracha', 'horaPresMax', 'horaPresMin', 'horaHrMax', 'horaHrMin'];
+
 /**
  * Calcula la estación astronómica para una fecha dada en el hemisferio norte.
  * Las fechas de inicio de las estaciones pueden variar ligeramente cada año.
@@ -59,7 +152,17 @@ const getAstronomicalSeason = (date) => {
   return 'Invierno';
 };
 
-export function normalizarDatos(datosBrutos) {
+/**
+ * Normaliza los registros del endpoint de valores climatológicos diarios: los
+ * números pasan a `number`, las horas a "HH:MM" y la dirección de la racha a grados.
+ * Los códigos de precipitación "Ip" y "Acum" se guardan en `precCodigo` (ver `CODIGOS_PRECIPITACION`).
+ * @param {Array<Object>} datosBrutos - Registros de AEMET (o filas del CSV diario con las claves de la API).
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.direccionEnGrados=false] - `dir` ya viene en grados, como en el CSV diario.
+ * @returns {Array<Object>} Los registros con fecha válida, con su `date` y su `estacion` astronómica.
+ */
+export function normalizarDatos(datosBrutos, opciones = {}) {
+  const { direccionEnGrados = false } = opciones;
   return datosBrutos.map(r => {
     const date = parseDate(r.fecha, 'yyyy-MM-dd', new Date());
     return {
@@ -67,12 +170,11 @@ export function normalizarDatos(datosBrutos) {
       fecha: r.fecha,
       indicativo: r.indicativo,
       nombre: toTitleCase(r.nombre),
-      tmed: toNumber(r.tmed),
-      prec: toNumber(r.prec),
-      tmin: toNumber(r.tmin),
-      tmax: toNumber(r.tmax),
-      velmedia: toNumber(r.velmedia),
-      racha: toNumber(r.racha),
+      provincia: toTitleCase(r.provincia),
+      ...Object.fromEntries(CAMPOS_NUMERICOS_DIARIOS.map(campo => [campo, toNumber(r[campo])])),
+      ...toPrecipitacion(r.prec, r.precCodigo),
+      ...Object.fromEntries(CAMPOS_HORA_DIARIOS.map(campo => [campo, toHora(r[campo])])),
+      dir: direccionEnGrados ? toNumber(r.dir) : toGrados(r.dir),
     };
   })
   .filter(r => isValid(r.date))
@@ -82,4 +184,136 @@ export function normalizarDatos(datosBrutos) {
       estacion: getAstronomicalSeason(r.date)
     }
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Separa un valor de AEMET con el formato "valor(día)" (ej: "38.6(12)" o
+ * "22/17.2(11)" para las rachas, donde la primera parte es la dirección).
+ * @returns {{valor: number|null, dia: string|null}}
+ */
+const parsearValorConDia = (texto) => {
+  if (typeof texto !== 'string') return { valor: null, dia: null };
+  const match = /^(?:[^/]*\/)?([-\d.,]+)(?:\((.*)\))?$/.exec(texto.trim());
+  if (!match) return { valor: null, dia: null };
+  return { valor: toNumber(match[1]), dia: match[2] ?? null };
+};
+
+/**
+ * Normaliza los valores climatológicos mensuales/anuales oficiales de AEMET
+ * a los mismos nombres de campo que genera `dataAnalyzer.js`.
+ * @param {Array<Object>} datosBrutos - Registros devueltos por el endpoint `mensualesanuales`.
+ * @returns {{mensuales: Array<Object>, anuales: Array<Object>}} Registros con `fecha`
+ * "yyyy-MM" (mensuales) o "yyyy" (anuales), ordenados por fecha.
+ */
+export function normalizarValoresMensualesAnuales(datosBrutos) {
+  const mensuales = [];
+  const anuales = [];
+
+  for (const r of datosBrutos) {
+    const [anio, mes] = String(r.fecha ?? '').split('-');
+    if (!anio || !mes) continue;
+
+    const taMax = parsearValorConDia(r.ta_max);
+    const taMin = parsearValorConDia(r.ta_min);
+    const pMax = parsearValorConDia(r.p_max);
+    const racha = parsearValorConDia(r.w_racha);
+    const esAnual = mes === '13';
+
+    const registro = {
+      fecha: esAnual ? anio : `${anio}-${mes.padStart(2, '0')}`,
+      avg_tmed: toNumber(r.tm_mes),
+      avg_tmax: toNumber(r.tm_max),
+      avg_tmin: toNumber(r.tm_min),
+      max_tmax: taMax.valor, d_max_tmax: taMax.dia,
+      min_tmin: taMin.valor, d_min_tmin: taMin.dia,
+      max_prec: pMax.valor, d_max_prec: pMax.dia,
+      total_prec: toNumber(r.p_mes),
+      max_racha: racha.valor, d_max_racha: racha.dia,
+      dias_prec: toNumber(r.np_001),
+      horas_sol: toNumber(r.inso),
+      hr_media: toNumber(r.hr),
+    };
+    (esAnual ? anuales : mensuales).push(registro);
+  }
+
+  const porFecha = (a, b) => a.fecha.localeCompare(b.fecha);
+  return { mensuales: mensuales.sort(porFecha), anuales: anuales.sort(porFecha) };
+}
+
+/**
+ * Normaliza los valores normales de AEMET. Para cada variable se usa la media
+ * (sufijo `_md`) si existe y, si no, el valor sin sufijo.
+ * @param {Array<Object>} datosBrutos - Registros devueltos por el endpoint `normales`.
+ * @returns {Array<Object>} Un registro por mes (1-12) y el anual (13), ordenados por mes.
+ */
+export function normalizarNormales(datosBrutos) {
+  const leer = (r, campo) => toNumber(r[`${campo}_md`] ?? r[campo]);
+  return datosBrutos
+    .map(r => ({
+      mes: parseInt(r.mes, 10),
+      tmed: leer(r, 'tm_mes'),
+      tmax: leer(r, 'tm_max'),
+      tmin: leer(r, 'tm_min'),
+      prec: leer(r, 'p_mes'),
+    }))
+    .filter(r => r.mes >= 1 && r.mes <= 13)
+    .sort((a, b) => a.mes - b.mes);
+}
+
+/**
+ * Normaliza los valores extremos de temperatura y precipitación de AEMET.
+ * AEMET los expresa en décimas (de grado o de milímetro) y en arrays de 13
+ * posiciones: los 12 meses y el extremo absoluto anual.
+ * @param {Object} extremosT - Respuesta del endpoint `valoresextremos` con parámetro T.
+ * @param {Object} [extremosP] - Respuesta del endpoint `valoresextremos` con parámetro P.
+ * @returns {Array<Object>} Un registro por mes (1-12) y el anual (13).
+ */
+export function normalizarValoresExtremos(extremosT, extremosP = {}) {
+  const decimas = (valor) => {
+    const numero = toNumber(valor);
+    return numero === null ? null : numero / 10;
+  };
+  const fecha = (anios, dias, i, mes) => {
+    const anio = anios?.[i];
+    const dia = dias?.[i];
+    if (!anio || !dia || mes > 12) return anio ?? null;
+    return `${anio}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+  };
+
+  const registros = [];
+  for (let i = 0; i < 13; i++) {
+    const mes = i + 1;
+    registros.push({
+      mes,
+      tmax_record: decimas(extremosT?.temMax?.[i]),
+      fecha_tmax_record: fecha(extremosT?.anioMax, extremosT?.diaMax, i, mes),
+      tmin_record: decimas(extremosT?.temMin?.[i]),
+      fecha_tmin_record: fecha(extremosT?.anioMin, extremosT?.diaMin, i, mes),
+      prec_record: decimas(extremosP?.precMaxDia?.[i]),
+      fecha_prec_record: fecha(extremosP?.anioMaxDia, extremosP?.diaMaxDia, i, mes),
+    });
+  }
+  return registros;
+}
+
+// Campos numéricos de las observaciones convencionales que se conservan.
+const CAMPOS_OBSERVACION = ['alt', 'ta', 'tamax', 'tamin', 'hr', 'prec', 'vv', 'vmax', 'dv', 'dmax', 'pres', 'pres_nmar', 'tpr', 'ts', 'vis', 'inso'];
+
+/**
+ * Normaliza las observaciones convencionales (horarias) de AEMET.
+ * A diferencia de los datos diarios, aquí los valores ya llegan como números.
+ * @param {Array<Object>} datosBrutos - Registros devueltos por el endpoint `observacion/convencional`.
+ * @returns {Array<Object>} Observaciones con `fint` (UTC), `idema`, `ubi` y los campos numéricos.
+ */
+export function normalizarObservaciones(datosBrutos) {
+  return datosBrutos
+    .filter(r => r.fint && r.idema)
+    .map(r => {
+      const observacion = { fint: r.fint, idema: r.idema, ubi: toTitleCase(r.ubi) };
+      for (const campo of CAMPOS_OBSERVACION) {
+        const valor = r[campo];
+        observacion[campo] = typeof valor === 'number' ? valor : toNumber(valor);
+      }
+      return observacion;
+    });
+}
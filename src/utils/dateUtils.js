@@ -1,5 +1,5 @@
 // utils/dateUtils.js
-import { min, addMonths, addDays, isBefore, subDays, format } from 'date-fns';
+import { min, addMonths, addDays, isBefore, subDays, format, parse, differenceInCalendarDays } from 'date-fns';
 
 /**
  * Genera rangos de fechas de máximo 6 meses.
@@ -18,6 +18,29 @@ export function generarRangosDePeticion(fechaInicioTotal, fechaFinTotal) {
   return rangos;
 }
 
+/**
+ * Genera rangos de años de como máximo `maxAnios` años (ambos extremos incluidos).
+ * Se usa para los endpoints que limitan la petición a un número de años, como
+ * los valores mensuales/anuales (36 meses).
+ */
+export function generarRangosAnuales(anioInicio, anioFin, maxAnios = 3) {
+  const rangos = [];
+  for (let anio = anioInicio; anio <= anioFin; anio += maxAnios) {
+    rangos.push({ start: anio, end: Math.min(anio + maxAnios - 1, anioFin) });
+  }
+  return rangos;
+}
+
+/**
+ * Interpreta una fecha escrita por el usuario en formato ISO (YYYY-MM-DD) o DD/MM/YYYY.
+ * @param {string} texto - La fecha.
+ * @returns {Date} La fecha, que no será válida (ver `isValid`) si no tiene ninguno de los dos formatos.
+ */
+export function parsearFecha(texto) {
+  const limpio = texto.trim();
+  return parse(limpio, /^\d{4}-\d{2}-\d{2}$/.test(limpio) ? 'yyyy-MM-dd' : 'dd/MM/yyyy', new Date());
+}
+
 /**
  * Formatea un rango de fechas para mostrarlo al usuario de forma legible.
  */
@@ -26,4 +49,31 @@ export function formatDisplayDateRange(start, end) {
     // Se resta un día para que el rango sea más intuitivo (ej: 01/01 a 31/01)
     const fechaFinDisplay = format(subDays(end, 1), 'dd/MM/yyyy');
     return `${fechaInicioDisplay} a ${fechaFinDisplay}`;
-}
\ No newline at end of file
+}
+
+/**
+ * Agrupa una lista de días en intervalos de días consecutivos.
+ * @param {Array<Date>} dias - Días, en cualquier orden.
+ * @returns {Array<{start: Date, end: Date}>} Intervalos ordenados, con ambos extremos incluidos.
+ */
+export function agruparDiasConsecutivos(dias) {
+  const ordenados = [...dias].sort((a, b) => a - b);
+  const intervalos = [];
+  for (const dia of ordenados) {
+    const ultimo = intervalos[intervalos.length - 1];
+    if (ultimo && differenceInCalendarDays(dia, ultimo.end) <= 1) {
+      ultimo.end = dia;
+    } else {
+      intervalos.push({ start: dia, end: dia });
+    }
+  }
+  return intervalos;
+}
+
+/**
+ * Formatea un intervalo de días con ambos extremos incluidos (ej: los de `agruparDiasConsecutivos`).
+ */
+export function formatDisplayDays(start, end) {
+  const inicio = format(start, 'dd/MM/yyyy');
+  return differenceInCalendarDays(end, start) === 0 ? inicio : `${inicio} a ${format(end, 'dd/MM/yyyy')}`;
+}
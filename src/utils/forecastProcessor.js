@@ -0,0 +1,133 @@
+/**
+ * utils/forecastProcessor.js
+ *
+ * Responsabilidad: Aplanar las predicciones por municipio de AEMET, que llegan
+ * anidadas por día y por período, en registros con los mismos nombres de campo
+ * que `normalizarDatos` (tmax, tmin, tmed, prec, velmedia, racha, etc.) para
+ * poder mostrarlas junto a los datos climatológicos.
+ */
+import { parse as parseDate, isValid, format } from 'date-fns';
+
+const PERIODO_DIA_COMPLETO = '00-24';
+
+const toNumber = (valor) => {
+  if (typeof valor === 'number') return valor;
+  if (typeof valor !== 'string' || valor.trim() === '') return null;
+  const valorNumerico = parseFloat(valor.replace(',', '.'));
+  return isNaN(valorNumerico) ? null : valorNumerico;
+};
+
+// Las predicciones expresan el viento en km/h; los datos climatológicos, en m/s.
+const kmhAMs = (valor) => {
+  const numero = toNumber(valor);
+  return numero === null ? null : parseFloat((numero / 3.6).toFixed(1));
+};
+
+// Las predicciones dan la dirección del viento como punto cardinal y los datos
+// climatológicos en grados, con el norte como 360 (ver `normalizarDatos`). La
+// calma ("C") no tiene dirección.
+const GRADOS_POR_PUNTO_CARDINAL = { N: 360, NE: 45, E: 90, SE: 135, S: 180, SO: 225, O: 270, NO: 315 };
+const cardinalAGrados = (valor) => (typeof valor === 'string' ? GRADOS_POR_PUNTO_CARDINAL[valor.trim().toUpperCase()] ?? null : null);
+
+/**
+ * Devuelve el elemento del período de día completo ("00-24") o, si la
+ * predicción no lo incluye (días lejanos), el primero disponible.
+ */
+const periodoDiaCompleto = (lista) => lista?.find(p => p.periodo === PERIODO_DIA_COMPLETO || !p.periodo) ?? lista?.[0];
+
+const maximo = (valores) => {
+  const numeros = valores.filter(v => v !== null);
+  return numeros.length > 0 ? Math.max(...numeros) : null;
+};
+
+const fechaDePrediccion = (dia) => parseDate(dia.fecha.slice(0, 10), 'yyyy-MM-dd', new Date());
+
+/**
+ * Aplana la predicción diaria de un municipio: un registro por día.
+ * @param {Array<Object>} respuesta - Respuesta de `obtenerPrediccionDiaria`.
+ * @returns {Array<Object>} Registros diarios ordenados por fecha.
+ */
+export function normalizarPrediccionDiaria(respuesta) {
+  const [prediccion] = respuesta;
+  if (!prediccion?.prediccion?.dia) return [];
+
+  return prediccion.prediccion.dia.map(dia => {
+    const date = fechaDePrediccion(dia);
+    const tmax = toNumber(dia.temperatura?.maxima);
+    const tmin = toNumber(dia.temperatura?.minima);
+    const viento = periodoDiaCompleto(dia.viento);
+
+    return {
+      date,
+      fecha: isValid(date) ? format(date, 'yyyy-MM-dd') : null,
+      municipio: String(prediccion.id ?? ''),
+      nombre: prediccion.nombre,
+      provincia: prediccion.provincia,
+      elaborado: prediccion.elaborado,
+      // Como en los datos climatológicos de AEMET, tmed es la media de tmax y tmin.
+      tmed: tmax !== null && tmin !== null ? parseFloat(((tmax + tmin) / 2).toFixed(1)) : null,
+      tmin,
+      tmax,
+      prob_prec: toNumber(periodoDiaCompleto(dia.probPrecipitacion)?.value),
+      velmedia: kmhAMs(viento?.velocidad),
+      dir: cardinalAGrados(viento?.direccion),
+      racha: kmhAMs(maximo((dia.rachaMax ?? []).map(r => toNumber(r.value)))),
+      hrMax: toNumber(dia.humedadRelativa?.maxima),
+      hrMin: toNumber(dia.humedadRelativa?.minima),
+      uvMax: toNumber(dia.uvMax),
+      estado_cielo: periodoDiaCompleto(dia.estadoCielo)?.descripcion || null,
+    };
+  }).filter(r => isValid(r.date));
+}
+
+/**
+ * Aplana la predicción horaria de un municipio: un registro por hora.
+ * @param {Array<Object>} respuesta - Respuesta de `obtenerPrediccionHoraria`.
+ * @returns {Array<Object>} Registros horarios ordenados por fecha y hora.
+ */
+export function normalizarPrediccionHoraria(respuesta) {
+  const [prediccion] = respuesta;
+  if (!prediccion?.prediccion?.dia) return [];
+
+  const registros = [];
+  for (const dia of prediccion.prediccion.dia) {
+    const fechaDia = fechaDePrediccion(dia);
+    if (!isValid(fechaDia)) continue;
+
+    const porHora = (lista) => new Map((lista ?? []).map(p => [p.periodo, p]));
+    const temperatura = porHora(dia.temperatura);
+    const precipitacion = porHora(dia.precipitacion);
+    const humedad = porHora(dia.humedadRelativa);
+    const sensacion = porHora(dia.sensTermica);
+    const cielo = porHora(dia.estadoCielo);
+    // `vientoAndRachaMax` mezcla objetos de viento ({direccion, velocidad}) y de racha ({value}).
+    const viento = porHora((dia.vientoAndRachaMax ?? []).filter(v => v.velocidad !== undefined));
+    const racha = porHora((dia.vientoAndRachaMax ?? []).filter(v => v.value !== undefined));
+
+    for (const hora of [...temperatura.keys()].sort()) {
+      const date = new Date(fechaDia);
+      date.setHours(parseInt(hora, 10));
+      const vientoHora = viento.get(hora);
+
+      registros.push({
+        date,
+        fecha: format(fechaDia, 'yyyy-MM-dd'),
+        hora: `${hora.padStart(2, '0')}:00`,
+        municipio: String(prediccion.id ?? ''),
+        nombre: prediccion.nombre,
+        provincia: prediccion.provincia,
+        elaborado: prediccion.elaborado,
+        ta: toNumber(temperatura.get(hora)?.value),
+        sens_termica: toNumber(sensacion.get(hora)?.value),
+        prec: toNumber(precipitacion.get(hora)?.value),
+        hr: toNumber(humedad.get(hora)?.value),
+        velmedia: kmhAMs(vientoHora?.velocidad?.[0]),
+        dir: cardinalAGrados(vientoHora?.direccion?.[0]),
+        racha: kmhAMs(racha.get(hora)?.value),
+        estado_cielo: cielo.get(hora)?.descripcion || null,
+      });
+    }
+  }
+
+  return registros.sort((a, b) => a.date - b.date);
+}
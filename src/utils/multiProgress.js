@@ -0,0 +1,120 @@
+// utils/multiProgress.js
+
+import { stripVTControlCharacters } from 'node:util';
+import { CONSOLE_COLORS as colors } from '../config.js';
+import { logger } from './consoleLogger.js';
+
+const FOTOGRAMAS = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const INTERVALO_MS = 100;
+
+const longitudVisible = (texto) => stripVTControlCharacters(texto).length;
+
+/**
+ * Crea una vista de progreso con una línea por tarea, para seguir varias
+ * estaciones a la vez en lugar del spinner único de `consoleLogger.js`.
+ * Los mensajes permanentes (info, avisos, errores) se imprimen encima de las
+ * líneas, con el identificador de la tarea delante.
+ *
+ * Si la salida no es una terminal, no se repinta nada: solo se imprimen los
+ * mensajes permanentes y el final de cada tarea.
+ * @param {Object} [opciones]
+ * @param {() => string} [opciones.pie] - Texto que se muestra bajo las líneas y se recalcula en cada repintado.
+ * @param {NodeJS.WriteStream} [opciones.salida=process.stdout] - Flujo donde se escribe.
+ * @returns {{crearLinea: (id: string) => Object, detener: () => void}}
+ */
+export function crearProgresoMultiple(opciones = {}) {
+  const { pie = null, salida = process.stdout } = opciones;
+  const esTerminal = Boolean(salida.isTTY);
+  const lineas = new Map();
+  let filasPintadas = 0;
+  let fotograma = 0;
+  let temporizador = null;
+
+  function borrar() {
+    if (!esTerminal || filasPintadas === 0) return;
+    salida.write(`\x1b[${filasPintadas}A\x1b[0J`);
+    filasPintadas = 0;
+  }
+
+  function pintar() {
+    if (!esTerminal) return;
+    borrar();
+    const filas = [...lineas.entries()].map(([id, linea]) => {
+      const simbolo = { activa: colors.cyan + FOTOGRAMAS[fotograma] + colors.reset, ok: '✅', error: '❌' }[linea.estado];
+      return `${simbolo} ${logger.highlight(id.padEnd(6))} ${linea.texto}${linea.aviso}`;
+    });
+    if (pie) filas.push(pie());
+    if (filas.length === 0) return;
+    const ancho = salida.columns || 80;
+    salida.write(`${filas.join('\n')}\n`);
+    filasPintadas = filas.reduce((total, fila) => total + Math.max(1, Math.ceil(longitudVisible(fila) / ancho)), 0);
+  }
+
+  function imprimir(texto) {
+    borrar();
+    salida.write(`${texto}\n`);
+    pintar();
+  }
+
+  if (esTerminal) {
+    temporizador = setInterval(() => {
+      fotograma = (fotograma + 1) % FOTOGRAMAS.length;
+      pintar();
+    }, INTERVALO_MS);
+  }
+
+  return {
+    /**
+     * Añade una línea y devuelve un objeto con la misma interfaz que `logger`,
+     * que se puede pasar como `progreso` a `procesarEstacion`.
+     * @param {string} id - Identificador de la tarea (ej: el indicativo de la estación).
+     */
+    crearLinea(id) {
+      const linea = { estado: 'activa', texto: 'En espera...', aviso: '' };
+      lineas.set(id, linea);
+      const prefijo = `[${logger.highlight(id)}]`;
+      const aviso = (color, texto) => (texto ? ` ${color}| ${texto}${colors.reset}` : '');
+
+      return {
+        // Indica a `procesarEstacion` que no imprima la cabecera de la estación.
+        compacto: true,
+        start: (texto) => Object.assign(linea, { estado: 'activa', texto, aviso: '' }),
+        setText: (texto) => { linea.texto = texto; },
+        setWarning: (texto) => { linea.aviso = aviso(colors.yellow, texto); },
+        setError: (texto) => { linea.aviso = aviso(colors.red, texto); },
+        fail: (texto) => { linea.aviso = aviso(colors.red, texto); },
+        // Los pasos completados sustituyen a la línea en vez de acumularse en pantalla.
+        succeed: (texto) => Object.assign(linea, { estado: 'ok', texto: texto ?? linea.texto, aviso: '' }),
+        failAndStop: (texto) => {
+          Object.assign(linea, { estado: 'error', texto, aviso: '' });
+          imprimir(`❌ ${prefijo} ${colors.red}${texto}${colors.reset}`);
+        },
+        info: (texto) => imprimir(`ℹ ${prefijo} ${texto}`),
+        warn: (texto) => imprimir(`⚠ ${prefijo} ${colors.yellow}${texto}${colors.reset}`),
+        log: (texto) => imprimir(texto.split('\n').map(fila => (fila.trim() ? `${prefijo} ${fila}` : fila)).join('\n')),
+        /**
+         * Marca la tarea como terminada. Fuera de una terminal es lo único que se imprime de la línea.
+         * @param {boolean} exito - Si la tarea terminó sin errores.
+         * @param {string} texto - Texto final de la línea.
+         */
+        finalizar: (exito, texto) => {
+          Object.assign(linea, { estado: exito ? 'ok' : 'error', texto, aviso: '' });
+          if (!esTerminal) imprimir(`${exito ? '✅' : '❌'} ${prefijo} ${texto}`);
+        },
+        query: logger.query,
+        highlight: logger.highlight,
+        magentaBold: logger.magentaBold,
+      };
+    },
+
+    /**
+     * Para el repintado y deja en pantalla el estado final de todas las líneas.
+     */
+    detener() {
+      if (temporizador) clearInterval(temporizador);
+      temporizador = null;
+      pintar();
+      filasPintadas = 0;
+    },
+  };
+}
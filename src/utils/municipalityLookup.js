@@ -0,0 +1,53 @@
+// utils/municipalityLookup.js
+import { MUNICIPIOS } from '../data/municipios.js';
+import { PROVINCIAS } from '../data/provincias.js';
+import { normalizarTexto } from './textUtils.js';
+
+// Un municipio puede tener varios nombres oficiales separados por "/" (ej: "Alicante/Alacant").
+const nombresDe = (municipio) => municipio.nombre.split('/').map(normalizarTexto);
+
+const MAX_COINCIDENCIAS = 10;
+
+// Hay nombres que se repiten en varias provincias (ej: "Castejón"): se listan con la provincia para elegir el código.
+function errorAmbiguo(texto, coincidencias) {
+  const opciones = coincidencias.slice(0, MAX_COINCIDENCIAS).map(m => `${m.nombre} (${m.provincia}, ${m.codigo})`).join(', ');
+  const resto = coincidencias.length > MAX_COINCIDENCIAS ? ` y ${coincidencias.length - MAX_COINCIDENCIAS} más` : '';
+  return new Error(`El municipio "${texto}" es ambiguo. Coincidencias: ${opciones}${resto}. Usa su código INE de 5 dígitos.`);
+}
+
+/**
+ * Resuelve un nombre de municipio (o un código INE) a su código INE usando la
+ * tabla offline de `data/municipios.js`.
+ * @param {string} texto - Nombre del municipio o código INE de 5 dígitos.
+ * @returns {{nombre: string, provincia: string|null, codigo: string}} El municipio encontrado.
+ * @throws {Error} Si no hay coincidencias o si el nombre es ambiguo.
+ */
+export function resolverMunicipio(texto) {
+  if (/^\d{5}$/.test(texto.trim())) {
+    const codigo = texto.trim();
+    return MUNICIPIOS.find(m => m.codigo === codigo) ?? { nombre: codigo, provincia: null, codigo };
+  }
+
+  const buscado = normalizarTexto(texto);
+  const exactos = MUNICIPIOS.filter(m => nombresDe(m).includes(buscado));
+  if (exactos.length === 1) return exactos[0];
+  if (exactos.length > 1) throw errorAmbiguo(texto, exactos);
+
+  const parciales = MUNICIPIOS.filter(m => nombresDe(m).some(n => n.includes(buscado)));
+  if (parciales.length === 1) return parciales[0];
+  if (parciales.length > 1) throw errorAmbiguo(texto, parciales);
+  throw new Error(`No se encontró el municipio "${texto}" en la tabla local. Usa directamente su código INE de 5 dígitos.`);
+}
+
+/**
+ * Resuelve el nombre de una provincia (como lo escribe AEMET en los datos
+ * climatológicos, ej: "STA. CRUZ DE TENERIFE") o su código INE usando la tabla
+ * offline de `data/provincias.js`.
+ * @param {string} texto - Nombre de la provincia o código INE de 2 dígitos.
+ * @returns {{codigo: string, nombre: string, area: string}|null} La provincia, o null si no se reconoce.
+ */
+export function resolverProvincia(texto) {
+  const buscado = normalizarTexto(texto);
+  if (/^\d{1,2}$/.test(buscado)) return PROVINCIAS.find(p => p.codigo === buscado.padStart(2, '0')) ?? null;
+  return PROVINCIAS.find(p => [p.nombre, ...p.nombre.split('/'), ...p.alias].map(normalizarTexto).includes(buscado)) ?? null;
+}
@@ -0,0 +1,71 @@
+/**
+ * utils/schemaValidator.js
+ *
+ * Responsabilidad: Contrastar los campos que recibimos de AEMET y las columnas
+ * que escribimos con los metadatos oficiales del endpoint, para detectar a
+ * tiempo cambios en la API y documentar las unidades de cada columna.
+ */
+
+/**
+ * Compara los campos documentados en los metadatos con los recibidos y con los
+ * que usamos en el CSV.
+ * @param {Object} metadatos - Metadatos del endpoint (con la lista `campos`).
+ * @param {Set<string>} camposRecibidos - Campos presentes en los registros descargados.
+ * @param {Array<{key: string, derivada?: boolean}>} columnas - Columnas del CSV (ver `COLUMNAS_DIARIAS`).
+ * Las derivadas no se buscan en los metadatos.
+ * @returns {Array<string>} Avisos en lenguaje natural; vacío si todo cuadra.
+ */
+export function validarCampos(metadatos, camposRecibidos, columnas) {
+  const documentados = new Set((metadatos?.campos ?? []).map(c => c.id));
+  if (documentados.size === 0) return ['Los metadatos de AEMET no incluyen la lista de campos.'];
+
+  const usados = new Set(columnas.filter(c => !c.derivada).map(c => c.key));
+  const avisos = [];
+
+  for (const campo of usados) {
+    if (!documentados.has(campo)) {
+      avisos.push(`La columna "${campo}" ya no aparece en los metadatos de AEMET (¿eliminada o renombrada?).`);
+    }
+  }
+  for (const campo of camposRecibidos) {
+    if (!documentados.has(campo)) {
+      avisos.push(`AEMET envía el campo "${campo}", que no está documentado en sus metadatos.`);
+    }
+  }
+  const noGuardados = [...documentados].filter(campo => !usados.has(campo) && camposRecibidos.has(campo));
+  if (noGuardados.length > 0) {
+    avisos.push(`AEMET envía campos que no se guardan en el CSV: ${noGuardados.join(', ')}.`);
+  }
+  for (const campo of metadatos.campos.filter(c => c.requerido && !camposRecibidos.has(c.id))) {
+    avisos.push(`El campo obligatorio "${campo.id}" no aparece en los datos recibidos.`);
+  }
+
+  return avisos;
+}
+
+/**
+ * Construye el esquema de un CSV a partir de sus columnas y de los metadatos
+ * del endpoint del que proceden.
+ * @param {Object|null} metadatos - Metadatos del endpoint.
+ * @param {Array<{key: string, header: string, descripcion?: string, tipo?: string, unidad?: string}>} columnas - Columnas
+ * del CSV. Su `descripcion`, su `tipo` y su `unidad`, si los tienen, prevalecen sobre los de los metadatos.
+ * @returns {Object} El esquema, con la descripción, el tipo y la unidad de cada columna.
+ */
+export function construirEsquema(metadatos, columnas) {
+  const porId = new Map((metadatos?.campos ?? []).map(c => [c.id, c]));
+  return {
+    fuente: metadatos?.descripcion ?? null,
+    unidad_generadora: metadatos?.unidad_generadora ?? null,
+    copyright: metadatos?.copyright ?? null,
+    columnas: columnas.map(({ key, header, derivada, descripcion, tipo, unidad }) => {
+      const campo = porId.get(key);
+      return {
+        columna: header,
+        campo_aemet: derivada ? null : key,
+        descripcion: descripcion ?? campo?.descripcion ?? null,
+        tipo: tipo ?? campo?.tipo_datos ?? null,
+        unidad: unidad ?? campo?.unidad ?? null,
+      };
+    }),
+  };
+}
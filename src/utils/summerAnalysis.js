@@ -8,6 +8,7 @@ import _ from 'lodash-es';
 import { calculateThresholds } from './analysis/thresholds.js';
 import { calculateLongerSummer } from './analysis/longerSummer.js';
 import { calculateHeatwaveMetrics } from './analysis/heatwaves.js';
+import { calcularReferenciaVerano, calcularComparacionRecords, ETIQUETA_NORMALES } from './analysis/summerReference.js';
 
 const robustMean = (records, column) => {
   const validValues = records
@@ -29,10 +30,14 @@ const filterSummerRecords = (allRecords) => {
 
 /**
  * Orquesta todos los análisis.
+ * Las desviaciones y los días que superan la media se calculan respecto a las
+ * normales oficiales de AEMET si se proporcionan y, si no, respecto a la media
+ * del período presente en los datos.
  * @param {Array<Object>} allRecords - Array con TODOS los registros del año.
+ * @param {Object|null} [referencias] - Referencias oficiales (ver services/climateReferences.js).
  * @returns {Object} Un objeto que contiene todos los resultados del análisis.
  */
-export function analyzeSummerData(allRecords) {
+export function analyzeSummerData(allRecords, referencias = null) {
   const summerRecords = filterSummerRecords(allRecords);
   if (summerRecords.length === 0) {
     throw new Error('No se encontraron datos de verano en el período especificado.');
@@ -49,6 +54,18 @@ export function analyzeSummerData(allRecords) {
     promedio_tmin: avgPeriodoTmin.toFixed(2),
   };
 
+  // Valores de referencia para desviaciones y días superados
+  const normalVerano = referencias?.normales ? calcularReferenciaVerano(referencias.normales) : null;
+  const usaNormales = normalVerano !== null && normalVerano.tmed !== null && normalVerano.tmax !== null && normalVerano.tmin !== null;
+  const refTmed = usaNormales ? normalVerano.tmed : avgPeriodoTmed;
+  const refTmax = usaNormales ? normalVerano.tmax : avgPeriodoTmax;
+  const refTmin = usaNormales ? normalVerano.tmin : avgPeriodoTmin;
+  const referencia = usaNormales ? ETIQUETA_NORMALES : 'Media del período';
+  promediosPeriodo.referencia = referencia;
+  promediosPeriodo.referencia_tmed = refTmed.toFixed(2);
+  promediosPeriodo.referencia_tmax = refTmax.toFixed(2);
+  promediosPeriodo.referencia_tmin = refTmin.toFixed(2);
+
   // --- 2. Análisis Anuales (sobre datos de verano) ---
   const summerByYear = _.groupBy(summerRecords, record => getYear(record.date));
   const promediosAnuales = [];
@@ -77,8 +94,8 @@ export function analyzeSummerData(allRecords) {
       max_tmin: maxYearTmin,
     });
 
-    desviacionesAnual.push({ 'año': year, 'desv_tmed': (avgYearTmed - avgPeriodoTmed).toFixed(2), 'desv_tmax': (avgYearTmax - avgPeriodoTmax).toFixed(2), 'desv_tmin': (avgYearTmin - avgPeriodoTmin).toFixed(2) });
-    diasSuperadosAnual.push({ 'año': year, 'dias_tmed_superada': yearRecords.filter(r => r.tmed > avgPeriodoTmed).length, 'dias_tmax_superada': yearRecords.filter(r => r.tmax > avgPeriodoTmax).length, 'dias_tmin_superada': yearRecords.filter(r => r.tmin > avgPeriodoTmin).length });
+    desviacionesAnual.push({ 'año': year, 'desv_tmed': (avgYearTmed - refTmed).toFixed(2), 'desv_tmax': (avgYearTmax - refTmax).toFixed(2), 'desv_tmin': (avgYearTmin - refTmin).toFixed(2) });
+    diasSuperadosAnual.push({ 'año': year, 'dias_tmed_superada': yearRecords.filter(r => r.tmed > refTmed).length, 'dias_tmax_superada': yearRecords.filter(r => r.tmax > refTmax).length, 'dias_tmin_superada': yearRecords.filter(r => r.tmin > refTmin).length });
     
     const { nochesTropicales, diasDeHorno } = calculateThresholds(yearRecords);
     umbralesAnual.push({ 'año': year, 'noches_tropicales': nochesTropicales, 'dias_de_horno_40c': diasDeHorno });
@@ -87,6 +104,7 @@ export function analyzeSummerData(allRecords) {
   // --- 3. Análisis de Olas de Calor y Duración de Verano ---
   const olasCalorAnual = calculateHeatwaveMetrics(summerRecords);
   const duracionVeranoAnual = calculateLongerSummer(allRecords);
+  const recordsAnual = referencias?.extremos ? calcularComparacionRecords(summerRecords, referencias.extremos) : [];
 
   // --- 4. Análisis por Décadas ---
   const getDecade = (year) => `${Math.floor(year / 10) * 10}s`;
@@ -122,6 +140,7 @@ export function analyzeSummerData(allRecords) {
 
   // --- 5. Construir y devolver el objeto de resultados (SSoT) ---
   return {
+    referencia,
     promediosPeriodo: [promediosPeriodo],
     analisisAnual: {
       promedios: promediosAnuales,
@@ -130,6 +149,7 @@ export function analyzeSummerData(allRecords) {
       umbrales: umbralesAnual,
       duracionVerano: duracionVeranoAnual,
       olasDeCalor: olasCalorAnual,
+      records: recordsAnual,
     },
     analisisDecadas: {
       desviaciones: desviacionesDecadas,
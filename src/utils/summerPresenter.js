@@ -41,14 +41,14 @@ export function presentSummerResults(results, stationId) {
   writeCsv(path.join(analysisDir, `promedios_periodo_${stationId}.csv`), results.promediosPeriodo);
 
   // --- Análisis Anual ---
-  console.log('\n--- 📈 Desviación Anual vs. Media del Período ---');
+  console.log(`\n--- 📈 Desviación Anual vs. ${results.referencia} ---`);
   console.log(createFormattedTable(results.analisisAnual.desviaciones,
     { desv_tmed: { type: 'deviation' }, desv_tmax: { type: 'deviation' }, desv_tmin: { type: 'deviation' } },
     { center: true }
   ));
   writeCsv(path.join(analysisDir, `desviaciones_${stationId}.csv`), results.analisisAnual.desviaciones);
 
-  console.log('\n--- 🔥 Días por Año que Superan la Media del Período ---');
+  console.log(`\n--- 🔥 Días por Año que Superan la Referencia (${results.referencia}) ---`);
   console.log(createFormattedTable(results.analisisAnual.diasSuperados,
     { dias_tmed_superada: { type: 'gradient', decimals: 0 }, dias_tmax_superada: { type: 'gradient', decimals: 0 }, dias_tmin_superada: { type: 'gradient', decimals: 0 } },
     { center: true }
@@ -76,6 +76,15 @@ export function presentSummerResults(results, stationId) {
   ));
   writeCsv(path.join(analysisDir, `olas_calor_${stationId}.csv`), results.analisisAnual.olasDeCalor);
 
+  if (results.analisisAnual.records.length > 0) {
+    console.log('\n--- 🏆 Días que Igualan o Superan los Récords Mensuales Oficiales ---');
+    console.log(createFormattedTable(results.analisisAnual.records,
+      { max_tmax: { type: 'gradient', decimals: 1 }, dias_record_tmax: { type: 'gradient', decimals: 0 }, dias_record_tmin: { type: 'gradient', decimals: 0 } },
+      { center: true }
+    ));
+    writeCsv(path.join(analysisDir, `records_${stationId}.csv`), results.analisisAnual.records);
+  }
+
   // --- Tabla de Resumen Anual ---
   console.log('\n--- 📋 Resumen Anual de Temperaturas ---');
   // La propiedad 'año' ya viene correctamente desde el análisis
@@ -97,21 +106,21 @@ export function presentSummerResults(results, stationId) {
 
 
   // --- Análisis por Décadas ---
-  console.log('\n--- 📈 Desviación Media por Década vs. Media del Período ---');
+  console.log(`\n--- 📈 Desviación Media por Década vs. ${results.referencia} ---`);
   console.log(createFormattedTable(results.analisisDecadas.desviaciones,
     { desv_tmed_promedio: { type: 'deviation' }, desv_tmax_promedio: { type: 'deviation' }, desv_tmin_promedio: { type: 'deviation' } },
     { center: true }
   ));
   writeCsv(path.join(analysisDir, `decadas_desviaciones_${stationId}.csv`), results.analisisDecadas.desviaciones);
 
-  console.log('\n--- 🔥 Promedio de Días/Año Superando la Media (por Década) ---');
+  console.log('\n--- 🔥 Promedio de Días/Año Superando la Referencia (por Década) ---');
   console.log(createFormattedTable(results.analisisDecadas.diasSuperados,
     { dias_tmed_superada_promedio: { type: 'gradient', decimals: 1 }, dias_tmax_superada_promedio: { type: 'gradient', decimals: 1 }, dias_tmin_superada_promedio: { type: 'gradient', decimals: 1 } },
     { center: true }
   ));
   writeCsv(path.join(analysisDir, `decadas_dias_superados_${stationId}_promedio.csv`), results.analisisDecadas.diasSuperados);
 
-  console.log('\n--- 🔥 Total de Días/Año Superando la Media (por Década) ---');
+  console.log('\n--- 🔥 Total de Días/Año Superando la Referencia (por Década) ---');
   console.log(createFormattedTable(results.analisisDecadas.diasSuperadosTotales,
     { dias_tmed_superada_total: { type: 'gradient', decimals: 0 }, dias_tmax_superada_total: { type: 'gradient', decimals: 0 }, dias_tmin_superada_total: { type: 'gradient', decimals: 0 } },
     { center: true }
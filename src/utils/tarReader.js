@@ -0,0 +1,75 @@
+// utils/tarReader.js
+import zlib from 'node:zlib';
+
+const BLOQUE = 512;
+
+const esGzip = (buffer) => buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+const esTar = (buffer) => buffer.length >= BLOQUE && buffer.toString('latin1', 257, 262) === 'ustar';
+
+// Los campos de texto de la cabecera terminan en el primer byte nulo.
+const leerCampo = (cabecera, inicio, longitud) => {
+  const campo = cabecera.subarray(inicio, inicio + longitud);
+  const fin = campo.indexOf(0);
+  return campo.toString('utf-8', 0, fin === -1 ? campo.length : fin);
+};
+
+/**
+ * Lee las entradas de un tar (ustar o GNU). Solo devuelve los ficheros normales:
+ * los directorios y los enlaces se ignoran, y los nombres largos de GNU (`L`) o
+ * PAX (`x`) se aplican a la entrada siguiente.
+ */
+function leerEntradasTar(buffer) {
+  const entradas = [];
+  let posicion = 0;
+  let nombreLargo = null;
+
+  while (posicion + BLOQUE <= buffer.length) {
+    const cabecera = buffer.subarray(posicion, posicion + BLOQUE);
+    if (cabecera.every(byte => byte === 0)) break; // Fin del archivo
+
+    const tamanio = parseInt(leerCampo(cabecera, 124, 12).trim() || '0', 8);
+    const tipo = String.fromCharCode(cabecera[156] || 0x30);
+    const prefijo = leerCampo(cabecera, 345, 155);
+    const nombre = nombreLargo ?? (prefijo ? `${prefijo}/${leerCampo(cabecera, 0, 100)}` : leerCampo(cabecera, 0, 100));
+    const contenido = buffer.subarray(posicion + BLOQUE, posicion + BLOQUE + tamanio);
+    posicion += BLOQUE + Math.ceil(tamanio / BLOQUE) * BLOQUE;
+
+    if (tipo === 'L') {
+      nombreLargo = leerCampo(contenido, 0, contenido.length);
+      continue;
+    }
+    if (tipo === 'x') {
+      nombreLargo = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(contenido.toString('utf-8'))?.[1] ?? null;
+      continue;
+    }
+    nombreLargo = null;
+    if (tipo === '0' || tipo === '7') entradas.push({ nombre, contenido });
+  }
+  return entradas;
+}
+
+/**
+ * Extrae todos los ficheros de un archivo tar, comprimido o no con gzip. Los
+ * tar y .gz que haya dentro se extraen también (el archivo histórico de avisos
+ * de AEMET es un tar con un .tar.gz por cada emisión), de forma que se devuelven
+ * solo los ficheros finales.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @returns {Array<{nombre: string, contenido: Buffer}>} Los ficheros, en el orden del archivo.
+ * @throws {Error} Si el contenido no es un tar ni un gzip válido.
+ */
+export function extraerFicherosTar(buffer) {
+  const datos = esGzip(buffer) ? zlib.gunzipSync(buffer) : buffer;
+  if (!esTar(datos)) {
+    throw new Error('El contenido no es un archivo tar.');
+  }
+
+  return leerEntradasTar(datos).flatMap(({ nombre, contenido }) => {
+    if (esGzip(contenido)) {
+      const descomprimido = zlib.gunzipSync(contenido);
+      return esTar(descomprimido)
+        ? extraerFicherosTar(descomprimido)
+        : [{ nombre: nombre.replace(/\.gz$/i, ''), contenido: descomprimido }];
+    }
+    return esTar(contenido) ? extraerFicherosTar(contenido) : [{ nombre, contenido }];
+  });
+}
@@ -0,0 +1,8 @@
+// utils/textUtils.js
+
+/**
+ * Normaliza un texto para comparaciones y búsquedas: minúsculas y sin tildes.
+ * @param {string} texto - El texto a normalizar.
+ * @returns {string} El texto normalizado.
+ */
+export const normalizarTexto = (texto) => (texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
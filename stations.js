@@ -0,0 +1,128 @@
+/**
+ * stations.js
+ *
+ * Responsabilidad: Buscar estaciones en el inventario de AEMET por nombre,
+ * provincia, altitud o cercanía a un punto, para conocer su indicativo.
+ */
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { cargarInventario, buscarEstaciones, hayInventarioEnCache } from './src/services/stationInventory.js';
+import { comprobarClavesApi } from './src/utils/apiKeyCheck.js';
+import { createFormattedTable } from './src/utils/consoleColorizer.js';
+
+const MAX_RESULTADOS = 50;
+// Código de salida cuando los argumentos no son válidos (el resto de errores salen con 1).
+const SALIDA_USO = 2;
+
+function usoIncorrecto(mensaje) {
+  console.error(`\n❌ ${mensaje}`);
+  process.exit(SALIDA_USO);
+}
+
+/**
+ * Lee una opción numérica, o `undefined` si no se ha indicado.
+ * @param {Object} values - Valores de `parseArgs`.
+ * @param {string} opcion - Nombre de la opción, sin los guiones.
+ * @param {(numero: number) => boolean} [esValido] - Condición adicional (ej: un rango).
+ * @param {string} [requisito='un número'] - Descripción de los valores válidos, para el mensaje de error.
+ */
+function leerNumero(values, opcion, esValido = () => true, requisito = 'un número') {
+  const valor = values[opcion];
+  if (valor === undefined) return undefined;
+  const numero = Number(valor);
+  if (valor.trim() === '' || !Number.isFinite(numero) || !esValido(numero)) {
+    usoIncorrecto(`--${opcion} debe ser ${requisito} (recibido: "${valor}").`);
+  }
+  return numero;
+}
+
+function mostrarAyuda() {
+  console.log(`
+Uso: node stations.js [opciones]
+
+Opciones:
+  --nombre <texto>        Texto contenido en el nombre de la estación.
+  --provincia <texto>     Texto contenido en el nombre de la provincia.
+  --altitud-min <m>       Altitud mínima en metros.
+  --altitud-max <m>       Altitud máxima en metros.
+  --lat <grados> --lon <grados> [--radio <km>]
+                          Ordena por distancia al punto (y filtra por radio).
+  --actualizar            Descarga de nuevo el inventario ignorando la caché.
+  -h, --help              Muestra este mensaje de ayuda.
+
+Códigos de salida: 0 si la búsqueda termina, ${SALIDA_USO} si los argumentos o la configuración
+(ej: la API key) no son válidos y 1 si falla por otro motivo (ej: no se puede descargar el inventario).
+
+Ejemplos:
+  node stations.js --provincia malaga
+  node stations.js --lat 40.4168 --lon=-3.7038 --radio 30
+`);
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        nombre: { type: 'string' },
+        provincia: { type: 'string' },
+        'altitud-min': { type: 'string' },
+        'altitud-max': { type: 'string' },
+        lat: { type: 'string' },
+        lon: { type: 'string' },
+        radio: { type: 'string' },
+        actualizar: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (error) {
+    usoIncorrecto(`Error al parsear los argumentos: ${error.message}`);
+  }
+
+  if (values.help) {
+    mostrarAyuda();
+    return;
+  }
+
+  const filtros = {
+    nombre: values.nombre,
+    provincia: values.provincia,
+    altitudMin: leerNumero(values, 'altitud-min'),
+    altitudMax: leerNumero(values, 'altitud-max'),
+  };
+  if (values.lat !== undefined || values.lon !== undefined) {
+    if (values.lat === undefined || values.lon === undefined) {
+      usoIncorrecto('Para buscar por distancia hay que indicar tanto --lat como --lon.');
+    }
+    filtros.cerca = {
+      lat: leerNumero(values, 'lat', n => Math.abs(n) <= 90, 'una latitud entre -90 y 90'),
+      lon: leerNumero(values, 'lon', n => Math.abs(n) <= 180, 'una longitud entre -180 y 180'),
+      radioKm: leerNumero(values, 'radio', n => n > 0, 'un número positivo'),
+    };
+  }
+
+  // Sin API key solo se puede usar la copia local del inventario.
+  if (values.actualizar || !(await hayInventarioEnCache())) comprobarClavesApi();
+  const estaciones = await cargarInventario({ forzarDescarga: values.actualizar });
+  const resultados = buscarEstaciones(estaciones, filtros);
+
+  console.log(`\n🔎 ${resultados.length} estación(es) encontradas de un total de ${estaciones.length}.`);
+  const filas = resultados.slice(0, MAX_RESULTADOS).map(e => ({
+    indicativo: e.indicativo,
+    nombre: e.nombre,
+    provincia: e.provincia,
+    altitud: e.altitud,
+    latitud: e.latitud?.toFixed(4) ?? '',
+    longitud: e.longitud?.toFixed(4) ?? '',
+    ...(filtros.cerca ? { distancia_km: e.distanciaKm } : {}),
+  }));
+  console.log(createFormattedTable(filas, {}));
+  if (resultados.length > MAX_RESULTADOS) {
+    console.log(`... y ${resultados.length - MAX_RESULTADOS} más. Afina la búsqueda para verlas.`);
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Error al buscar estaciones: ${error.message}`);
+  process.exit(1);
+});
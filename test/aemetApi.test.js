@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarMock, entrarEnCarpetaTemporal, crearProgresoSilencioso, CLAVE_PRUEBAS } from './mockSetup.js';
+import { obtenerDatosParaRango, obtenerUrlMetadatos } from '../src/services/aemetApi.js';
+import { ErrorAutenticacion, ErrorSinDatos, ErrorServidor } from '../src/services/aemetErrors.js';
+import { limitadorAemet } from '../src/services/rateLimiter.js';
+
+const progreso = crearProgresoSilencioso('pruebas');
+const rango = (desde, hasta) => [`${desde}T00:00:00UTC`, `${hasta}T00:00:00UTC`];
+let carpeta;
+
+before(() => {
+  carpeta = entrarEnCarpetaTemporal();
+});
+
+after(() => {
+  carpeta.borrar();
+});
+
+test('sigue el protocolo en dos pasos: pide el recurso y descarga la URL de "datos"', async () => {
+  const mock = await iniciarMock();
+  try {
+    const datos = await obtenerDatosParaRango(...rango('2023-01-01', '2023-01-10'), '5530E', { progreso });
+
+    assert.equal(datos.length, 10);
+    assert.equal(datos[0].fecha, '2023-01-01');
+    assert.equal(datos[9].fecha, '2023-01-10');
+    assert.equal(datos[0].indicativo, '5530E');
+    assert.equal(mock.estadisticas.peticiones, 2, 'una petición a la API y otra a la URL de datos');
+    assert.match(obtenerUrlMetadatos('diarios'), /metadatos-diarios$/);
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('lee los textos de AEMET en ISO-8859-15', async () => {
+  const mock = await iniciarMock();
+  try {
+    const [registro] = await obtenerDatosParaRango(...rango('2023-01-01', '2023-01-01'), '6155A', { progreso });
+    assert.equal(registro.nombre, 'MÁLAGA AEROPUERTO');
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('un rango sin datos da ErrorSinDatos y no se reintenta', async () => {
+  const mock = await iniciarMock();
+  try {
+    const futuro = new Date().getFullYear() + 1;
+    await assert.rejects(
+      obtenerDatosParaRango(...rango(`${futuro}-01-01`, `${futuro}-01-31`), '5530E', { progreso }),
+      ErrorSinDatos,
+    );
+    assert.equal(mock.estadisticas.peticiones, 1);
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('reintenta los 429 y los 5xx hasta obtener los datos', async () => {
+  const mock = await iniciarMock({ fallos: { tasa429: 0.2, tasa5xx: 0.2 }, semilla: 7 });
+  try {
+    for (let mes = 1; mes <= 6; mes++) {
+      const dia = `2023-0${mes}-01`;
+      const datos = await obtenerDatosParaRango(...rango(dia, dia), '5530E', { progreso });
+      assert.equal(datos[0].fecha, dia);
+    }
+    assert.ok(mock.estadisticas.fallosInyectados > 0, 'la semilla debe provocar algún fallo');
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('tras agotar los intentos lanza el error del último', async () => {
+  const mock = await iniciarMock({ fallos: { tasa5xx: 1 } });
+  try {
+    await assert.rejects(
+      obtenerDatosParaRango(...rango('2023-01-01', '2023-01-01'), '5530E', { progreso, maxIntentos: 3 }),
+      ErrorServidor,
+    );
+    assert.equal(mock.estadisticas.peticiones, 3);
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('descarta una API key rechazada con un 401 y sigue con las demás', async () => {
+  const mock = await iniciarMock({ clavesInvalidas: ['clave-caducada'] });
+  try {
+    // Las claves se turnan: en dos peticiones, una empieza por la caducada.
+    const claves = ['clave-caducada', CLAVE_PRUEBAS];
+    for (let i = 0; i < 2; i++) {
+      const datos = await obtenerDatosParaRango(...rango('2023-01-01', '2023-01-01'), '5530E', { progreso, apiKeys: claves });
+      assert.equal(datos.length, 1);
+    }
+    assert.deepEqual(limitadorAemet.clavesActivas(claves), [CLAVE_PRUEBAS]);
+
+    await assert.rejects(
+      obtenerDatosParaRango(...rango('2023-01-01', '2023-01-01'), '5530E', { progreso, apiKey: 'clave-caducada' }),
+      ErrorAutenticacion,
+    );
+  } finally {
+    await mock.detener();
+  }
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizarDatos, registrosDesdeFilasCSV } from '../src/utils/dataProcessor.js';
+import { crearAnalizadorMensual } from '../src/utils/dataAnalyzer.js';
+
+// Un registro del endpoint diario, con los valores como los envía AEMET (texto y coma decimal).
+const registroAemet = (cambios) => ({
+  fecha: '2023-07-01', indicativo: '5530E', nombre: 'GRANADA AEROPUERTO', provincia: 'GRANADA', altitud: '567',
+  tmed: '27,4', tmin: '18,1', horatmin: '05:40', tmax: '36,7', horatmax: '16:20', prec: '0,0',
+  dir: '27', velmedia: '2,5', racha: '11,4', horaracha: '15:10',
+  ...cambios,
+});
+
+test('convierte los códigos de precipitación Ip y Acum', () => {
+  const [inapreciable, acumulada, medida] = normalizarDatos([
+    registroAemet({ prec: 'Ip' }),
+    registroAemet({ fecha: '2023-07-02', prec: 'Acum' }),
+    registroAemet({ fecha: '2023-07-03', prec: '12,6' }),
+  ]);
+
+  assert.deepEqual([inapreciable.prec, inapreciable.precCodigo], [0, 'Ip']);
+  assert.deepEqual([acumulada.prec, acumulada.precCodigo], [null, 'Acum']);
+  assert.deepEqual([medida.prec, medida.precCodigo], [12.6, null]);
+});
+
+test('los días Ip no cuentan como días de precipitación y los Acum se cuentan aparte', () => {
+  const analizador = crearAnalizadorMensual();
+  normalizarDatos([
+    registroAemet({ prec: 'Ip' }),
+    registroAemet({ fecha: '2023-07-02', prec: 'Acum' }),
+    registroAemet({ fecha: '2023-07-03', prec: '12,6' }),
+  ]).forEach(registro => analizador.processRecord(registro));
+
+  const [julio] = analizador.getResults();
+  assert.equal(julio.dias_prec, 1);
+  assert.equal(julio.dias_prec_inapreciable, 1);
+  assert.equal(julio.dias_prec_acumulada, 1);
+  assert.equal(julio.max_prec, 12.6);
+  assert.equal(julio.total_prec, 12.6);
+});
+
+test('normaliza las horas a HH:MM', () => {
+  const [registro] = normalizarDatos([registroAemet({
+    horatmin: '5:40', horatmax: 'Varias', horaracha: '25:00', horaPresMax: '07', horaPresMin: ' 18 ',
+  })]);
+
+  assert.equal(registro.horatmin, '05:40');
+  assert.equal(registro.horatmax, null, '"Varias" no es una hora');
+  assert.equal(registro.horaracha, null, 'hora fuera de rango');
+  assert.equal(registro.horaPresMax, '07:00');
+  assert.equal(registro.horaPresMin, '18:00');
+});
+
+test('pasa la dirección de la racha de decenas de grado a grados', () => {
+  const [normal, variable, sinDato] = normalizarDatos([
+    registroAemet({ dir: '27' }),
+    registroAemet({ fecha: '2023-07-02', dir: '99' }),
+    registroAemet({ fecha: '2023-07-03', dir: '88' }),
+  ]);
+
+  assert.equal(normal.dir, 270);
+  assert.equal(variable.dir, null);
+  assert.equal(sinDato.dir, null);
+});
+
+test('las filas del CSV diario conservan el código de precipitación y las horas', () => {
+  // Así quedan en el CSV: `prec` vacía y el código en `prec_codigo`, la dirección ya en grados.
+  const [acumulada, inapreciable] = registrosDesdeFilasCSV([
+    { fecha: '2023-07-02', idema: '5530E', prec: '', prec_codigo: 'Acum', horatmax: '16:20', dir: '270' },
+    { fecha: '2023-07-03', idema: '5530E', prec: '0', prec_codigo: 'Ip', horatmax: '', dir: '' },
+  ]);
+
+  assert.deepEqual([acumulada.prec, acumulada.precCodigo], [null, 'Acum']);
+  assert.deepEqual([inapreciable.prec, inapreciable.precCodigo], [0, 'Ip']);
+  assert.equal(acumulada.horatmax, '16:20');
+  assert.equal(inapreciable.horatmax, null);
+  assert.equal(acumulada.dir, 270);
+});
@@ -0,0 +1,167 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { iniciarMock, entrarEnCarpetaTemporal, crearProgresoSilencioso, CLAVE_PRUEBAS } from './mockSetup.js';
+import { procesarEstacion, reintentarFallos } from '../src/extraction-worker.js';
+import { cargarManifiesto } from '../src/services/manifest.js';
+import { cargarInformeFallos } from '../src/services/failureReport.js';
+import { leerFilasCSVDiario } from '../src/utils/dataProcessor.js';
+import { parsearFecha } from '../src/utils/dateUtils.js';
+
+const RAIZ = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ejecutar = promisify(execFile);
+
+const fechasDelCSV = (ficheroDiario) => leerFilasCSVDiario(ficheroDiario).map(fila => fila.fecha);
+let carpeta;
+
+beforeEach(() => {
+  carpeta = entrarEnCarpetaTemporal();
+});
+
+afterEach(() => {
+  carpeta.borrar();
+});
+
+test('divide un rango que falla hasta aislar el día con error', async () => {
+  const mock = await iniciarMock({ fallos: { diasConError: ['2023-03-15'] } });
+  try {
+    const resultado = await procesarEstacion('5530E', parsearFecha('2023-01-01'), parsearFecha('2023-06-30'), { progreso: crearProgresoSilencioso('5530E') });
+
+    assert.deepEqual(resultado.diasFallidos, ['2023-03-15']);
+    assert.equal(resultado.registros, 180);
+    const fechas = fechasDelCSV(resultado.ficheroDiario);
+    assert.ok(fechas.includes('2023-03-14') && fechas.includes('2023-03-16'));
+    assert.ok(!fechas.includes('2023-03-15'));
+
+    const informe = await cargarInformeFallos(resultado.directorio);
+    assert.deepEqual(informe.fallos.map(f => [f.desde, f.hasta]), [['2023-03-15', '2023-03-15']]);
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('no divide un rango que falla por el límite de peticiones: lo da entero por fallido', async () => {
+  const mock = await iniciarMock({ fallos: { tasa429: 1 } });
+  try {
+    const resultado = await procesarEstacion('5530E', parsearFecha('2023-01-01'), parsearFecha('2023-01-31'), { progreso: crearProgresoSilencioso('5530E') });
+
+    assert.equal(resultado.diasFallidos.length, 31);
+    const informe = await cargarInformeFallos(resultado.directorio);
+    assert.deepEqual(informe.fallos.map(f => [f.desde, f.hasta]), [['2023-01-01', '2023-01-31']]);
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('un rango que falla no cuenta como leído de la caché', async () => {
+  const mock = await iniciarMock({ fallos: { tasa429: 1 } });
+  try {
+    const progreso = crearProgresoSilencioso('5530E');
+    const avisos = [];
+    const info = progreso.info;
+    progreso.info = (texto) => {
+      avisos.push(texto);
+      info(texto);
+    };
+
+    await procesarEstacion('5530E', parsearFecha('2023-01-01'), parsearFecha('2023-01-31'), { progreso });
+    assert.ok(!avisos.some(texto => texto.includes('de la caché')));
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('una extracción cancelada continúa donde se quedó', async () => {
+  const mock = await iniciarMock();
+  try {
+    const fechaInicio = parsearFecha('2022-01-01');
+    const fechaFin = parsearFecha('2023-12-31');
+    // Se cancela al empezar el tercero de los cuatro rangos de seis meses.
+    const controlador = new AbortController();
+    const progreso = crearProgresoSilencioso('5530E');
+    const setText = progreso.setText;
+    progreso.setText = (texto) => {
+      if (texto.startsWith('[3/')) controlador.abort();
+      setText(texto);
+    };
+
+    const cancelada = await procesarEstacion('5530E', fechaInicio, fechaFin, { progreso, signal: controlador.signal });
+    assert.equal(cancelada.cancelado, true);
+    const manifiesto = await cargarManifiesto(cancelada.directorio);
+    assert.equal(manifiesto.finalizado, false);
+    assert.equal(Object.keys(manifiesto.rangos).length, 2);
+    const registrosCancelada = fechasDelCSV(cancelada.ficheroDiario).length;
+    assert.equal(registrosCancelada, cancelada.registros);
+    assert.ok(registrosCancelada > 0 && registrosCancelada < 730);
+
+    const peticionesAntes = mock.estadisticas.peticiones;
+    const reanudada = await procesarEstacion('5530E', fechaInicio, fechaFin, { progreso: crearProgresoSilencioso('5530E') });
+    assert.equal(reanudada.cancelado, false);
+    assert.equal(reanudada.registros, 730);
+    const fechas = fechasDelCSV(reanudada.ficheroDiario);
+    assert.equal(new Set(fechas).size, 730, 'sin días repetidos');
+    assert.deepEqual(fechas, [...fechas].sort());
+    assert.equal((await cargarManifiesto(reanudada.directorio)).finalizado, true);
+    // Solo se piden los dos rangos pendientes, cada uno en dos pasos, y los metadatos
+    // del endpoint, que la extracción cancelada no llegó a pedir.
+    assert.equal(mock.estadisticas.peticiones - peticionesAntes, 2 * 2 + 1);
+  } finally {
+    await mock.detener();
+  }
+});
+
+test('reintentarFallos deja en el informe los días que vuelven a fallar', async () => {
+  const mock = await iniciarMock({ fallos: { diasConError: ['2023-02-10', '2023-02-20'] } });
+  let resultado;
+  try {
+    resultado = await procesarEstacion('5530E', parsearFecha('2023-01-01'), parsearFecha('2023-03-31'), { progreso: crearProgresoSilencioso('5530E') });
+    assert.deepEqual(resultado.diasFallidos, ['2023-02-10', '2023-02-20']);
+  } finally {
+    await mock.detener();
+  }
+
+  const mockParcial = await iniciarMock({ fallos: { diasConError: ['2023-02-20'] } });
+  try {
+    const reintento = await reintentarFallos(resultado.directorio, { progreso: crearProgresoSilencioso('5530E') });
+    assert.equal(reintento.recuperados, 1);
+    assert.deepEqual(reintento.diasFallidos, ['2023-02-20']);
+    const informe = await cargarInformeFallos(resultado.directorio);
+    assert.deepEqual(informe.fallos.map(f => f.desde), ['2023-02-20']);
+    const fechas = fechasDelCSV(resultado.ficheroDiario);
+    assert.ok(fechas.includes('2023-02-10'));
+    assert.deepEqual(fechas, [...fechas].sort());
+  } finally {
+    await mockParcial.detener();
+  }
+});
+
+test('retry.js recupera los días pendientes y sale con 0', async () => {
+  const mock = await iniciarMock({ fallos: { diasConError: ['2023-02-10'] } });
+  let resultado;
+  try {
+    resultado = await procesarEstacion('5530E', parsearFecha('2023-01-01'), parsearFecha('2023-03-31'), { progreso: crearProgresoSilencioso('5530E') });
+    assert.deepEqual(resultado.diasFallidos, ['2023-02-10']);
+  } finally {
+    await mock.detener();
+  }
+
+  const mockSano = await iniciarMock();
+  try {
+    // Con execFile asíncrono, para que el servidor simulado siga atendiendo mientras tanto.
+    await ejecutar(process.execPath, [path.join(RAIZ, 'retry.js'), resultado.directorio], {
+      env: { ...process.env, AEMET_BASE_URL: mockSano.url, AEMET_API_KEY: CLAVE_PRUEBAS },
+      timeout: 60000,
+    });
+    const fechas = fechasDelCSV(resultado.ficheroDiario);
+    assert.equal(fechas.length, 90);
+    assert.deepEqual(fechas, [...fechas].sort());
+    assert.equal(await cargarInformeFallos(resultado.directorio), null);
+    const manifiesto = await cargarManifiesto(resultado.directorio);
+    assert.ok(Object.values(manifiesto.rangos).every(r => r.diasFallidos.length === 0));
+  } finally {
+    await mockSano.detener();
+  }
+});
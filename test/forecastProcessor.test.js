@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizarPrediccionDiaria } from '../src/utils/forecastProcessor.js';
+
+// Un día de la predicción diaria, con el viento como lo envía AEMET (punto cardinal y km/h).
+const diaPrediccion = (fecha, direccion) => ({
+  fecha: `${fecha}T00:00:00`,
+  temperatura: { maxima: 31, minima: 17 },
+  viento: [{ periodo: '00-24', direccion, velocidad: 18 }],
+});
+
+test('pasa la dirección del viento de punto cardinal a grados', () => {
+  const registros = normalizarPrediccionDiaria([{
+    id: 18087, nombre: 'Granada', provincia: 'Granada',
+    prediccion: { dia: [diaPrediccion('2023-07-01', 'SO'), diaPrediccion('2023-07-02', 'N'), diaPrediccion('2023-07-03', 'C')] },
+  }]);
+
+  assert.deepEqual(registros.map(r => r.dir), [225, 360, null]);
+  assert.equal(registros[0].velmedia, 5);
+});
@@ -0,0 +1,68 @@
+/**
+ * test/mockSetup.js
+ *
+ * Responsabilidad: Preparar las pruebas que hablan con el servidor simulado de
+ * AEMET (src/mock/aemetMockServer.js): arrancarlo en un puerto libre, apuntar
+ * la API a él, quitar las esperas de los reintentos y del limitador, y trabajar
+ * en una carpeta temporal para que la caché y las salidas no toquen el repositorio.
+ */
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Writable } from 'node:stream';
+import { crearServidorMock } from '../src/mock/aemetMockServer.js';
+import { API_CONFIG, RETRY_CONFIG } from '../src/config.js';
+import { limitadorAemet } from '../src/services/rateLimiter.js';
+import { crearProgresoMultiple } from '../src/utils/multiProgress.js';
+
+export const CLAVE_PRUEBAS = 'clave-de-pruebas';
+
+// Las peticiones que no indican clave usan las del entorno (ver services/apiKeys.js).
+process.env.AEMET_API_KEY = CLAVE_PRUEBAS;
+delete process.env.AEMET_API_KEYS;
+delete process.env.AEMET_API_KEYS_FILE;
+
+RETRY_CONFIG.ESPERA_BASE_MS = 1;
+RETRY_CONFIG.ESPERA_MAXIMA_MS = 5;
+// Con `minimo` al mismo ritmo, los 429 simulados no frenan las pruebas que vienen después.
+limitadorAemet.configurar({ peticionesPorMinuto: 60000, minimo: 60000, maximo: 60000, rafaga: 1000, esperaTras429Ms: 5 });
+
+/**
+ * Arranca un servidor simulado y dirige a él las peticiones a la API.
+ * @param {Object} [opciones] - Opciones de `crearServidorMock`.
+ * @returns {Promise<{url: string, detener: () => Promise<void>, estadisticas: Object}>}
+ */
+export async function iniciarMock(opciones = {}) {
+  const mock = crearServidorMock(opciones);
+  const url = await mock.iniciar();
+  API_CONFIG.BASE_URL = url;
+  return { url, detener: mock.detener, estadisticas: mock.estadisticas };
+}
+
+/**
+ * Crea una carpeta temporal y la convierte en la carpeta de trabajo, porque la
+ * caché de respuestas y el resto de rutas de `config.js` son relativas.
+ * @returns {{directorio: string, borrar: () => void}}
+ */
+export function entrarEnCarpetaTemporal() {
+  const anterior = process.cwd();
+  const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'aemet-pruebas-'));
+  process.chdir(directorio);
+  return {
+    directorio,
+    borrar: () => {
+      process.chdir(anterior);
+      fs.rmSync(directorio, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Una línea de progreso (ver `crearProgresoMultiple`) que no escribe nada, para
+ * pasarla como `progreso` sin llenar la salida de las pruebas.
+ * @param {string} id - Identificador de la línea.
+ */
+export function crearProgresoSilencioso(id) {
+  const salida = new Writable({ write: (_trozo, _codificacion, listo) => listo() });
+  return crearProgresoMultiple({ salida }).crearLinea(id);
+}
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compararConOficiales } from '../src/utils/analysis/officialComparison.js';
+
+test('compara la precipitación total del mes con la oficial', () => {
+  const calculados = [{ fecha: '2023-03', total_prec: 41.2, max_prec: 12.6 }, { fecha: '2023-04', total_prec: 18.4 }];
+  const oficiales = [{ fecha: '2023-03', total_prec: 41.2, max_prec: 12.6 }, { fecha: '2023-04', total_prec: 25.3 }];
+
+  const comparaciones = compararConOficiales(calculados, oficiales).filter(c => c.variable === 'total_prec');
+  assert.deepEqual(comparaciones.map(c => [c.fecha, c.diferencia, c.diverge]), [['2023-03', 0, false], ['2023-04', -6.9, true]]);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { iniciarMock, entrarEnCarpetaTemporal, crearProgresoSilencioso } from './mockSetup.js';
+import { obtenerAvisosCapArchivo } from '../src/services/aemetApi.js';
+import { extraerFicherosTar } from '../src/utils/tarReader.js';
+import { parsearAvisoCap, normalizarAvisosCap, NIVELES_AVISO } from '../src/utils/capProcessor.js';
+
+const AVISO_CAP = `<?xml version="1.0" encoding="UTF-8"?>
+<cap:alert xmlns:cap="urn:oasis:names:tc:emergency:cap:1.2">
+  <cap:identifier>2.49.0.0.724.0.ES.20230710.611802AT2</cap:identifier>
+  <cap:sent>2023-07-09T21:00:00+02:00</cap:sent>
+  <cap:msgType>Update</cap:msgType>
+  <cap:references>http://www.aemet.es,2.49.0.0.724.0.ES.20230710.611802AT1,2023-07-09T09:00:00+02:00</cap:references>
+  <cap:info>
+    <cap:language>en-GB</cap:language>
+    <cap:event>Orange warning for maximum temperatures</cap:event>
+    <cap:area><cap:areaDesc>Vega de Granada</cap:areaDesc></cap:area>
+  </cap:info>
+  <cap:info>
+    <cap:language>es-ES</cap:language>
+    <cap:event>Aviso de temperaturas máximas de nivel naranja</cap:event>
+    <cap:severity>Severe</cap:severity>
+    <cap:certainty>Likely</cap:certainty>
+    <cap:eventCode><cap:valueName>AEMET-Meteoalerta fenomeno</cap:valueName><cap:value>AT;Temperaturas máximas</cap:value></cap:eventCode>
+    <cap:onset>2023-07-10T12:00:00+02:00</cap:onset>
+    <cap:expires>2023-07-10T20:59:59+02:00</cap:expires>
+    <cap:headline><![CDATA[Aviso naranja. Vega de Granada & Alhama]]></cap:headline>
+    <cap:description>Máximas de 40 ºC &amp; ambiente muy caluroso.</cap:description>
+    <cap:parameter><cap:valueName>AEMET-Meteoalerta nivel</cap:valueName><cap:value>Naranja</cap:value></cap:parameter>
+    <cap:parameter><cap:valueName>AEMET-Meteoalerta parametro</cap:valueName><cap:value>AT;Temperaturas máximas;40 ºC</cap:value></cap:parameter>
+    <cap:parameter><cap:valueName>AEMET-Meteoalerta probabilidad</cap:valueName><cap:value>40%-70%</cap:value></cap:parameter>
+    <cap:area>
+      <cap:areaDesc>Vega de Granada</cap:areaDesc>
+      <cap:geocode><cap:valueName>AEMET-Meteoalerta zona</cap:valueName><cap:value>611802</cap:value></cap:geocode>
+    </cap:area>
+    <cap:area>
+      <cap:areaDesc>Montes de Granada</cap:areaDesc>
+      <cap:geocode><cap:valueName>AEMET-Meteoalerta zona</cap:valueName><cap:value>611801</cap:value></cap:geocode>
+    </cap:area>
+  </cap:info>
+</cap:alert>`;
+
+test('convierte un aviso CAP en un registro por zona, con el bloque en castellano', () => {
+  const registros = parsearAvisoCap(AVISO_CAP);
+
+  assert.equal(registros.length, 2);
+  const [vega, montes] = registros;
+  assert.equal(vega.identificador, '2.49.0.0.724.0.ES.20230710.611802AT2');
+  assert.equal(vega.tipo_mensaje, 'Update');
+  assert.equal(vega.referencias, '2.49.0.0.724.0.ES.20230710.611802AT1');
+  assert.equal(vega.fenomeno_codigo, 'AT');
+  assert.equal(vega.fenomeno, 'Temperaturas máximas');
+  assert.equal(vega.nivel, 'naranja');
+  assert.equal(vega.umbral, '40 ºC');
+  assert.equal(vega.probabilidad, '40%-70%');
+  assert.equal(vega.inicio, '2023-07-10T12:00:00+02:00');
+  assert.equal(vega.titular, 'Aviso naranja. Vega de Granada & Alhama');
+  assert.equal(vega.descripcion, 'Máximas de 40 ºC & ambiente muy caluroso.');
+  assert.deepEqual([vega.zona_codigo, vega.provincia_codigo], ['611802', '18']);
+  assert.equal(montes.zona, 'Montes de Granada');
+});
+
+test('un XML que no es un aviso CAP no da registros', () => {
+  assert.deepEqual(parsearAvisoCap('<?xml version="1.0"?><rss></rss>'), []);
+});
+
+test('extrae los CAP del archivo histórico: un tar con un .tar.gz por emisión', async () => {
+  const carpeta = entrarEnCarpetaTemporal();
+  const mock = await iniciarMock();
+  try {
+    const archivo = await obtenerAvisosCapArchivo('2023-07-01T00:00:00UTC', '2023-08-31T23:59:59UTC', { progreso: crearProgresoSilencioso('avisos') });
+    assert.ok(Buffer.isBuffer(archivo));
+
+    const ficheros = extraerFicherosTar(archivo);
+    assert.ok(ficheros.length > 0, 'el verano generado debe tener avisos');
+    assert.ok(ficheros.every(f => /^Z_CAP_C_LEMM_.*\.xml$/.test(f.nombre)));
+    // Comprimido con gzip da los mismos ficheros.
+    assert.deepEqual(extraerFicherosTar(zlib.gzipSync(archivo)).map(f => f.nombre), ficheros.map(f => f.nombre));
+
+    const avisos = normalizarAvisosCap(ficheros);
+    assert.ok(avisos.length >= ficheros.length);
+    assert.ok(avisos.every(a => NIVELES_AVISO.includes(a.nivel) && a.zona_codigo && a.fenomeno_codigo === 'AT'));
+    const enviados = avisos.map(a => Date.parse(a.enviado));
+    assert.deepEqual(enviados, [...enviados].sort((a, b) => a - b));
+    // Las actualizaciones apuntan al aviso que sustituyen, que también está en el archivo.
+    const identificadores = new Set(avisos.map(a => a.identificador));
+    const actualizaciones = avisos.filter(a => a.tipo_mensaje === 'Update');
+    assert.ok(actualizaciones.length > 0);
+    assert.ok(actualizaciones.every(a => identificadores.has(a.referencias)));
+  } finally {
+    await mock.detener();
+    carpeta.borrar();
+  }
+});
+
+test('rechaza un contenido que no es un tar', () => {
+  assert.throws(() => extraerFicherosTar(Buffer.from('{"estado": 404}')), /no es un archivo tar/);
+});
@@ -0,0 +1,187 @@
+/**
+ * warnings.js
+ *
+ * Responsabilidad: Descargar los avisos meteorológicos de AEMET (Meteoalerta,
+ * en formato CAP), archivarlos en local y cruzarlos con los datos diarios de
+ * una estación para saber qué días estuvo su zona en aviso.
+ */
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { addDays, format, isAfter, isValid, min } from 'date-fns';
+import { SCRIPT_SETTINGS, WARNINGS_CONFIG } from './src/config.js';
+import { obtenerAvisosCapUltimos, obtenerAvisosCapArchivo } from './src/services/aemetApi.js';
+import { ErrorSinDatos } from './src/services/aemetErrors.js';
+import { comprobarClavesApi } from './src/utils/apiKeyCheck.js';
+import { crearArchivoAvisos, leerArchivoAvisos } from './src/services/warningArchive.js';
+import { guardarAnalisisEnCSV } from './src/services/csvWriter.js';
+import { AREAS_AVISOS } from './src/data/provincias.js';
+import { extraerFicherosTar } from './src/utils/tarReader.js';
+import { normalizarAvisosCap } from './src/utils/capProcessor.js';
+import { avisosVigentes, cruzarAvisosConDiarios, COLUMNAS_AVISOS_DIARIOS } from './src/utils/analysis/warnings.js';
+import { readAndProcessData } from './src/utils/dataLoader.js';
+import { parsearFecha } from './src/utils/dateUtils.js';
+import { logger } from './src/utils/consoleLogger.js';
+import { createFormattedTable } from './src/utils/consoleColorizer.js';
+
+// Códigos de salida, como en extract.js.
+const SALIDA_ERROR = 1;
+const SALIDA_USO = 2;
+
+const FORMATO_API = "yyyy-MM-dd'T'HH:mm:ss'UTC'";
+
+const cast = {
+  number: (value) => (typeof value === 'number' ? value.toString().replace('.', ',') : value),
+};
+
+function mostrarAyuda() {
+  const areas = Object.entries(AREAS_AVISOS).map(([codigo, nombre]) => `${codigo} (${nombre})`).join(', ');
+  console.log(`
+Uso: node warnings.js [opciones]
+
+Descarga los avisos meteorológicos de AEMET y los añade al archivo local
+${WARNINGS_CONFIG.DIR}/avisos_cap.csv (un aviso ya archivado no se duplica).
+
+Opciones:
+  --area <código>          Descarga los últimos avisos emitidos para un área [Por defecto: ${WARNINGS_CONFIG.AREA_POR_DEFECTO}].
+  --desde <fecha>          Descarga el archivo histórico de avisos de toda España desde esa fecha.
+  --hasta <fecha>          Fin del archivo histórico [Por defecto: hoy].
+  --cruzar <diarios.csv>   Cruza el CSV diario de una estación con los avisos archivados y guarda,
+                           junto a él, avisos_[sufijo].csv con el nivel de aviso de cada día.
+  --zonas <códigos>        Con --cruzar, zonas de Meteoalerta que afectan a la estación, separadas
+                           por comas (ej: 614102). Por defecto, todas las de su provincia.
+  --salida <fichero.csv>   Con --cruzar, dónde se guarda el resultado.
+  -v, --verbose            Muestra los errores completos.
+  -h, --help               Muestra este mensaje de ayuda.
+
+Con --cruzar solo se descarga algo si se indica también --area o --desde.
+Áreas: ${areas}.
+`);
+}
+
+/**
+ * Descarga un archivo tar de avisos, lo añade al archivo local y devuelve los avisos recibidos.
+ */
+async function archivarAvisos(archivo, descargar, descripcion) {
+  logger.start(`Descargando ${descripcion}...`);
+  let avisos;
+  try {
+    avisos = normalizarAvisosCap(extraerFicherosTar(await descargar()));
+  } catch (error) {
+    if (!(error instanceof ErrorSinDatos)) throw error;
+    avisos = [];
+  }
+  const nuevos = archivo.agregar(avisos);
+  logger.succeed(`${descripcion}: ${logger.highlight(nuevos)} aviso(s) nuevo(s) de ${avisos.length} recibido(s) (${archivo.total()} archivados).`);
+  return avisos;
+}
+
+async function descargarUltimos(area) {
+  const archivo = crearArchivoAvisos();
+  const avisos = await archivarAvisos(archivo, () => obtenerAvisosCapUltimos(area), `Últimos avisos de ${AREAS_AVISOS[area]}`);
+
+  const enVigor = avisosVigentes(avisos);
+  if (enVigor.length === 0) {
+    logger.info('No hay avisos de nivel amarillo o superior.');
+    return;
+  }
+  const filas = enVigor.map(a => ({ zona: a.zona, fenomeno: a.fenomeno, nivel: a.nivel, umbral: a.umbral ?? '', inicio: a.inicio, fin: a.fin }));
+  logger.log(createFormattedTable(filas, {}));
+}
+
+async function descargarArchivo(desde, hasta) {
+  const archivo = crearArchivoAvisos();
+  let recibidos = 0;
+  for (let inicio = desde; !isAfter(inicio, hasta); inicio = addDays(inicio, WARNINGS_CONFIG.DIAS_POR_PETICION)) {
+    const fin = min([addDays(inicio, WARNINGS_CONFIG.DIAS_POR_PETICION - 1), hasta]);
+    const [inicioApi, finApi] = [format(inicio, FORMATO_API), format(fin, "yyyy-MM-dd'T'23:59:59'UTC'")];
+    const descripcion = `Avisos del ${format(inicio, 'dd/MM/yyyy')} al ${format(fin, 'dd/MM/yyyy')}`;
+    recibidos += (await archivarAvisos(archivo, () => obtenerAvisosCapArchivo(inicioApi, finApi), descripcion)).length;
+  }
+  logger.info(`Archivo histórico descargado: ${recibidos} aviso(s) recibido(s), ${archivo.total()} en ${archivo.ruta}.`);
+}
+
+async function cruzar(ficheroDiario, zonas, salida) {
+  if (!fs.existsSync(ficheroDiario)) throw new Error(`No existe el CSV diario ${ficheroDiario}.`);
+  const avisos = leerArchivoAvisos();
+  if (avisos.length === 0) {
+    throw new Error(`No hay avisos archivados en ${WARNINGS_CONFIG.DIR}. Descárgalos antes con --area o --desde.`);
+  }
+  const dias = cruzarAvisosConDiarios(await readAndProcessData(ficheroDiario), avisos, { zonas });
+  if (dias.length === 0) {
+    logger.warn('Los avisos archivados no cubren ningún día del CSV diario.');
+    return;
+  }
+
+  const ruta = salida ?? path.join(path.dirname(ficheroDiario), path.basename(ficheroDiario).replace(/^diarios_/, 'avisos_'));
+  await guardarAnalisisEnCSV(dias, ruta, COLUMNAS_AVISOS_DIARIOS, cast);
+
+  const enAviso = dias.filter(d => d.aviso_nivel !== 'ninguno');
+  const porNivel = ['amarillo', 'naranja', 'rojo'].map(nivel => `${enAviso.filter(d => d.aviso_nivel === nivel).length} ${nivel}`).join(', ');
+  logger.log(`\n${logger.magentaBold('--- Días en aviso ---')}`);
+  logger.log(`Del ${dias[0].fecha} al ${dias[dias.length - 1].fecha}: ${logger.highlight(enAviso.length)} de ${dias.length} día(s) con aviso (${porNivel}).`);
+  if (enAviso.length > 0) {
+    logger.log(createFormattedTable(enAviso.map(({ avisos_zonas, ...dia }) => dia), { tmax: { type: 'gradient', decimals: 1 }, tmin: { type: 'gradient', decimals: 1 } }));
+  }
+  logger.succeed(`Cruce guardado en: ${ruta}`);
+}
+
+async function main() {
+  let argumentos;
+  try {
+    argumentos = parseArgs({
+      options: {
+        area: { type: 'string' },
+        desde: { type: 'string' },
+        hasta: { type: 'string' },
+        cruzar: { type: 'string' },
+        zonas: { type: 'string' },
+        salida: { type: 'string' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    logger.failAndStop(`Error al parsear los argumentos: ${error.message}`);
+    process.exit(SALIDA_USO);
+  }
+  const { values } = argumentos;
+
+  if (values.help) {
+    mostrarAyuda();
+    process.exit(0);
+  }
+  SCRIPT_SETTINGS.VERBOSE_MODE = Boolean(values.verbose);
+
+  const usoIncorrecto = (mensaje) => {
+    logger.failAndStop(mensaje);
+    process.exit(SALIDA_USO);
+  };
+  const area = values.area ?? WARNINGS_CONFIG.AREA_POR_DEFECTO;
+  if (!AREAS_AVISOS[area]) usoIncorrecto(`Área no válida: "${area}". Usa "esp" o el código de una comunidad autónoma (ver --help).`);
+  if (values.area && values.desde) usoIncorrecto('--area descarga los últimos avisos y --desde el archivo histórico: usa solo una de las dos.');
+  if (values.hasta && !values.desde) usoIncorrecto('--hasta necesita --desde.');
+  const desde = values.desde ? parsearFecha(values.desde) : null;
+  const hasta = values.hasta ? parsearFecha(values.hasta) : new Date();
+  if (desde && (!isValid(desde) || !isValid(hasta) || isAfter(desde, hasta))) {
+    usoIncorrecto('--desde y --hasta deben ser fechas válidas (AAAA-MM-DD o DD/MM/AAAA) y --desde no puede ser posterior a --hasta.');
+  }
+  if ((values.zonas || values.salida) && !values.cruzar) usoIncorrecto('--zonas y --salida solo se usan con --cruzar.');
+
+  const descargar = !values.cruzar || values.area || values.desde;
+  if (descargar) {
+    comprobarClavesApi();
+    if (desde) await descargarArchivo(desde, hasta);
+    else await descargarUltimos(area);
+  }
+  if (values.cruzar) {
+    const zonas = values.zonas?.split(',').map(z => z.trim()).filter(Boolean);
+    await cruzar(path.resolve(values.cruzar), zonas, values.salida);
+  }
+}
+
+main().catch(error => {
+  logger.failAndStop(`Error al procesar los avisos: ${error.message}`);
+  process.exit(SALIDA_ERROR);
+});